@@ -1,414 +1,5728 @@
 // Modern Astronomy Picture App - Component-based Architecture
 // Using modern vanilla JavaScript with React-like patterns
 
+// APOD Date - the archive's calendar. APOD publishes one entry per US Eastern day, so "today" is the
+// current date in New York rather than in UTC or the viewer's zone. Dates are 'YYYY-MM-DD' strings
+// throughout; arithmetic and formatting run in UTC, where no offset or DST change can move them a day.
+class ApodDate {
+    static get FIRST_DATE() {
+        return '1995-06-16';
+    }
+
+    static get TIME_ZONE() {
+        return 'America/New_York';
+    }
+
+    // The calendar date at an instant in a time zone (the viewer's own when none is given)
+    static fromInstant(instant = new Date(), timeZone = undefined) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(instant);
+        const part = (type) => parts.find(candidate => candidate.type === type).value;
+        return `${part('year')}-${part('month')}-${part('day')}`;
+    }
+
+    // The newest APOD date there can be. Its entry goes up some time after midnight Eastern, so
+    // early in the day it may not be published yet - see isUnpublished
+    static today(now = new Date()) {
+        return ApodDate.fromInstant(now, ApodDate.TIME_ZONE);
+    }
+
+    // The viewer's own date, for stamping things they did (citation access dates, file names)
+    static localToday(now = new Date()) {
+        return ApodDate.fromInstant(now);
+    }
+
+    // Strict YYYY-MM-DD check that also rejects impossible dates like 2021-02-30
+    static isCalendarDate(dateString) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) return false;
+        const date = ApodDate.toUTCDate(dateString);
+        return !isNaN(date) && date.toISOString().split('T')[0] === dateString;
+    }
+
+    static isInArchive(dateString, now = new Date()) {
+        return ApodDate.isCalendarDate(dateString) &&
+               dateString >= ApodDate.FIRST_DATE &&
+               dateString <= ApodDate.today(now);
+    }
+
+    // Providers answer a request for today's entry before it is posted with 404 (NASA) or 400
+    // (a date past their latest); for any other date those statuses mean the request was wrong
+    static isUnpublished(dateString, error, now = new Date()) {
+        return dateString === ApodDate.today(now) && Boolean(error) && (error.status === 404 || error.status === 400);
+    }
+
+    static toUTCDate(dateString) {
+        return new Date(`${dateString}T00:00:00Z`);
+    }
+
+    static addDays(dateString, days) {
+        const date = ApodDate.toUTCDate(dateString);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    static daysBetween(startDate, endDate) {
+        return Math.round((ApodDate.toUTCDate(endDate) - ApodDate.toUTCDate(startDate)) / (1000 * 60 * 60 * 24));
+    }
+
+    static listDates(startDate, endDate) {
+        const dates = [];
+        for (let date = startDate; date <= endDate; date = ApodDate.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    // 0 for Sunday to 6 for Saturday
+    static weekday(dateString) {
+        return ApodDate.toUTCDate(dateString).getUTCDay();
+    }
+
+    // Months are 'YYYY-MM' strings, so they compare and sort like the dates they hold
+    static addMonths(month, count) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNumber - 1 + count, 1)).toISOString().slice(0, 7);
+    }
+
+    static daysInMonth(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    }
+
+    // Formats the calendar date itself; parsing 'YYYY-MM-DD' as a local or UTC instant and
+    // formatting it in the viewer's zone would show the day before anywhere west of Greenwich
+    static format(dateString, locale, options = { dateStyle: 'medium' }) {
+        const date = ApodDate.toUTCDate(dateString);
+        if (isNaN(date)) return dateString;
+        return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(date);
+    }
+}
+
 // State Management System
+// Subscribers either hear every change (subscribe) or only changes to the slice they select (select).
+// Middleware wraps every update - see StateHistory and the README for examples.
 class AppState {
-    constructor() {
+    constructor(options = {}) {
         this.state = {
             loading: false,
             error: null,
+            errorCode: null,
             currentPicture: null,
-            selectedDate: new Date().toISOString().split('T')[0]
+            selectedDate: ApodDate.today(),
+            notice: null,
+            view: 'picture',
+            locale: 'en',
+            randomQueue: [],
+            collections: [],
+            offline: false,
+            offlineDates: [],
+            search: {
+                indexedCount: 0,
+                bulk: { running: false, done: 0, total: 0, message: null }
+            },
+            quota: {
+                provider: null,
+                remaining: null,
+                limit: null,
+                retryAt: null
+            },
+            gallery: {
+                startDate: null,
+                endDate: null,
+                entries: [],
+                loading: false,
+                totalDays: 0
+            }
+        };
+        this.subscribers = new Set();
+        this.middleware = [];
+
+        // Persistence - the chosen top-level keys survive a reload
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'astronomy-apod-state';
+        this.persistKeys = (options.persistKeys || []).filter(key => key in this.state);
+        this.state = { ...this.state, ...this.loadPersisted() };
+    }
+
+    // Middleware is called as middleware(update, next) with update = { action, changes, previousState };
+    // call next(update) - optionally with different changes - to continue, or skip it to drop the update
+    use(middleware) {
+        this.middleware.push(middleware);
+        return () => {
+            this.middleware = this.middleware.filter(entry => entry !== middleware);
+        };
+    }
+
+    setState(newState, action = null) {
+        const chain = [...this.middleware];
+        const run = (index, update) => {
+            if (index === chain.length) return this.commit(update);
+            return chain[index](update, (nextUpdate = update) => run(index + 1, nextUpdate));
         };
-        this.subscribers = [];
+
+        run(0, {
+            action: action || `set ${Object.keys(newState).join(', ')}`,
+            changes: newState,
+            previousState: this.state
+        });
+        return this.state;
     }
 
-    setState(newState) {
-        this.state = { ...this.state, ...newState };
-        this.notifySubscribers();
+    // errorCode says where the current error came from (an ApiError code such as 'http_429'); an
+    // error set without one must not inherit the code of the error it replaces
+    commit({ changes }) {
+        const previousState = this.state;
+        const errorCode = 'error' in changes && !('errorCode' in changes) ? { errorCode: null } : {};
+        this.state = { ...previousState, ...changes, ...errorCode };
+        this.savePersisted(previousState);
+        this.notifySubscribers(previousState);
+        return this.state;
     }
 
+    // Called as callback(state, previousState) after every update; returns an unsubscribe function
     subscribe(callback) {
-        this.subscribers.push(callback);
+        const subscriber = { callback };
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    // Called as callback(selected, previousSelected, state) only when the selection changes.
+    // The selector may be a list of top-level keys; results are compared one level deep.
+    select(selector, callback, options = {}) {
+        const { equals = AppState.shallowEqual } = options;
+        const pick = Array.isArray(selector)
+            ? state => Object.fromEntries(selector.map(key => [key, state[key]]))
+            : selector;
+
+        let selected = pick(this.state);
+        return this.subscribe(state => {
+            const next = pick(state);
+            if (equals(next, selected)) return;
+
+            const previous = selected;
+            selected = next;
+            callback(next, previous, state);
+        });
     }
 
-    notifySubscribers() {
-        this.subscribers.forEach(callback => callback(this.state));
+    notifySubscribers(previousState) {
+        // Callbacks may unsubscribe (or set state) while we are still notifying
+        [...this.subscribers].forEach(subscriber => {
+            if (this.subscribers.has(subscriber)) subscriber.callback(this.state, previousState);
+        });
     }
 
     getState() {
         return { ...this.state };
     }
-}
 
-// API Service - Clean separation of concerns
-class AstronomyAPIService {
-    constructor(config) {
-        this.config = config;
+    static shallowEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
     }
 
-    async fetchPictureData(date) {
+    loadPersisted() {
+        if (!this.storage || this.persistKeys.length === 0) return {};
         try {
-            const url = this.buildApiUrl(date);
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw await this.handleApiError(response);
-            }
-
-            const rawData = await response.json();
-            return this.transformResponse(rawData);
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return Object.fromEntries(this.persistKeys.filter(key => key in saved).map(key => [key, saved[key]]));
         } catch (error) {
-            console.error('API Service Error:', error);
-            throw error;
+            console.warn('⚠️ Could not read saved state:', error);
+            return {};
         }
     }
 
-    async handleApiError(response) {
-        const errorMessages = {
-            429: 'Rate limit exceeded. Get your free NASA API key at: https://api.nasa.gov/',
-            403: 'API access forbidden. Please check your API key in config.js',
-            404: 'Picture not found for the selected date',
-            500: 'API server error. Please try again later'
-        };
-        
-        const message = errorMessages[response.status] || 
-                       `API request failed: ${response.status} ${response.statusText}`;
-        return new Error(message);
+    savePersisted(previousState) {
+        if (!this.storage || !this.persistKeys.some(key => this.state[key] !== previousState[key])) return;
+        try {
+            const saved = Object.fromEntries(this.persistKeys.map(key => [key, this.state[key]]));
+            this.storage.setItem(this.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('⚠️ Could not save state:', error);
+        }
     }
+}
 
-    buildApiUrl(date) {
-        const params = new URLSearchParams({
-            [this.config.dateParam]: date,
-            [this.config.apiKeyParam]: this.config.apiKey
+// State History - developer tool that records every update so it can be undone or replayed.
+// Stepping through history sets whole snapshots, which bypass the recording middleware.
+class StateHistory {
+    constructor(state, options = {}) {
+        this.state = state;
+        this.limit = options.limit || 100;
+        this.entries = [{ action: '@@init', state: state.state, at: Date.now() }];
+        this.position = 0;
+        this.travelling = false;
+        this.detach = state.use((update, next) => {
+            const result = next();
+            if (!this.travelling) this.record(update.action);
+            return result;
         });
-        return `${this.config.baseUrl}?${params.toString()}`;
     }
 
-    transformResponse(data) {
-        const mapping = this.config.responseMapping;
-        if (!mapping) return data;
+    // A new update after an undo discards the undone entries, as in an editor
+    record(action) {
+        this.entries = this.entries.slice(0, this.position + 1);
+        this.entries.push({ action, state: this.state.state, at: Date.now() });
+        if (this.entries.length > this.limit) this.entries.shift();
+        this.position = this.entries.length - 1;
+    }
 
-        return {
-            title: data[mapping.title] || data.title,
-            date: data[mapping.date] || data.date,
-            explanation: data[mapping.explanation] || data.explanation,
-            url: data[mapping.url] || data.url,
-            hdurl: data[mapping.hdurl] || data.hdurl,
-            media_type: data[mapping.mediaType] || data.media_type || 'image',
-            copyright: data[mapping.copyright] || data.copyright
-        };
+    list() {
+        return this.entries.map(({ action, at }, index) => ({
+            index,
+            action,
+            time: new Date(at).toLocaleTimeString(),
+            current: index === this.position
+        }));
     }
 
-    static createDemoSample() {
-        return {
-            title: "The Horsehead Nebula (Demo Sample)",
-            date: new Date().toISOString().split('T')[0],
-            explanation: "This is a demo sample showing your futuristic astronomy app. The Horsehead Nebula is a dark nebula in the constellation Orion. Get your free NASA API key to see real daily astronomy pictures!",
-            url: "https://upload.wikimedia.org/wikipedia/commons/thumb/e/e0/Horsehead_Nebula_0.jpg/512px-Horsehead_Nebula_0.jpg",
-            hdurl: "https://upload.wikimedia.org/wikipedia/commons/e/e0/Horsehead_Nebula_0.jpg",
-            media_type: "image",
-            copyright: "Demo Image from Wikimedia Commons"
-        };
+    jumpTo(index) {
+        const entry = this.entries[index];
+        if (!entry) return false;
+
+        this.position = index;
+        this.travelling = true;
+        try {
+            this.state.setState(entry.state, `@@jump ${index}: ${entry.action}`);
+        } finally {
+            this.travelling = false;
+        }
+        return true;
     }
-}
 
-// Component Base Class - React-like component system
-class Component {
-    constructor(element, state) {
-        this.element = element;
-        this.state = state;
-        this.state.subscribe(this.render.bind(this));
+    undo() {
+        return this.position > 0 && this.jumpTo(this.position - 1);
     }
 
-    render(state) {
-        // Override in subclasses
+    redo() {
+        return this.position < this.entries.length - 1 && this.jumpTo(this.position + 1);
     }
 
-    show() {
-        this.element.style.display = 'block';
+    clear() {
+        this.entries = [{ action: '@@init', state: this.state.state, at: Date.now() }];
+        this.position = 0;
     }
+}
 
-    hide() {
-        this.element.style.display = 'none';
+// App Events - lifecycle notifications for plugins and the page around the app.
+// Every event reaches on() listeners and is also dispatched as an `apod:<type>` CustomEvent on the target.
+class AppEvents {
+    constructor(target = null) {
+        this.target = target;
+        this.listeners = new Map(AppEvents.TYPES.map(type => [type, new Set()]));
     }
 
-    addClass(className) {
-        this.element.classList.add(className);
+    static get TYPES() {
+        return ['ready', 'pictureRequested', 'pictureLoaded', 'mediaReady', 'error', 'providerChanged'];
     }
 
-    removeClass(className) {
-        this.element.classList.remove(className);
+    // Returns an unsubscribe function
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            throw new Error(`Unknown event "${type}" - expected one of ${AppEvents.TYPES.join(', ')}`);
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
     }
-}
 
-// Loading Component
-class LoadingComponent extends Component {
-    constructor(element, state) {
-        super(element, state);
+    once(type, listener) {
+        const unsubscribe = this.on(type, detail => {
+            unsubscribe();
+            listener(detail);
+        });
+        return unsubscribe;
     }
 
-    render(state) {
-        if (state.loading) {
-            this.show();
-            this.addClass('animate-in');
-        } else {
-            this.hide();
-            this.removeClass('animate-in');
+    // A failing listener is logged and skipped; it must not break the app or the other listeners
+    emit(type, detail = {}) {
+        [...this.listeners.get(type)].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`❌ "${type}" listener failed:`, error);
+            }
+        });
+
+        if (this.target) {
+            this.target.dispatchEvent(new CustomEvent(`apod:${type}`, { detail, bubbles: true, composed: true }));
         }
     }
 }
 
-// Error Component
-class ErrorComponent extends Component {
-    constructor(element, messageElement, state) {
-        super(element, state);
-        this.messageElement = messageElement;
+// Internationalization - message catalogs with {placeholder} interpolation and Intl formatting
+// Catalogs live in locales/<code>.js and register themselves on globalThis.APOD_LOCALES; any key
+// missing from the active catalog falls back to the fallback locale's, and finally to the key itself.
+class I18n {
+    constructor(options = {}) {
+        this.options = {
+            defaultLocale: 'auto',
+            fallbackLocale: 'en',
+            locales: ['en'],
+            path: 'locales/',
+            storageKey: 'astronomy-apod-locale',
+            ...options
+        };
+        this.catalogs = globalThis.APOD_LOCALES || (globalThis.APOD_LOCALES = {});
+        this.locale = this.options.fallbackLocale;
+        this.loading = new Map();
+        this.pluralRules = null;
+        this.started = null;
+        this.listeners = new Set();
     }
 
-    render(state) {
-        if (state.error) {
-            this.showError(state.error);
-        } else {
-            this.hide();
+    // One language for the whole page, shared by every viewer on it; catalogs load from next to app.js
+    static get shared() {
+        if (!I18n.sharedInstance) {
+            const config = typeof I18N_CONFIG !== 'undefined' ? I18N_CONFIG : {};
+            I18n.sharedInstance = new I18n({ ...config, path: AppUtils.assetUrl(config.path || 'locales/') });
         }
+        return I18n.sharedInstance;
     }
 
-    showError(error) {
-        this.messageElement.innerHTML = error.replace(/\n/g, '<br>');
-        this.show();
-        
-        if (error.includes('Rate limit exceeded')) {
-            this.addRetryButton();
-        }
+    static t(key, params) {
+        return I18n.shared.t(key, params);
     }
 
-    addRetryButton() {
-        const existingBtn = this.element.querySelector('#retry-btn');
-        if (existingBtn) existingBtn.remove();
-        
-        const retryBtn = this.createRetryButton();
-        this.element.appendChild(retryBtn);
+    get availableLocales() {
+        return this.options.locales;
     }
 
-    createRetryButton() {
-        const button = document.createElement('button');
-        button.id = 'retry-btn';
-        button.innerHTML = '<span class="btn-icon">🔬</span><span>Try Demo Sample</span>';
-        button.className = 'glass-btn primary demo-btn';
-        
-        button.addEventListener('click', () => {
-            const demoData = AstronomyAPIService.createDemoSample();
-            this.state.setState({ error: null, currentPicture: demoData });
-        });
-        
-        return button;
+    // The language's own name for itself, e.g. "Deutsch", for the switcher
+    getLocaleName(code) {
+        try {
+            const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+            return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+        } catch (error) {
+            return code;
+        }
     }
-}
 
-// Media Component
-class MediaComponent extends Component {
-    constructor(element, state) {
-        super(element, state);
+    // Saved choice first, then the browser's languages (exact, then base language), then the default
+    resolveInitialLocale() {
+        const supported = this.options.locales;
+        const candidates = [this.readStoredLocale()];
+        if (this.options.defaultLocale === 'auto') {
+            const languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+            languages.filter(Boolean).forEach(language => candidates.push(language, language.split('-')[0]));
+        } else {
+            candidates.push(this.options.defaultLocale);
+        }
+        return candidates.find(code => code && supported.includes(code)) || this.options.fallbackLocale;
     }
 
-    render(state) {
-        if (state.currentPicture) {
-            this.displayMedia(state.currentPicture);
-        }
+    // Safe to call from every viewer; only the first call picks the language
+    async start() {
+        if (!this.started) this.started = this.setLocale(this.resolveInitialLocale(), { persist: false });
+        await this.started;
+        return this.locale;
     }
 
-    displayMedia(data) {
-        this.element.innerHTML = '';
-        
-        const mediaElement = this.createMediaElement(data);
-        this.element.appendChild(mediaElement);
-        
-        // Add entrance animation
-        requestAnimationFrame(() => {
-            mediaElement.classList.add('fade-in');
-        });
+    // Called as listener(code) after every switch; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
     }
 
-    createMediaElement(data) {
-        const isVideo = data.media_type === 'video' || 
-                       data.url.includes('youtube.com') || 
-                       data.url.includes('vimeo.com');
-        
-        if (isVideo) {
-            return this.createVideoElement(data);
-        } else {
-            return this.createImageElement(data);
+    getDirection(code = this.locale) {
+        return (this.catalogs[code] && this.catalogs[code].dir) || 'ltr';
+    }
+
+    async setLocale(code, options = {}) {
+        const { persist = true } = options;
+        if (!this.options.locales.includes(code)) {
+            throw new Error(`Unsupported locale: ${code}`);
         }
+
+        await Promise.all([this.loadCatalog(this.options.fallbackLocale), this.loadCatalog(code)]);
+        this.locale = code;
+        this.pluralRules = new Intl.PluralRules(code);
+        if (persist) this.storeLocale(code);
+
+        this.listeners.forEach(listener => listener(code));
+        return code;
     }
 
-    createVideoElement(data) {
-        const iframe = document.createElement('iframe');
-        iframe.src = data.url;
-        iframe.frameBorder = '0';
-        iframe.allowFullscreen = true;
-        iframe.style.width = '100%';
-        iframe.style.height = '400px';
-        iframe.alt = data.title || 'Astronomy video';
-        iframe.className = 'media-element';
-        return iframe;
+    // Catalogs are plain scripts rather than JSON so they also load when the page is opened from file://
+    loadCatalog(code) {
+        if (this.catalogs[code]) return Promise.resolve(this.catalogs[code]);
+        if (this.loading.has(code)) return this.loading.get(code);
+
+        const src = `${this.options.path}${code}.js`;
+        const promise = new Promise((resolve, reject) => {
+            if (typeof document === 'undefined') {
+                reject(new Error(`Catalog ${src} is not loaded`));
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => (this.catalogs[code] ? resolve(this.catalogs[code]) : reject(new Error(`${src} did not register a catalog`)));
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.head.appendChild(script);
+        }).finally(() => this.loading.delete(code));
+
+        this.loading.set(code, promise);
+        return promise;
     }
 
-    createImageElement(data) {
-        const img = document.createElement('img');
-        img.src = data.hdurl || data.url;
-        img.alt = data.title || 'Astronomy picture';
-        img.className = 'media-element';
-        
-        if (data.hdurl && data.hdurl !== data.url) {
-            img.style.cursor = 'pointer';
-            img.title = 'Click to view high resolution image';
-            img.addEventListener('click', () => this.openHighResImage(data.hdurl));
+    readStoredLocale() {
+        try {
+            return globalThis.localStorage ? globalThis.localStorage.getItem(this.options.storageKey) : null;
+        } catch (error) {
+            return null;
         }
-        
-        img.addEventListener('error', () => {
-            img.src = data.url;
-        });
-        
-        return img;
     }
 
-    openHighResImage(url) {
-        window.open(url, '_blank');
+    storeLocale(code) {
+        try {
+            if (globalThis.localStorage) globalThis.localStorage.setItem(this.options.storageKey, code);
+        } catch (error) {
+            console.warn('⚠️ Could not save language preference:', error);
+        }
     }
-}
 
-// Info Component
-class InfoComponent extends Component {
-    constructor(elements, state) {
-        super(elements.container, state);
-        this.elements = elements;
+    lookup(key) {
+        for (const code of [this.locale, this.options.fallbackLocale]) {
+            const catalog = this.catalogs[code];
+            if (catalog && catalog.messages && catalog.messages[key] !== undefined) return catalog.messages[key];
+        }
+        console.warn(`⚠️ Missing translation: ${key}`);
+        return key;
     }
 
-    render(state) {
-        if (state.currentPicture) {
-            this.displayInfo(state.currentPicture);
-            this.show();
-        } else {
-            this.hide();
+    t(key, params = {}) {
+        let message = this.lookup(key);
+
+        if (message && typeof message === 'object') {
+            const category = this.pluralRules ? this.pluralRules.select(params.count ?? 0) : 'other';
+            message = message[category] ?? message.other;
         }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
     }
 
-    displayInfo(data) {
-        this.elements.title.textContent = data.title || 'Untitled';
-        this.elements.date.textContent = this.formatDate(data.date);
-        this.elements.explanation.textContent = data.explanation || 'No description available.';
-        
-        if (data.copyright) {
-            this.elements.creditText.textContent = data.copyright;
-            this.elements.credit.style.display = 'block';
-        } else {
-            this.elements.credit.style.display = 'none';
-        }
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
     }
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+    // APOD dates are calendar days; ApodDate.format keeps the viewer's zone from shifting them
+    formatDate(dateString, options = { dateStyle: 'medium' }) {
+        return ApodDate.format(dateString, this.locale, options);
+    }
+
+    // Static markup opts in with data-i18n="key" (text) and data-i18n-attr="attr:key, attr:key"
+    translateElement(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
         });
     }
 }
 
-// Controls Component
-class ControlsComponent extends Component {
-    constructor(elements, state, apiService) {
-        super(elements.container, state);
-        this.elements = elements;
-        this.apiService = apiService;
-        this.setupControls();
+// Cache Stores - pluggable persistence backends sharing one async interface
+class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
     }
 
-    setupControls() {
-        this.setupDateInput();
-        this.bindEvents();
+    async get(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
     }
 
-    setupDateInput() {
-        const today = new Date().toISOString().split('T')[0];
-        this.elements.dateInput.max = today;
-        this.elements.dateInput.value = today;
+    async set(key, record) {
+        this.entries.set(key, record);
     }
 
-    bindEvents() {
-        this.elements.fetchBtn.addEventListener('click', () => this.handleFetchClick());
-        this.elements.todayBtn.addEventListener('click', () => this.handleTodayClick());
-        this.elements.dateInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleFetchClick();
-        });
+    async delete(key) {
+        this.entries.delete(key);
     }
 
-    async handleFetchClick() {
+    async keys() {
+        return [...this.entries.keys()];
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+// File-backed store for Node - keeps a JSON snapshot next to the process
+class FileCacheStore extends MemoryCacheStore {
+    constructor(filePath) {
+        super();
+        this.fs = require('fs');
+        this.filePath = filePath;
+        this.load();
+    }
+
+    load() {
+        try {
+            const raw = this.fs.readFileSync(this.filePath, 'utf8');
+            this.entries = new Map(Object.entries(JSON.parse(raw)));
+        } catch (error) {
+            this.entries = new Map();
+        }
+    }
+
+    persist() {
+        this.fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    }
+
+    async set(key, record) {
+        await super.set(key, record);
+        this.persist();
+    }
+
+    async delete(key) {
+        await super.delete(key);
+        this.persist();
+    }
+
+    async clear() {
+        await super.clear();
+        this.persist();
+    }
+}
+
+// IndexedDB store for the browser - survives reloads without size limits of localStorage
+class IndexedDBCacheStore {
+    constructor(databaseName, storeName = 'responses') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const record = await this.run('readonly', store => store.get(key));
+        return record === undefined ? null : record;
+    }
+
+    async set(key, record) {
+        await this.run('readwrite', store => store.put(record, key));
+    }
+
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
+
+// Response Cache - keyed by provider + date; past dates never expire, today's entry does
+class ResponseCache {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.todayTtl = (options.todayTtlMinutes ?? 60) * 60 * 1000;
+        this.storeListeners = [];
+    }
+
+    onEntryStored(listener) {
+        this.storeListeners.push(listener);
+    }
+
+    static createDefault(options = {}) {
+        let store;
+        if (typeof indexedDB !== 'undefined') {
+            store = new IndexedDBCacheStore(options.databaseName || 'astronomy-apod-cache');
+        } else if (typeof process !== 'undefined' && process.versions && process.versions.node && options.filePath) {
+            store = new FileCacheStore(options.filePath);
+        } else {
+            store = new MemoryCacheStore();
+        }
+        return new ResponseCache(store, options);
+    }
+
+    buildKey(provider, date) {
+        return `${provider}:${date}`;
+    }
+
+    async get(provider, date) {
+        try {
+            const key = this.buildKey(provider, date);
+            const record = await this.store.get(key);
+            if (!record) return null;
+
+            if (record.expiresAt && record.expiresAt <= Date.now()) {
+                await this.store.delete(key);
+                return null;
+            }
+            return record.data;
+        } catch (error) {
+            console.warn('⚠️ Cache read failed:', error);
+            return null;
+        }
+    }
+
+    async set(provider, date, data) {
+        const record = {
+            data,
+            storedAt: Date.now(),
+            expiresAt: date === ApodDate.today() ? Date.now() + this.todayTtl : null
+        };
+
+        try {
+            await this.store.set(this.buildKey(provider, date), record);
+            this.storeListeners.forEach(listener => listener(data, provider));
+        } catch (error) {
+            console.warn('⚠️ Cache write failed:', error);
+        }
+    }
+
+    // Every unexpired entry, whichever provider stored it
+    async entries() {
+        const keys = await this.store.keys();
+        const records = await Promise.all(keys.map(key => this.store.get(key)));
+        const now = Date.now();
+        return records
+            .filter(record => record && (!record.expiresAt || record.expiresAt > now))
+            .map(record => record.data);
+    }
+
+    async dates(provider) {
+        const keys = await this.store.keys();
+        const prefix = `${provider}:`;
+        return keys
+            .map(String)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+    }
+
+    async stats() {
+        const keys = await this.store.keys();
+        const byProvider = {};
+        keys.forEach(key => {
+            const provider = String(key).split(':')[0];
+            byProvider[provider] = (byProvider[provider] || 0) + 1;
+        });
+        return { entries: keys.length, byProvider, keys };
+    }
+
+    async clear() {
+        await this.store.clear();
+    }
+}
+
+// API Error - carries the HTTP status and whether another provider is worth trying
+class ApiError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = details.status || null;
+        this.code = details.code || (details.status ? `http_${details.status}` : 'unknown');
+        this.retryable = Boolean(details.retryable);
+        this.provider = details.provider || null;
+        this.retryAt = details.retryAt || null;
+    }
+
+    static aborted() {
+        return new ApiError('Request cancelled', { code: 'aborted' });
+    }
+
+    get aborted() {
+        return this.code === 'aborted';
+    }
+
+    // Worth retrying against the same provider after a pause
+    get transient() {
+        return this.code === 'network' || this.code === 'timeout' ||
+               this.status === 429 || this.status >= 500;
+    }
+}
+
+// Mapping Error - the provider answered, but not in the shape its responseMapping describes
+class MappingError extends ApiError {
+    constructor(message, details = {}) {
+        // Another provider may still answer properly, but retrying this one won't help
+        super(message, { code: 'mapping', retryable: true, ...details });
+        this.name = 'MappingError';
+        this.field = details.field || null;
+        this.path = details.path || null;
+    }
+}
+
+// Response Mapper - turns provider payloads into APOD-shaped entries using `responseMapping`.
+// A field is mapped by a path ('data.media.hd.src', 'images[0].url'), a function of the raw
+// entry, or { path, default, transform, format } where `format` parses the date field.
+class ResponseMapper {
+    constructor(mapping = {}, options = {}) {
+        this.mapping = mapping;
+        this.providerId = options.providerId || null;
+        this.label = options.label || options.providerId || 'The API';
+    }
+
+    // Mapping keys and the entry fields they fill; only media_type has a built-in default
+    static get FIELDS() {
+        return [
+            { key: 'title', field: 'title' },
+            { key: 'date', field: 'date' },
+            { key: 'explanation', field: 'explanation' },
+            { key: 'url', field: 'url' },
+            { key: 'hdurl', field: 'hdurl' },
+            { key: 'mediaType', field: 'media_type', fallback: 'image' },
+            { key: 'copyright', field: 'copyright' },
+            { key: 'thumbnailUrl', field: 'thumbnail_url' }
+        ];
+    }
+
+    static get ENTRY_SCHEMA() {
+        return {
+            title: { required: true, type: 'string' },
+            date: { required: true, type: 'string', validate: AppUtils.dateUtils.isCalendarDate },
+            // APOD publishes some interactive ('other') entries without a url
+            url: { required: entry => entry.media_type !== 'other', type: 'string' },
+            explanation: { type: 'string' },
+            hdurl: { type: 'string' },
+            media_type: { required: true, type: 'string' },
+            copyright: { type: 'string' },
+            thumbnail_url: { type: 'string' }
+        };
+    }
+
+    map(data) {
+        if (Array.isArray(data)) {
+            return data.map((raw, index) => this.mapEntry(raw, index));
+        }
+        return this.mapEntry(data);
+    }
+
+    mapEntry(raw, index = null) {
+        if (!raw || typeof raw !== 'object') {
+            throw this.createError(`${this.describeEntry(index)} is not an object`);
+        }
+
+        const entry = {};
+        for (const { key, field, fallback } of ResponseMapper.FIELDS) {
+            entry[field] = this.resolveField(raw, key, fallback, index);
+        }
+
+        try {
+            AppUtils.validateApiResponse(entry, ResponseMapper.ENTRY_SCHEMA);
+        } catch (error) {
+            const { key } = ResponseMapper.FIELDS.find(candidate => candidate.field === error.field);
+            const problem = error.reason === 'missing' ? 'is missing' : 'has an invalid';
+            throw this.createError(
+                `${this.describeEntry(index)} ${problem} "${error.field}" (${this.describeSource(key)})`,
+                { field: error.field, path: this.describeSource(key) }
+            );
+        }
+        return entry;
+    }
+
+    resolveField(raw, key, fallback, index) {
+        const spec = ResponseMapper.normalizeSpec(this.mapping[key]);
+        if (!spec) return fallback;
+
+        let value;
+        try {
+            value = spec.read ? spec.read(raw) : ResponseMapper.readPath(raw, spec.path);
+            if (ResponseMapper.isEmpty(value)) value = spec.default !== undefined ? spec.default : fallback;
+            if (ResponseMapper.isEmpty(value)) return undefined;
+
+            if (spec.transform) value = spec.transform(value, raw);
+            if (key === 'date') value = ResponseMapper.parseDate(value, spec.format);
+        } catch (error) {
+            const field = ResponseMapper.FIELDS.find(candidate => candidate.key === key).field;
+            throw this.createError(
+                `${this.describeEntry(index)} has an unreadable "${field}" (${this.describeSource(key)}): ${error.message}`,
+                { field, path: this.describeSource(key) }
+            );
+        }
+        return value;
+    }
+
+    describeEntry(index) {
+        return index === null ? `${this.label} response` : `${this.label} entry ${index + 1}`;
+    }
+
+    describeSource(key) {
+        const spec = ResponseMapper.normalizeSpec(this.mapping[key]);
+        if (!spec) return `no "${key}" mapping configured`;
+        return spec.read ? `computed by responseMapping.${key}` : `mapped from ${spec.path}`;
+    }
+
+    createError(message, details = {}) {
+        return new MappingError(message, { provider: this.providerId, ...details });
+    }
+
+    static normalizeSpec(spec) {
+        if (spec === undefined || spec === null || spec === '') return null;
+        if (typeof spec === 'string') return { path: spec };
+        if (typeof spec === 'function') return { read: spec };
+        return spec.path || spec.read ? spec : { ...spec, path: null, read: () => undefined };
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // 'a.b[0].c' and 'a.b.0.c' both walk objects and arrays; missing steps yield undefined
+    static readPath(source, path) {
+        const steps = String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+        return steps.reduce((value, step) => (value === undefined || value === null ? undefined : value[step]), source);
+    }
+
+    // Normalises a provider date to YYYY-MM-DD. `format` is a token pattern such as
+    // 'DD/MM/YYYY', 'iso' for full timestamps, 'unix'/'unix-ms' for epochs, or a function
+    static parseDate(value, format = 'YYYY-MM-DD') {
+        const { isCalendarDate } = AppUtils.dateUtils;
+        let parsed;
+
+        if (typeof format === 'function') {
+            parsed = format(value);
+        } else if (format === 'iso' || format === 'unix' || format === 'unix-ms') {
+            // An ISO timestamp's written date is the entry's; epochs mark the day at UTC midnight
+            const written = format === 'iso' && String(value).match(/^\d{4}-\d{2}-\d{2}/);
+            const time = format === 'iso' ? new Date(value) : new Date(Number(value) * (format === 'unix' ? 1000 : 1));
+            parsed = written ? written[0] : (isNaN(time) ? null : ApodDate.fromInstant(time, 'UTC'));
+        } else {
+            const pattern = String(format)
+                .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+                .replace('YYYY', '(?<year>\\d{4})')
+                .replace('MM', '(?<month>\\d{1,2})')
+                .replace('DD', '(?<day>\\d{1,2})');
+            const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+            if (match) {
+                const { year, month, day } = match.groups;
+                parsed = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+            }
+        }
+
+        if (!isCalendarDate(parsed)) {
+            const expected = typeof format === 'function' ? 'a parsed date' : `a date in ${format} format`;
+            throw new Error(`expected ${expected}, got "${value}"`);
+        }
+        return parsed;
+    }
+}
+
+// API Service - Clean separation of concerns
+class AstronomyAPIService {
+    constructor(config, cache = null) {
+        this.config = config;
+        this.cache = cache;
+        this.rateLimit = { remaining: null, limit: null, retryAt: null };
+        this.rateLimitListeners = [];
+        this.retry = {
+            attempts: 3,
+            baseDelayMs: 500,
+            maxDelayMs: 8000,
+            rateLimitWaitSeconds: 60,
+            ...config.retry
+        };
+        this.transport = AstronomyAPIService.resolveTransport(config);
+        this.mapper = new ResponseMapper(config.responseMapping, {
+            providerId: config.id,
+            label: config.label
+        });
+    }
+
+    // Returns a function that removes the listener again
+    onRateLimitChange(listener) {
+        this.rateLimitListeners.push(listener);
+        return () => {
+            this.rateLimitListeners = this.rateLimitListeners.filter(candidate => candidate !== listener);
+        };
+    }
+
+    static sleep(ms, signal) {
+        if (signal && signal.aborted) return Promise.reject(ApiError.aborted());
+        return new Promise((resolve, reject) => {
+            // Long-lived signals (such as a bulk index run) see many sleeps, so each one unhooks itself
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(ApiError.aborted());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // The mock and demo providers answer in-page, so they work offline and from file://
+    static resolveTransport(config) {
+        if (config.transport === 'mock') {
+            if (typeof MockApodProvider === 'undefined') {
+                throw new Error('Mock provider selected but mock-apod.js is not loaded');
+            }
+            return (url, options) => MockApodProvider.shared.fetch(url, options);
+        }
+        if (config.transport === 'demo') {
+            return async (url, options = {}) => {
+                if (options.signal && options.signal.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+                return AstronomyAPIService.createDemoResponse(url, config);
+            };
+        }
+        return (url, options) => fetch(url, options);
+    }
+
+    // Answers any date, range or count request with the bundled demo sample
+    static createDemoResponse(url, config) {
+        const params = new URL(url, 'http://demo.local').searchParams;
+        const startDate = params.get(config.startDateParam || 'start_date');
+        const count = parseInt(params.get(config.countParam || 'count'), 10);
+        const sampleFor = (date) => ({ ...AstronomyAPIService.createDemoSample(), ...(date ? { date } : {}) });
+
+        let body;
+        if (startDate) {
+            const endDate = params.get(config.endDateParam || 'end_date') || ApodDate.today();
+            body = AppUtils.dateUtils.listDates(startDate, endDate).map(sampleFor);
+        } else if (count > 0) {
+            body = Array.from({ length: count }, () => sampleFor());
+        } else {
+            body = sampleFor(params.get(config.dateParam || 'date'));
+        }
+
+        return new Response(JSON.stringify(body), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    get providerId() {
+        return this.config.id || 'default';
+    }
+
+    async getCachedPicture(date) {
+        if (!this.cache) return null;
+        return this.cache.get(this.providerId, date);
+    }
+
+    async getCachedDates() {
+        return this.cache ? this.cache.dates(this.providerId) : [];
+    }
+
+    // Every fetch accepts { signal } so callers can cancel work the user has moved away from
+    async fetchPictureData(date, options = {}) {
+        try {
+            const cached = await this.getCachedPicture(date);
+            if (cached) return cached;
+
+            const rawData = await this.requestJson(this.buildApiUrl(date), options);
+            const data = this.transformResponse(rawData);
+            if (this.cache) {
+                await this.cache.set(this.providerId, date, data);
+            }
+            return data;
+        } catch (error) {
+            this.logError(error);
+            throw error;
+        }
+    }
+
+    // Loads a date range in chunks so callers can render entries as they arrive
+    async fetchPictureRange(startDate, endDate, options = {}) {
+        const { chunkDays = 7, onChunk, signal } = options;
+        const entries = [];
+
+        for (const [chunkStart, chunkEnd] of this.splitDateRange(startDate, endDate, chunkDays)) {
+            const chunkEntries = await this.fetchRangeChunk(chunkStart, chunkEnd, { signal });
+            entries.push(...chunkEntries);
+            if (onChunk) onChunk(chunkEntries, entries);
+        }
+
+        return entries;
+    }
+
+    async fetchRangeChunk(startDate, endDate, options = {}) {
+        try {
+            // Skip the request entirely when every date in the chunk is already cached
+            const dates = AppUtils.dateUtils.listDates(startDate, endDate);
+            const cached = await Promise.all(dates.map(date => this.getCachedPicture(date)));
+            if (cached.every(Boolean)) return cached;
+
+            const rawData = await this.requestJson(this.buildRangeUrl(startDate, endDate), options);
+            const entries = this.toEntryList(this.transformResponse(rawData));
+            await this.cacheEntries(entries);
+            return entries;
+        } catch (error) {
+            this.logError(error);
+            throw error;
+        }
+    }
+
+    // Random entries can't be served from cache, but they do fill it for later date lookups
+    async fetchRandomPictures(count, options = {}) {
+        try {
+            const rawData = await this.requestJson(this.buildCountUrl(count), options);
+            const entries = this.toEntryList(this.transformResponse(rawData));
+            await this.cacheEntries(entries);
+            return entries;
+        } catch (error) {
+            this.logError(error);
+            throw error;
+        }
+    }
+
+    logError(error) {
+        // Cancellations are routine (the user moved on), not failures
+        if (!error.aborted) console.error('API Service Error:', error);
+    }
+
+    toEntryList(data) {
+        return Array.isArray(data) ? data : [data];
+    }
+
+    async cacheEntries(entries) {
+        if (!this.cache) return;
+        await Promise.all(entries
+            .filter(entry => entry.date)
+            .map(entry => this.cache.set(this.providerId, entry.date, entry)));
+    }
+
+    splitDateRange(startDate, endDate, chunkDays) {
+        const chunks = [];
+        let chunkStart = startDate;
+
+        while (chunkStart <= endDate) {
+            const candidateEnd = AppUtils.dateUtils.addDays(chunkStart, chunkDays - 1);
+            const chunkEnd = candidateEnd < endDate ? candidateEnd : endDate;
+            chunks.push([chunkStart, chunkEnd]);
+            chunkStart = AppUtils.dateUtils.addDays(chunkEnd, 1);
+        }
+
+        return chunks;
+    }
+
+    // Transient failures (429, 5xx, network, timeout) are retried with exponential backoff and jitter
+    async requestJson(url, options = {}) {
+        const { signal } = options;
+
+        for (let attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) throw ApiError.aborted();
+            try {
+                return await this.requestJsonOnce(url, signal);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) throw error;
+
+                console.warn(`⏳ ${error.message} - retrying in ${delay}ms (attempt ${attempt + 1} of ${this.retry.attempts})`);
+                await AstronomyAPIService.sleep(delay, signal);
+            }
+        }
+    }
+
+    getRetryDelay(error, attempt) {
+        if (!(error instanceof ApiError) || !error.transient || attempt >= this.retry.attempts) return null;
+
+        const backoff = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1));
+        const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        // Honour Retry-After, but don't block the user for longer than the backoff ceiling
+        if (error.retryAt) {
+            const wait = error.retryAt - Date.now();
+            return wait <= this.retry.maxDelayMs ? Math.max(wait, jittered) : null;
+        }
+        return jittered;
+    }
+
+    async requestJsonOnce(url, signal) {
+        const response = await this.fetchWithTimeout(url, signal);
+        this.readRateLimit(response);
+
+        if (!response.ok) {
+            throw await this.handleApiError(response);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new ApiError(I18n.t('errors.malformed'), {
+                code: 'malformed',
+                retryable: true,
+                provider: this.providerId
+            });
+        }
+    }
+
+    // Races the transport against the timeout and the caller's signal, so even transports
+    // that ignore abort signals stop holding up the caller
+    async fetchWithTimeout(url, signal) {
+        const timeoutMs = this.config.timeoutMs || 15000;
+        const controller = new AbortController();
+        let timer;
+        let onAbort;
+        const interrupted = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new ApiError(I18n.t('errors.timeout', { seconds: timeoutMs / 1000 }), {
+                    code: 'timeout',
+                    retryable: true,
+                    provider: this.providerId
+                }));
+            }, timeoutMs);
+
+            if (signal) {
+                onAbort = () => {
+                    controller.abort();
+                    reject(ApiError.aborted());
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+
+        try {
+            return await Promise.race([this.transport(url, { signal: controller.signal }), interrupted]);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (signal && signal.aborted) throw ApiError.aborted();
+            throw new ApiError(I18n.t('errors.network'), {
+                code: 'network',
+                retryable: true,
+                provider: this.providerId
+            });
+        } finally {
+            clearTimeout(timer);
+            if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    readRateLimit(response) {
+        const header = (name) => (response.headers ? response.headers.get(name) : null);
+        const remaining = parseInt(header('X-RateLimit-Remaining'), 10);
+        const limit = parseInt(header('X-RateLimit-Limit'), 10);
+        const retryAt = this.parseRetryAfter(header('Retry-After'), response.status);
+
+        // Stand-in providers send no quota headers; keep the last known numbers rather than blanking them
+        if (isNaN(remaining) && isNaN(limit) && !retryAt && !this.rateLimit.retryAt) return;
+
+        this.rateLimit = {
+            remaining: isNaN(remaining) ? this.rateLimit.remaining : remaining,
+            limit: isNaN(limit) ? this.rateLimit.limit : limit,
+            retryAt
+        };
+        this.rateLimitListeners.forEach(listener => listener({ provider: this.providerId, ...this.rateLimit }));
+    }
+
+    // Retry-After is either delay-seconds or an HTTP date; 429s without it get a default wait
+    parseRetryAfter(value, status) {
+        if (value) {
+            const seconds = Number(value);
+            const retryAt = isNaN(seconds) ? Date.parse(value) : Date.now() + seconds * 1000;
+            if (!isNaN(retryAt)) return retryAt;
+        }
+        return status === 429 ? Date.now() + this.retry.rateLimitWaitSeconds * 1000 : null;
+    }
+
+    async handleApiError(response) {
+        const knownStatuses = [400, 403, 404, 429, 500];
+        const status = response.status > 500 ? 500 : response.status;
+        
+        const message = knownStatuses.includes(status)
+            ? I18n.t(`errors.http${status}`)
+            : I18n.t('errors.httpOther', { status: String(response.status), statusText: response.statusText || '' }).trim();
+        return new ApiError(message, {
+            status: response.status,
+            retryAt: response.status === 429 ? this.rateLimit.retryAt : null,
+            // Bad keys, rate limits and server faults are provider problems; 400/404 are about the request
+            retryable: response.status === 403 || response.status === 429 || response.status >= 500,
+            provider: this.providerId
+        });
+    }
+
+    buildApiUrl(date) {
+        return this.buildRequestUrl({
+            [this.config.dateParam]: date
+        });
+    }
+
+    buildRangeUrl(startDate, endDate) {
+        return this.buildRequestUrl({
+            [this.config.startDateParam || 'start_date']: startDate,
+            [this.config.endDateParam || 'end_date']: endDate
+        });
+    }
+
+    buildCountUrl(count) {
+        return this.buildRequestUrl({
+            [this.config.countParam || 'count']: count
+        });
+    }
+
+    buildRequestUrl(query) {
+        const params = new URLSearchParams(query);
+        // Video entries only carry a thumbnail_url when asked for one
+        if (this.config.thumbsParam) {
+            params.set(this.config.thumbsParam, 'true');
+        }
+        // Keyless providers (e.g. the local proxy) add the key server-side
+        if (this.config.apiKey) {
+            params.set(this.config.apiKeyParam, this.config.apiKey);
+        }
+        return `${this.config.baseUrl}?${params.toString()}`;
+    }
+
+    // Multi-entry calls (ranges, counts) return arrays; each element is mapped and validated
+    transformResponse(data) {
+        return this.mapper.map(data);
+    }
+
+    static createDemoSample() {
+        return {
+            title: "The Horsehead Nebula (Demo Sample)",
+            date: ApodDate.today(),
+            explanation: "This is a demo sample showing your futuristic astronomy app. The Horsehead Nebula is a dark nebula in the constellation Orion. Get your free NASA API key to see real daily astronomy pictures!",
+            url: "https://upload.wikimedia.org/wikipedia/commons/thumb/e/e0/Horsehead_Nebula_0.jpg/512px-Horsehead_Nebula_0.jpg",
+            hdurl: "https://upload.wikimedia.org/wikipedia/commons/e/e0/Horsehead_Nebula_0.jpg",
+            media_type: "image",
+            copyright: "Demo Image from Wikimedia Commons"
+        };
+    }
+}
+
+// Provider Chain - tries providers in order, skipping ones that keep failing for a cooldown
+class ProviderChainService {
+    constructor(services, options = {}) {
+        this.services = services;
+        this.options = {
+            failureThreshold: 2,
+            cooldownMinutes: 5,
+            ...options
+        };
+        this.health = new Map(services.map(service => [service.providerId, { failures: 0, cooldownUntil: 0 }]));
+    }
+
+    get primary() {
+        return this.availableServices()[0];
+    }
+
+    get providerId() {
+        return this.primary.providerId;
+    }
+
+    get config() {
+        return this.primary.config;
+    }
+
+    get rateLimit() {
+        return this.primary.rateLimit;
+    }
+
+    onRateLimitChange(listener) {
+        const unsubscribers = this.services.map(service => service.onRateLimitChange(listener));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    // Stand-in providers such as the demo sample are never cached or indexed as real entries
+    isCacheable(providerId) {
+        const service = this.services.find(candidate => candidate.providerId === providerId);
+        return !service || service.config.cacheable !== false;
+    }
+
+    getProviderLabel(providerId) {
+        const service = this.services.find(candidate => candidate.providerId === providerId);
+        return service ? (service.config.label || service.providerId) : providerId;
+    }
+
+    // Healthy providers in configured order; if every provider is cooling down, try them all anyway
+    availableServices() {
+        const now = Date.now();
+        const healthy = this.services.filter(service => this.health.get(service.providerId).cooldownUntil <= now);
+        return healthy.length > 0 ? healthy : this.services;
+    }
+
+    async run(operation) {
+        let lastError = null;
+
+        for (const service of this.availableServices()) {
+            try {
+                const result = await operation(service);
+                this.recordSuccess(service);
+                return this.withProvider(result, service);
+            } catch (error) {
+                // Cancellations and non-retryable errors say nothing about provider health
+                if (!error.retryable) throw error;
+                lastError = error;
+                this.recordFailure(service);
+                console.warn(`⚠️ ${this.getProviderLabel(service.providerId)} failed (${error.message}), trying next provider`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    withProvider(result, service) {
+        const annotate = (entry) => ({ ...entry, provider: service.providerId });
+        return Array.isArray(result) ? result.map(annotate) : annotate(result);
+    }
+
+    recordSuccess(service) {
+        this.health.set(service.providerId, { failures: 0, cooldownUntil: 0 });
+    }
+
+    recordFailure(service) {
+        const health = this.health.get(service.providerId);
+        health.failures++;
+        if (health.failures >= this.options.failureThreshold) {
+            health.cooldownUntil = Date.now() + this.options.cooldownMinutes * 60 * 1000;
+            health.failures = 0;
+            console.warn(`🧊 Skipping ${this.getProviderLabel(service.providerId)} for ${this.options.cooldownMinutes} minutes`);
+        }
+    }
+
+    async getCachedPicture(date) {
+        for (const service of this.availableServices()) {
+            const cached = await service.getCachedPicture(date);
+            if (cached) return this.withProvider(cached, service);
+        }
+        return null;
+    }
+
+    async getCachedDates() {
+        const dates = await Promise.all(this.services.map(service => service.getCachedDates()));
+        return [...new Set(dates.flat())].sort();
+    }
+
+    fetchPictureData(date, options = {}) {
+        return this.run(service => service.fetchPictureData(date, options));
+    }
+
+    // Each chunk may come from a different provider if one fails part-way through
+    async fetchPictureRange(startDate, endDate, options = {}) {
+        const { chunkDays = 7, onChunk, signal } = options;
+        const entries = [];
+
+        for (const [chunkStart, chunkEnd] of this.primary.splitDateRange(startDate, endDate, chunkDays)) {
+            const chunkEntries = await this.run(service => service.fetchRangeChunk(chunkStart, chunkEnd, { signal }));
+            entries.push(...chunkEntries);
+            if (onChunk) onChunk(chunkEntries, entries);
+        }
+
+        return entries;
+    }
+
+    fetchRandomPictures(count, options = {}) {
+        return this.run(service => service.fetchRandomPictures(count, options));
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return this.services.map(service => {
+            const { failures, cooldownUntil } = this.health.get(service.providerId);
+            return {
+                provider: service.providerId,
+                label: this.getProviderLabel(service.providerId),
+                failures,
+                coolingDownFor: Math.max(0, Math.round((cooldownUntil - now) / 1000))
+            };
+        });
+    }
+}
+
+// Prefetcher - quietly warms the cache for neighbouring dates within an API quota budget
+class PrefetchService {
+    constructor(apiService, options = {}) {
+        this.apiService = apiService;
+        this.options = {
+            enabled: true,
+            maxRequestsPerSession: 20,
+            minRemainingQuota: 10,
+            preloadImages: true,
+            ...options
+        };
+        this.requestsUsed = 0;
+        this.lastDate = null;
+        this.preloadedImages = new Map();
+        this.controller = null;
+    }
+
+    setApiService(apiService) {
+        this.cancel();
+        this.apiService = apiService;
+        this.lastDate = null;
+    }
+
+    // Background work yields to the user: any new load cancels prefetches still in flight
+    watch(state) {
+        return state.select(['view', 'loading', 'currentPicture'], ({ view, loading, currentPicture }) => {
+            if (loading) {
+                this.cancel();
+                return;
+            }
+            if (view !== 'picture' || !currentPicture) return;
+            if (currentPicture.date === this.lastDate) return;
+
+            this.lastDate = currentPicture.date;
+            this.schedule(() => this.prefetchAround(currentPicture.date));
+        });
+    }
+
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+        this.lastDate = null;
+    }
+
+    schedule(task) {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(() => task());
+        } else {
+            setTimeout(task, 300);
+        }
+    }
+
+    async prefetchAround(date) {
+        if (!this.options.enabled) return;
+
+        if (this.controller) this.controller.abort();
+        const controller = new AbortController();
+        this.controller = controller;
+        const { signal } = controller;
+
+        const { addDays, isWithinApodRange } = AppUtils.dateUtils;
+        const neighbours = [addDays(date, -1), addDays(date, 1)].filter(isWithinApodRange);
+
+        for (const neighbour of neighbours) {
+            if (signal.aborted) return;
+            let entry = await this.apiService.getCachedPicture(neighbour);
+
+            if (!entry) {
+                if (!this.hasBudget()) return;
+                this.requestsUsed++;
+                try {
+                    entry = await this.apiService.fetchPictureData(neighbour, { signal });
+                } catch (error) {
+                    if (error.aborted) return;
+                    console.warn(`⚠️ Prefetch skipped for ${neighbour}:`, error.message);
+                    continue;
+                }
+            }
+
+            if (signal.aborted) return;
+            this.preloadImage(entry, signal);
+        }
+    }
+
+    // Stops once the session budget is spent or the provider reports a low remaining quota
+    hasBudget() {
+        if (this.requestsUsed >= this.options.maxRequestsPerSession) return false;
+
+        const { remaining } = this.apiService.rateLimit || {};
+        return remaining === null || remaining === undefined || remaining > this.options.minRemainingQuota;
+    }
+
+    preloadImage(entry, signal) {
+        if (!this.options.preloadImages || !entry || entry.media_type !== 'image' || !entry.url) return;
+        if (this.preloadedImages.has(entry.url)) return;
+
+        const img = new Image();
+        const forget = () => this.preloadedImages.delete(entry.url);
+        img.addEventListener('error', forget, { once: true });
+        if (signal) {
+            // Dropping the src stops the browser downloading an image nobody is waiting for
+            signal.addEventListener('abort', () => {
+                if (img.complete) return;
+                img.removeAttribute('src');
+                forget();
+            }, { once: true });
+        }
+        img.src = entry.url;
+        this.preloadedImages.set(entry.url, img);
+
+        // Only keep references to the most recent neighbours
+        if (this.preloadedImages.size > 6) {
+            this.preloadedImages.delete(this.preloadedImages.keys().next().value);
+        }
+    }
+}
+
+// Offline Support - registers the service worker, mirrors connectivity into AppState and
+// works out which dates can still be shown without a network
+class OfflineService {
+    constructor(state, apiService, options = {}) {
+        this.state = state;
+        this.apiService = apiService;
+        this.options = {
+            enabled: true,
+            serviceWorkerUrl: 'sw.js',
+            imageCacheName: 'apod-images',
+            registerWorker: true,
+            ...options
+        };
+    }
+
+    // Embedded viewers still follow the connection but leave the service worker to the host page
+    start() {
+        if (this.options.enabled && this.options.registerWorker) this.registerServiceWorker();
+
+        window.addEventListener('online', () => this.setOffline(false));
+        window.addEventListener('offline', () => this.setOffline(true));
+        this.setOffline(navigator.onLine === false);
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            console.log('📴 Offline mode needs the app served over http(s), e.g. `node server.js`');
+            return;
+        }
+
+        navigator.serviceWorker.register(this.options.serviceWorkerUrl)
+            .then(() => console.log('📦 Service worker registered - the app works offline'))
+            .catch(error => console.warn('⚠️ Service worker registration failed:', error));
+    }
+
+    setApiService(apiService) {
+        this.apiService = apiService;
+        if (this.state.getState().offline) this.refreshAvailableDates();
+    }
+
+    async setOffline(offline) {
+        this.state.setState({ offline });
+        if (offline) await this.refreshAvailableDates();
+    }
+
+    async refreshAvailableDates() {
+        const dates = await this.apiService.getCachedDates();
+        const available = [];
+        for (const date of dates) {
+            if (await this.isAvailable(date)) available.push(date);
+        }
+        this.state.setState({ offlineDates: available });
+        return available;
+    }
+
+    // A date works offline when its entry is cached and, for images, the picture itself is too
+    async isAvailable(date) {
+        const entry = await this.apiService.getCachedPicture(date);
+        if (!entry) return false;
+        if (entry.media_type !== 'image' || !entry.url || entry.url.startsWith('data:')) return true;
+        if (typeof caches === 'undefined') return true;
+
+        const imageCache = await caches.open(this.options.imageCacheName);
+        const urls = [entry.hdurl, entry.url].filter(Boolean);
+        for (const url of urls) {
+            if (await imageCache.match(url)) return true;
+        }
+        return false;
+    }
+}
+
+// Search Index - in-memory inverted index over picture records, ranked with BM25.
+// Fields are weighted so a word in the title outranks the same word deep in an explanation.
+class SearchIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+        this.lengths = new Map();
+        this.totalLength = 0;
+    }
+
+    static get FIELD_WEIGHTS() {
+        return { title: 3, copyright: 2, explanation: 1 };
+    }
+
+    static get STOP_WORDS() {
+        if (!SearchIndex.stopWords) {
+            SearchIndex.stopWords = new Set((
+                'a an and are as at be but by for from has have in into is it its of on or that the ' +
+                'their this to was were which will with'
+            ).split(' '));
+        }
+        return SearchIndex.stopWords;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    has(date) {
+        return this.documents.has(date);
+    }
+
+    get(date) {
+        return this.documents.get(date) || null;
+    }
+
+    // Re-adding an entry replaces it; returns false when nothing searchable changed
+    add(entry) {
+        if (!entry || !entry.date) return false;
+
+        const existing = this.documents.get(entry.date);
+        if (existing && Object.keys(SearchIndex.FIELD_WEIGHTS).every(field => existing[field] === entry[field])) {
+            this.documents.set(entry.date, entry);
+            return false;
+        }
+        if (existing) this.remove(entry.date);
+
+        const frequencies = this.countTerms(entry);
+        let length = 0;
+        frequencies.forEach((frequency, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(entry.date, frequency);
+            length += frequency;
+        });
+
+        this.documents.set(entry.date, entry);
+        this.lengths.set(entry.date, length);
+        this.totalLength += length;
+        return true;
+    }
+
+    remove(date) {
+        const entry = this.documents.get(date);
+        if (!entry) return;
+
+        this.countTerms(entry).forEach((frequency, term) => {
+            const postings = this.postings.get(term);
+            postings.delete(date);
+            if (postings.size === 0) this.postings.delete(term);
+        });
+        this.totalLength -= this.lengths.get(date);
+        this.lengths.delete(date);
+        this.documents.delete(date);
+    }
+
+    countTerms(entry) {
+        const frequencies = new Map();
+        Object.entries(SearchIndex.FIELD_WEIGHTS).forEach(([field, weight]) => {
+            SearchIndex.analyze(entry[field]).forEach(term => {
+                frequencies.set(term, (frequencies.get(term) || 0) + weight);
+            });
+        });
+        return frequencies;
+    }
+
+    // The last query word also matches as a prefix, so results appear while it is being typed.
+    // Entries containing every query word rank above partial matches.
+    search(query, options = {}) {
+        const { limit = 50 } = options;
+        const terms = [...new Set(SearchIndex.analyze(query))];
+        if (terms.length === 0 || this.size === 0) return [];
+
+        const k1 = 1.2;
+        const b = 0.75;
+        const averageLength = this.totalLength / this.size;
+        const scores = new Map();
+        const matchedTerms = new Map();
+
+        terms.forEach((term, position) => {
+            const isLast = position === terms.length - 1;
+            this.expandTerm(term, isLast).forEach(([indexTerm, postings]) => {
+                const idf = Math.log(1 + (this.size - postings.size + 0.5) / (postings.size + 0.5));
+                const boost = indexTerm === term ? 1 : 0.6;
+
+                postings.forEach((frequency, date) => {
+                    const length = this.lengths.get(date);
+                    const score = idf * boost * (frequency * (k1 + 1)) /
+                        (frequency + k1 * (1 - b + b * length / averageLength));
+                    scores.set(date, (scores.get(date) || 0) + score);
+
+                    if (!matchedTerms.has(date)) matchedTerms.set(date, new Set());
+                    matchedTerms.get(date).add(term);
+                });
+            });
+        });
+
+        return [...scores]
+            .map(([date, score]) => ({
+                entry: this.documents.get(date),
+                score: score * (matchedTerms.get(date).size === terms.length ? 2 : 1)
+            }))
+            .sort((a, b) => b.score - a.score || b.entry.date.localeCompare(a.entry.date))
+            .slice(0, limit);
+    }
+
+    expandTerm(term, allowPrefix) {
+        const matches = [];
+        if (this.postings.has(term)) matches.push([term, this.postings.get(term)]);
+        if (allowPrefix && term.length >= 3) {
+            this.postings.forEach((postings, indexTerm) => {
+                if (indexTerm !== term && indexTerm.startsWith(term)) matches.push([indexTerm, postings]);
+            });
+        }
+        return matches;
+    }
+
+    static tokenize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .match(/[a-z0-9]+/g) || [];
+    }
+
+    static analyze(text) {
+        return SearchIndex.tokenize(text)
+            .filter(token => token.length > 1 && !SearchIndex.STOP_WORDS.has(token))
+            .map(SearchIndex.stem);
+    }
+
+    // Light suffix stripper in the spirit of Porter's algorithm - enough for "rings"/"ringed",
+    // "galaxies"/"galaxy", "nebulae"/"nebula" and "eclipsed"/"eclipses" to meet
+    static stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+        if (stem.endsWith('ae')) return stem.slice(0, -1);
+        if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('ies')) stem = `${stem.slice(0, -3)}y`;
+        else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+        const strip = (suffix) => {
+            const base = stem.slice(0, -suffix.length);
+            if (!stem.endsWith(suffix) || base.length < 3 || !/[aeiouy]/.test(base)) return false;
+            stem = base;
+            return true;
+        };
+
+        if (strip('ing') || (!stem.endsWith('eed') && strip('ed'))) {
+            // "starring" -> "star", "rotating" -> "rotat" (matching "rotate" below)
+            if (/([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1);
+        } else {
+            strip('ation') || strip('ly') || strip('ness') || strip('ment');
+        }
+
+        if (stem.length > 4 && stem.endsWith('e')) stem = stem.slice(0, -1);
+        return stem;
+    }
+}
+
+// Search Service - feeds the index with every entry the app sees or caches, and bulk-indexes
+// archive ranges in the background within the API quota so they stay searchable offline
+class SearchService {
+    constructor(state, apiService, cache, options = {}) {
+        this.state = state;
+        this.apiService = apiService;
+        this.cache = cache;
+        this.options = {
+            maxResults: 50,
+            bulkChunkDays: 30,
+            bulkDelayMs: 500,
+            minRemainingQuota: 10,
+            ...options
+        };
+        this.index = new SearchIndex();
+        this.bulkController = null;
+        this.lastSeen = {};
+    }
+
+    async start() {
+        if (this.cache) {
+            this.cache.onEntryStored(entry => this.addEntries([entry]));
+        }
+        this.state.select(['currentPicture', 'gallery', 'randomQueue', 'collections'], (selected, previous, state) => this.indexState(state));
+        this.indexState(this.state.getState());
+        await this.indexCache();
+    }
+
+    // A bulk index started against the old providers is stopped rather than silently switched
+    setApiService(apiService) {
+        this.cancelBulkIndex();
+        this.apiService = apiService;
+    }
+
+    search(query) {
+        return this.index.search(query, { limit: this.options.maxResults });
+    }
+
+    // Entries from stand-in providers (e.g. the demo sample) don't belong to their dates
+    addEntries(entries) {
+        let added = 0;
+        entries.forEach(entry => {
+            if (!entry || (entry.provider && !this.apiService.isCacheable(entry.provider))) return;
+            if (this.index.add(entry)) added++;
+        });
+        if (added > 0) this.publish();
+        return added;
+    }
+
+    publish(bulk) {
+        const search = { ...this.state.getState().search, indexedCount: this.index.size };
+        if (bulk) search.bulk = { ...search.bulk, ...bulk };
+        this.state.setState({ search });
+    }
+
+    indexState(state) {
+        const sources = {
+            picture: state.currentPicture,
+            gallery: state.gallery.entries,
+            random: state.randomQueue,
+            collections: state.collections
+        };
+
+        // Only look at the parts of state that changed since last time
+        Object.entries(sources).forEach(([key, value]) => {
+            if (value === this.lastSeen[key]) return;
+            this.lastSeen[key] = value;
+            if (!value) return;
+
+            if (key === 'picture') this.addEntries([value]);
+            else if (key === 'collections') value.forEach(collection => this.addEntries(collection.entries));
+            else this.addEntries(value);
+        });
+    }
+
+    // Builds the index from the persistent cache in small batches so start-up stays responsive
+    async indexCache() {
+        if (!this.cache) return;
+
+        const entries = await this.cache.entries();
+        for (let start = 0; start < entries.length; start += 200) {
+            this.addEntries(entries.slice(start, start + 200));
+            await AstronomyAPIService.sleep(0);
+        }
+        console.log(`🔎 Search index ready with ${this.index.size} entries`);
+    }
+
+    cancelBulkIndex() {
+        if (this.bulkController) this.bulkController.abort();
+    }
+
+    // Dates already indexed cost nothing; the rest are fetched a chunk at a time while quota lasts
+    async bulkIndex(startDate, endDate) {
+        const { daysBetween, listDates } = AppUtils.dateUtils;
+        const total = daysBetween(startDate, endDate) + 1;
+        if (total < 1) {
+            this.publish({ running: false, done: 0, total: 0, message: I18n.t('search.invalidRange') });
+            return;
+        }
+
+        this.cancelBulkIndex();
+        const controller = new AbortController();
+        this.bulkController = controller;
+        const { signal } = controller;
+        let done = 0;
+        this.publish({ running: true, done, total, message: null });
+
+        try {
+            for (const [chunkStart, chunkEnd] of this.apiService.primary.splitDateRange(startDate, endDate, this.options.bulkChunkDays)) {
+                const missing = listDates(chunkStart, chunkEnd).filter(date => !this.index.has(date));
+
+                if (missing.length > 0) {
+                    if (!this.hasQuota()) {
+                        this.publish({ running: false, done, total, message: I18n.t('search.quotaPause') });
+                        return;
+                    }
+
+                    const entries = await this.apiService.fetchPictureRange(missing[0], missing[missing.length - 1], {
+                        chunkDays: this.options.bulkChunkDays,
+                        signal
+                    });
+                    if (entries.length > 0 && this.addEntries(entries) === 0 && entries.every(entry => !this.apiService.isCacheable(entry.provider))) {
+                        this.publish({ running: false, done, total, message: I18n.t('search.noProvider') });
+                        return;
+                    }
+                    await AstronomyAPIService.sleep(this.options.bulkDelayMs, signal);
+                }
+
+                done += daysBetween(chunkStart, chunkEnd) + 1;
+                this.publish({ running: true, done, total });
+            }
+            this.publish({ running: false, done, total, message: I18n.t('search.indexed', {
+                start: I18n.shared.formatDate(startDate),
+                end: I18n.shared.formatDate(endDate)
+            }) });
+        } catch (error) {
+            const message = error.aborted ? I18n.t('search.indexCancelled') : I18n.t('search.indexStopped', { message: error.message });
+            this.publish({ running: false, done, total, message });
+        } finally {
+            if (this.bulkController === controller) this.bulkController = null;
+        }
+    }
+
+    hasQuota() {
+        const { remaining, retryAt } = this.apiService.rateLimit || {};
+        if (retryAt && retryAt > Date.now()) return false;
+        return remaining === null || remaining === undefined || remaining > this.options.minRemainingQuota;
+    }
+}
+
+// Favorites Store - named collections of full picture records, persisted locally
+class FavoritesStore {
+    constructor(storage, storageKey = 'astronomy-apod-collections') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.exportFormat = 'astronomy-apod-collections';
+        this.exportVersion = 1;
+        this.collections = this.load();
+    }
+
+    static get DEFAULT_COLLECTION_ID() {
+        return 'favorites';
+    }
+
+    load() {
+        let collections = [];
+        try {
+            const raw = this.storage && this.storage.getItem(this.storageKey);
+            if (raw) collections = JSON.parse(raw).collections || [];
+        } catch (error) {
+            console.warn('⚠️ Could not read saved collections:', error);
+        }
+        return this.ensureDefaultCollection(collections);
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: this.exportVersion,
+                collections: this.collections
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save collections:', error);
+        }
+    }
+
+    ensureDefaultCollection(collections) {
+        const defaultId = FavoritesStore.DEFAULT_COLLECTION_ID;
+        if (collections.some(collection => collection.id === defaultId)) return collections;
+        return [{ id: defaultId, name: 'Favorites', entries: [], createdAt: Date.now() }, ...collections];
+    }
+
+    getCollections() {
+        return this.collections.map(collection => ({ ...collection, entries: [...collection.entries] }));
+    }
+
+    findCollection(id) {
+        return this.collections.find(collection => collection.id === id) || null;
+    }
+
+    isFavorite(date, collectionId = FavoritesStore.DEFAULT_COLLECTION_ID) {
+        const collection = this.findCollection(collectionId);
+        return Boolean(collection && collection.entries.some(entry => entry.date === date));
+    }
+
+    toggleFavorite(entry) {
+        const defaultId = FavoritesStore.DEFAULT_COLLECTION_ID;
+        if (this.isFavorite(entry.date, defaultId)) {
+            this.removeFromCollection(defaultId, entry.date);
+            return false;
+        }
+        this.addToCollection(defaultId, entry);
+        return true;
+    }
+
+    createCollection(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error(I18n.t('collections.nameRequired'));
+
+        const existing = this.collections.find(collection => collection.name.toLowerCase() === trimmed.toLowerCase());
+        if (existing) return existing.id;
+
+        const id = `collection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        this.collections.push({ id, name: trimmed, entries: [], createdAt: Date.now() });
+        this.save();
+        return id;
+    }
+
+    deleteCollection(id) {
+        if (id === FavoritesStore.DEFAULT_COLLECTION_ID) {
+            throw new Error(I18n.t('collections.favoritesUndeletable'));
+        }
+        this.collections = this.collections.filter(collection => collection.id !== id);
+        this.save();
+    }
+
+    addToCollection(id, entry) {
+        const collection = this.findCollection(id);
+        if (!collection) throw new Error(I18n.t('collections.unknown', { id }));
+        if (collection.entries.some(existing => existing.date === entry.date)) return;
+
+        collection.entries.push({ ...entry });
+        collection.entries.sort((a, b) => (a.date < b.date ? -1 : 1));
+        this.save();
+    }
+
+    removeFromCollection(id, date) {
+        const collection = this.findCollection(id);
+        if (!collection) return;
+        collection.entries = collection.entries.filter(entry => entry.date !== date);
+        this.save();
+    }
+
+    exportData() {
+        return {
+            format: this.exportFormat,
+            version: this.exportVersion,
+            exportedAt: new Date().toISOString(),
+            collections: this.getCollections()
+        };
+    }
+
+    // Merges imported collections by name so re-importing a shared file never duplicates entries
+    importData(data) {
+        if (!data || data.format !== this.exportFormat) {
+            throw new Error(I18n.t('collections.notAnExport'));
+        }
+        if (typeof data.version !== 'number' || data.version > this.exportVersion) {
+            // The version comes from the file, so it isn't repeated in the message
+            throw new Error(I18n.t('collections.unsupportedVersion'));
+        }
+        if (!Array.isArray(data.collections)) {
+            throw new Error(I18n.t('collections.missingList'));
+        }
+
+        let imported = 0;
+        data.collections.forEach(collection => {
+            const id = collection.id === FavoritesStore.DEFAULT_COLLECTION_ID
+                ? FavoritesStore.DEFAULT_COLLECTION_ID
+                : this.createCollection(collection.name);
+            (collection.entries || [])
+                .filter(entry => entry && entry.date)
+                .forEach(entry => {
+                    if (!this.findCollection(id).entries.some(existing => existing.date === entry.date)) {
+                        this.addToCollection(id, entry);
+                        imported++;
+                    }
+                });
+        });
+
+        this.save();
+        return imported;
+    }
+}
+
+// Settings Store - provider changes made in the app, layered over config.js and kept in localStorage
+// Only the differences are stored, so later edits to config.js still reach untouched fields.
+class SettingsStore {
+    constructor(storage, storageKey = 'astronomy-apod-settings') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.version = 1;
+        this.settings = this.load();
+    }
+
+    static get PROVIDER_ID_PATTERN() {
+        return /^[a-z0-9][a-z0-9_-]*$/;
+    }
+
+    load() {
+        const empty = { providerOrder: null, providers: {} };
+        try {
+            const raw = this.storage && this.storage.getItem(this.storageKey);
+            if (!raw) return empty;
+            const saved = JSON.parse(raw);
+            return {
+                providerOrder: Array.isArray(saved.providerOrder) ? saved.providerOrder : null,
+                providers: saved.providers && typeof saved.providers === 'object' ? saved.providers : {}
+            };
+        } catch (error) {
+            console.warn('⚠️ Could not read saved settings:', error);
+            return empty;
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: this.version, ...this.settings }));
+        } catch (error) {
+            console.warn('⚠️ Could not save settings:', error);
+        }
+    }
+
+    get isCustomized() {
+        return this.settings.providerOrder !== null || Object.keys(this.settings.providers).length > 0;
+    }
+
+    // null means "use PROVIDER_CHAIN from config.js"
+    getProviderOrder() {
+        return this.settings.providerOrder ? [...this.settings.providerOrder] : null;
+    }
+
+    setProviderOrder(providerIds) {
+        if (providerIds.length === 0) throw new Error(I18n.t('settings.needsProvider'));
+        this.settings.providerOrder = [...providerIds];
+        this.save();
+    }
+
+    getProvider(id) {
+        const saved = this.settings.providers[id];
+        return saved ? JSON.parse(JSON.stringify(saved)) : null;
+    }
+
+    // Providers defined in the app rather than in config.js
+    getCustomProviderIds() {
+        return Object.keys(this.settings.providers).filter(id => this.settings.providers[id].custom);
+    }
+
+    saveProvider(id, changes) {
+        if (!SettingsStore.PROVIDER_ID_PATTERN.test(id)) {
+            throw new Error(I18n.t('settings.invalidId'));
+        }
+        if (Object.keys(changes).length === 0) {
+            delete this.settings.providers[id];
+        } else {
+            this.settings.providers[id] = JSON.parse(JSON.stringify(changes));
+        }
+        this.save();
+    }
+
+    removeProvider(id) {
+        delete this.settings.providers[id];
+        if (this.settings.providerOrder) {
+            this.settings.providerOrder = this.settings.providerOrder.filter(providerId => providerId !== id);
+            if (this.settings.providerOrder.length === 0) this.settings.providerOrder = null;
+        }
+        this.save();
+    }
+
+    reset() {
+        this.settings = { providerOrder: null, providers: {} };
+        this.save();
+    }
+}
+
+// Media Resolver - sorts an entry into image / embed / video / interactive / unknown and
+// normalises its URLs, so components never have to guess from the raw url
+class MediaResolver {
+    static get IMAGE_EXTENSIONS() {
+        return ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg', 'bmp'];
+    }
+
+    static get VIDEO_TYPES() {
+        return { mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', ogv: 'video/ogg', ogg: 'video/ogg' };
+    }
+
+    static resolve(entry) {
+        const url = entry.url || '';
+        const parsed = MediaResolver.parseUrl(url);
+        const media = {
+            entry,
+            url,
+            thumbnail: entry.thumbnail_url || null,
+            pageUrl: MediaResolver.getApodPageUrl(entry.date)
+        };
+
+        if (!parsed) return { ...media, kind: 'unknown' };
+
+        if (url.startsWith('data:image/')) {
+            return { ...media, kind: 'image', hdurl: entry.hdurl || null, animated: url.startsWith('data:image/gif') };
+        }
+        if (!/^https?:$/.test(parsed.protocol)) return { ...media, kind: 'unknown' };
+
+        const embed = MediaResolver.resolveEmbed(parsed);
+        if (embed) {
+            return { ...media, kind: 'embed', ...embed, thumbnail: media.thumbnail || embed.thumbnail || null };
+        }
+
+        const extension = parsed.pathname.split('.').pop().toLowerCase();
+        if (MediaResolver.VIDEO_TYPES[extension]) {
+            return { ...media, kind: 'video', mimeType: MediaResolver.VIDEO_TYPES[extension] };
+        }
+        if (MediaResolver.IMAGE_EXTENSIONS.includes(extension) || entry.media_type === 'image') {
+            return { ...media, kind: 'image', hdurl: entry.hdurl || null, animated: extension === 'gif' };
+        }
+        if (entry.media_type === 'other' || ['html', 'htm'].includes(extension)) {
+            return { ...media, kind: 'interactive' };
+        }
+        return { ...media, kind: 'unknown' };
+    }
+
+    static parseUrl(url) {
+        try {
+            return url ? new URL(url, 'https://apod.nasa.gov/apod/') : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // YouTube (watch, youtu.be, shorts, live, embed) and Vimeo links all become embed URLs
+    static resolveEmbed(parsed) {
+        const host = parsed.hostname.replace(/^(www\.|m\.)/, '');
+
+        if (['youtube.com', 'youtube-nocookie.com', 'youtu.be'].includes(host)) {
+            let id = null;
+            if (host === 'youtu.be') {
+                id = parsed.pathname.split('/')[1];
+            } else if (parsed.pathname === '/watch') {
+                id = parsed.searchParams.get('v');
+            } else {
+                const match = parsed.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/]+)/);
+                id = match && match[1];
+            }
+            if (!id || !/^[\w-]{6,}$/.test(id)) return null;
+
+            const params = new URLSearchParams({ rel: '0' });
+            const start = MediaResolver.parseStartTime(parsed.searchParams.get('t') || parsed.searchParams.get('start'));
+            if (start) params.set('start', String(start));
+            return {
+                provider: 'youtube',
+                embedUrl: `https://www.youtube-nocookie.com/embed/${id}?${params.toString()}`,
+                thumbnail: `https://img.youtube.com/vi/${id}/hqdefault.jpg`
+            };
+        }
+
+        if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+            const match = parsed.pathname.match(/\/(\d+)(?:\/|$)/);
+            if (!match) return null;
+            return { provider: 'vimeo', embedUrl: `https://player.vimeo.com/video/${match[1]}` };
+        }
+
+        return null;
+    }
+
+    // "90", "90s" and "1m30s" are all 90 seconds
+    static parseStartTime(value) {
+        if (!value) return 0;
+        if (/^\d+s?$/.test(value)) return parseInt(value, 10);
+
+        const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+        if (!match) return 0;
+        const [, hours = 0, minutes = 0, seconds = 0] = match;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    }
+
+    // The entry's page on apod.nasa.gov - where every link-out card can send people
+    static getApodPageUrl(date) {
+        if (!AppUtils.dateUtils.isCalendarDate(date)) return 'https://apod.nasa.gov/apod/';
+        const [year, month, day] = date.split('-');
+        return `https://apod.nasa.gov/apod/ap${year.slice(2)}${month}${day}.html`;
+    }
+}
+
+// Citation Formatter - APA, MLA, BibTeX and plain attributions for an APOD entry
+// Citations follow the English style guides whatever the interface language. The copyright
+// holder is the author when there is one; public-domain entries are cited by title.
+class CitationFormatter {
+    static get FORMATS() {
+        return ['apa', 'mla', 'bibtex', 'plain'];
+    }
+
+    static get PUBLISHER() {
+        return 'Astronomy Picture of the Day, NASA';
+    }
+
+    static get MONTHS() {
+        return ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    }
+
+    static get MLA_MONTHS() {
+        return ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+    }
+
+    static format(entry, format, options = {}) {
+        if (!CitationFormatter.FORMATS.includes(format)) {
+            throw new Error(`Unknown citation format: ${format}`);
+        }
+        return CitationFormatter[format](entry, options);
+    }
+
+    // The API's copyright field often carries line breaks and stray spacing from the page source
+    static credit(entry) {
+        return String(entry.copyright || '').replace(/\s+/g, ' ').replace(/^©\s*/, '').trim();
+    }
+
+    static sourceUrl(entry, options = {}) {
+        return options.url || MediaResolver.getApodPageUrl(entry.date);
+    }
+
+    static title(entry) {
+        return String(entry.title || 'Untitled').replace(/\s+/g, ' ').trim();
+    }
+
+    static mediaLabel(entry) {
+        if (entry.media_type === 'video') return 'Video';
+        if (entry.media_type === 'other') return 'Interactive media';
+        return 'Image';
+    }
+
+    static parts(date) {
+        const [year, month, day] = String(date).split('-').map(Number);
+        return { year, month, day };
+    }
+
+    static sentence(text) {
+        return /[.!?]$/.test(text) ? text : `${text}.`;
+    }
+
+    static apa(entry, options = {}) {
+        const { year, month, day } = CitationFormatter.parts(entry.date);
+        const credit = CitationFormatter.credit(entry);
+        const published = `(${year}, ${CitationFormatter.MONTHS[month - 1]} ${day}).`;
+        const work = `${CitationFormatter.title(entry)} [${CitationFormatter.mediaLabel(entry)}].`;
+        const source = `${CitationFormatter.PUBLISHER}. ${CitationFormatter.sourceUrl(entry, options)}`;
+
+        return credit
+            ? `${CitationFormatter.sentence(credit)} ${published} ${work} ${source}`
+            : `${work} ${published} ${source}`;
+    }
+
+    static mla(entry, options = {}) {
+        const format = (date) => {
+            const { year, month, day } = CitationFormatter.parts(date);
+            return `${day} ${CitationFormatter.MLA_MONTHS[month - 1]} ${year}`;
+        };
+        const credit = CitationFormatter.credit(entry);
+        const title = CitationFormatter.sentence(CitationFormatter.title(entry));
+        const url = CitationFormatter.sourceUrl(entry, options).replace(/^https?:\/\//, '');
+        const accessed = options.accessed || ApodDate.localToday();
+
+        return `${credit ? `${CitationFormatter.sentence(credit)} ` : ''}"${title}" ${CitationFormatter.PUBLISHER}, ` +
+            `${format(entry.date)}, ${url}. Accessed ${format(accessed)}.`;
+    }
+
+    static bibtex(entry, options = {}) {
+        const { year, month } = CitationFormatter.parts(entry.date);
+        const credit = CitationFormatter.credit(entry);
+        const accessed = options.accessed || ApodDate.localToday();
+        const escape = CitationFormatter.escapeBibtex;
+
+        // Double braces keep the credit as one corporate/group name and stop title re-casing
+        const fields = [
+            credit ? ['author', `{${escape(credit)}}`] : null,
+            ['title', `{${escape(CitationFormatter.title(entry))}}`],
+            ['howpublished', escape(CitationFormatter.PUBLISHER)],
+            ['year', String(year)],
+            ['month', CitationFormatter.MONTHS[month - 1].slice(0, 3).toLowerCase()],
+            ['url', CitationFormatter.sourceUrl(entry, options)],
+            ['note', `${CitationFormatter.mediaLabel(entry)}, published ${entry.date}. Accessed ${accessed}`]
+        ].filter(Boolean);
+
+        const body = fields
+            .map(([name, value]) => `  ${name.padEnd(12)} = ${name === 'month' ? value : `{${value}}`}`)
+            .join(',\n');
+        return `@misc{apod${String(entry.date).replace(/-/g, '')},\n${body}\n}`;
+    }
+
+    static plain(entry, options = {}) {
+        const { year, month, day } = CitationFormatter.parts(entry.date);
+        const credit = CitationFormatter.credit(entry);
+        const date = `${CitationFormatter.MONTHS[month - 1]} ${day}, ${year}`;
+
+        return `"${CitationFormatter.title(entry)}" (${date}). ` +
+            `${credit ? `Credit: ${CitationFormatter.sentence(credit)} ` : ''}` +
+            `${CitationFormatter.PUBLISHER}. ${CitationFormatter.sourceUrl(entry, options)}`;
+    }
+
+    static escapeBibtex(text) {
+        const replacements = {
+            '\\': '\\textbackslash{}',
+            '~': '\\textasciitilde{}',
+            '^': '\\textasciicircum{}'
+        };
+        return String(text).replace(/[\\~^&%$#_{}]/g, char => replacements[char] || `\\${char}`);
+    }
+}
+
+// Zip Archive - minimal writer for uncompressed (stored) zip files
+// Pictures are already compressed, so storing them costs little space and keeps the writer small.
+// Classic zip limits apply: at most 65535 files and 4 GB.
+class ZipArchive {
+    constructor() {
+        this.files = [];
+    }
+
+    static get CRC_TABLE() {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+        return ZipArchive.crcTable;
+    }
+
+    static crc32(bytes) {
+        const table = ZipArchive.CRC_TABLE;
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // Zip headers store local time at two-second precision, and nothing before 1980
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    add(name, content, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const bytes = typeof content === 'string' ? encoder.encode(content) : content;
+        this.files.push({ name: encoder.encode(name), bytes, crc: ZipArchive.crc32(bytes), modified });
+        return this;
+    }
+
+    toBytes() {
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        if (this.files.length > 0xffff) throw new Error('Too many files for a zip archive');
+
+        this.files.forEach(file => {
+            const { time, date } = ZipArchive.dosDateTime(file.modified);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);            // Version needed: 2.0
+            header.setUint16(6, 0x0800, true);        // File names are UTF-8
+            header.setUint16(8, 0, true);             // Stored, no compression
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, file.crc, true);
+            header.setUint32(18, file.bytes.length, true);
+            header.setUint32(22, file.bytes.length, true);
+            header.setUint16(26, file.name.length, true);
+            local.push(new Uint8Array(header.buffer), file.name, file.bytes);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.bytes.length, true);
+            entry.setUint32(24, file.bytes.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), file.name);
+
+            offset += 30 + file.name.length + file.bytes.length;
+        });
+
+        const centralSize = central.reduce((total, part) => total + part.length, 0);
+        if (offset + centralSize > 0xffffffff) throw new Error('Zip archive would exceed 4 GB');
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return ZipArchive.concat([...local, ...central, new Uint8Array(end.buffer)]);
+    }
+
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+}
+
+// Archive Exporter - writes normalized entries as JSON, CSV or Markdown, optionally zipped with their pictures
+// Runs unchanged in the browser (the Export panel) and under Node (export.js). Sources are
+// described as { type: 'range', start, end }, { type: 'collection', id, name } or { type: 'cached' }.
+class ArchiveExporter {
+    constructor(options = {}) {
+        this.fetchImage = options.fetchImage || ArchiveExporter.fetchImage;
+    }
+
+    static get FORMATS() {
+        return {
+            json: { extension: 'json', mimeType: 'application/json' },
+            csv: { extension: 'csv', mimeType: 'text/csv' },
+            markdown: { extension: 'md', mimeType: 'text/markdown' }
+        };
+    }
+
+    static get CSV_COLUMNS() {
+        return ['date', 'title', 'media_type', 'url', 'hdurl', 'thumbnail_url', 'copyright', 'explanation', 'provider'];
+    }
+
+    static get IMAGE_TYPES() {
+        return {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/avif': 'avif',
+            'image/svg+xml': 'svg',
+            'image/bmp': 'bmp'
+        };
+    }
+
+    static async fetchImage(url, signal) {
+        const response = await fetch(url, { signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return {
+            bytes: new Uint8Array(await response.arrayBuffer()),
+            type: (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase()
+        };
+    }
+
+    // One entry per date, oldest first - the cache can hold the same day from several providers
+    static prepare(entries) {
+        const byDate = new Map();
+        entries
+            .filter(entry => entry && entry.date && !byDate.has(entry.date))
+            .forEach(entry => byDate.set(entry.date, entry));
+        return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+    }
+
+    // HD or standard file for pictures, the thumbnail for videos, nothing for interactive entries
+    static imageUrl(entry, hd = false) {
+        if (entry.media_type === 'image') return (hd && entry.hdurl) || entry.url || null;
+        return entry.thumbnail_url || null;
+    }
+
+    static imageExtension(url, type) {
+        if (ArchiveExporter.IMAGE_TYPES[type]) return ArchiveExporter.IMAGE_TYPES[type];
+        const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        if (MediaResolver.IMAGE_EXTENSIONS.includes(extension)) return extension === 'jpeg' ? 'jpg' : extension;
+        return 'jpg';
+    }
+
+    static describeSource(source) {
+        if (source.type === 'range') return `${source.start} – ${source.end}`;
+        if (source.type === 'collection') return source.name;
+        return I18n.t('export.sourceCached');
+    }
+
+    static filename(source, extension) {
+        let label = 'cached';
+        if (source.type === 'range') {
+            label = `${source.start}_${source.end}`;
+        } else if (source.type === 'collection') {
+            label = String(source.name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'collection';
+        }
+        return `apod-export-${label}.${extension}`;
+    }
+
+    // Resolves to { filename, mimeType, data, missing }. data is text, or zip bytes when images are
+    // included; missing lists dates whose picture could not be downloaded (they keep their web links).
+    async export(entries, options = {}) {
+        const { format = 'json', source = { type: 'cached' }, includeImages = false, hd = false, signal, onProgress } = options;
+        const spec = ArchiveExporter.FORMATS[format];
+        if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+        const prepared = ArchiveExporter.prepare(entries);
+        // exportedAt is the exact instant; exportedOn is the viewer's own date, for people to read
+        const meta = { source, exportedAt: new Date().toISOString(), exportedOn: ApodDate.localToday() };
+
+        if (!includeImages) {
+            return {
+                filename: ArchiveExporter.filename(source, spec.extension),
+                mimeType: spec.mimeType,
+                data: this.serialize(format, prepared, meta),
+                missing: []
+            };
+        }
+
+        const zip = new ZipArchive();
+        const images = {};
+        const missing = [];
+
+        for (const [index, entry] of prepared.entries()) {
+            const url = ArchiveExporter.imageUrl(entry, hd);
+            if (url) {
+                try {
+                    const { bytes, type } = await this.fetchImage(url, signal);
+                    const path = `images/${entry.date}.${ArchiveExporter.imageExtension(url, type)}`;
+                    zip.add(path, bytes);
+                    images[entry.date] = path;
+                } catch (error) {
+                    if (signal && signal.aborted) throw ApiError.aborted();
+                    console.warn(`⚠️ Could not download the picture for ${entry.date}: ${error.message}`);
+                    missing.push(entry.date);
+                }
+            }
+            if (signal && signal.aborted) throw ApiError.aborted();
+            if (onProgress) onProgress(index + 1, prepared.length);
+        }
+
+        zip.add(ArchiveExporter.filename(source, spec.extension), this.serialize(format, prepared, { ...meta, images, missing }));
+        return {
+            filename: ArchiveExporter.filename(source, 'zip'),
+            mimeType: 'application/zip',
+            data: zip.toBytes(),
+            missing
+        };
+    }
+
+    serialize(format, entries, meta) {
+        if (format === 'csv') return this.toCSV(entries, meta);
+        if (format === 'markdown') return this.toMarkdown(entries, meta);
+        return this.toJSON(entries, meta);
+    }
+
+    toJSON(entries, meta) {
+        return JSON.stringify({
+            format: 'astronomy-apod-export',
+            version: 1,
+            exportedAt: meta.exportedAt,
+            source: meta.source,
+            count: entries.length,
+            ...(meta.images ? { images: meta.images, missingImages: meta.missing } : {}),
+            entries
+        }, null, 2);
+    }
+
+    // RFC 4180: CRLF rows, and fields quoted when they hold a comma, quote or line break
+    toCSV(entries, meta) {
+        const columns = [...ArchiveExporter.CSV_COLUMNS, ...(meta.images ? ['image_file'] : [])];
+        const quote = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = entries.map(entry => columns.map(column => quote(
+            column === 'image_file' ? meta.images[entry.date] : entry[column]
+        )).join(','));
+        return `${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+    }
+
+    toMarkdown(entries, meta) {
+        const images = meta.images || {};
+        const escape = (text) => String(text).replace(/\s+/g, ' ').trim().replace(/([\\`*_[\]<>#])/g, '\\$1');
+        const link = (label, url) => `[${label}](<${url}>)`;
+
+        const sections = entries.map(entry => {
+            const title = escape(entry.title || I18n.t('media.untitled'));
+            const credit = CitationFormatter.credit(entry);
+            const lines = [`## ${title}`, ''];
+
+            lines.push(`**${I18n.shared.formatDate(entry.date, { dateStyle: 'long' })}**` +
+                (credit ? ` · ${I18n.t('info.credit')}: ${escape(credit)}` : ''), '');
+
+            const picture = images[entry.date] || ArchiveExporter.imageUrl(entry, false);
+            if (picture) {
+                const embedded = `![${title}](<${picture}>)`;
+                lines.push(entry.media_type === 'image' ? embedded : `[${embedded}](<${entry.url}>)`, '');
+            }
+
+            if (entry.explanation) lines.push(escape(entry.explanation), '');
+
+            const links = [link(I18n.t('export.apodPage'), MediaResolver.getApodPageUrl(entry.date))];
+            if (entry.media_type === 'image' && entry.hdurl) links.push(link(I18n.t('export.fullResolution'), entry.hdurl));
+            if (entry.media_type !== 'image' && entry.url) links.push(link(I18n.t('export.openOriginal'), entry.url));
+            lines.push(links.join(' · '));
+
+            return lines.join('\n');
+        });
+
+        const header = [
+            `# ${escape(I18n.t('export.documentTitle', { source: ArchiveExporter.describeSource(meta.source) }))}`,
+            '',
+            I18n.t('export.documentSummary', {
+                count: entries.length,
+                date: I18n.shared.formatDate(meta.exportedOn, { dateStyle: 'long' })
+            })
+        ].join('\n');
+
+        return `${[header, ...sections].join('\n\n---\n\n')}\n`;
+    }
+}
+
+// Component Base Class - React-like component system
+// Subclasses list the state keys they render in stateKeys and only re-render when one of them changes
+class Component {
+    constructor(element, state) {
+        this.element = element;
+        this.state = state;
+        const keys = this.constructor.stateKeys;
+        this.unsubscribe = keys
+            ? this.state.select(keys, (selected, previous, current) => this.render(current))
+            : this.state.subscribe(current => this.render(current));
+    }
+
+    static get stateKeys() {
+        return null;
+    }
+
+    render(state) {
+        // Override in subclasses
+    }
+
+    destroy() {
+        this.unsubscribe();
+    }
+
+    show() {
+        this.element.style.display = 'block';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    addClass(className) {
+        this.element.classList.add(className);
+    }
+
+    removeClass(className) {
+        this.element.classList.remove(className);
+    }
+}
+
+// Loading Component
+class LoadingComponent extends Component {
+    constructor(element, state) {
+        super(element, state);
+    }
+
+    static get stateKeys() {
+        return ['loading'];
+    }
+
+    render(state) {
+        if (state.loading) {
+            this.show();
+            this.addClass('animate-in');
+        } else {
+            this.hide();
+            this.removeClass('animate-in');
+        }
+    }
+}
+
+// Error Component
+class ErrorComponent extends Component {
+    constructor(element, messageElement, state) {
+        super(element, state);
+        this.messageElement = messageElement;
+        this.countdownTimer = null;
+    }
+
+    static get stateKeys() {
+        return ['error', 'errorCode', 'quota'];
+    }
+
+    // Only a 429 (which is also how providers report a used-up quota) gets the countdown and the
+    // demo offer; other errors can arrive while an earlier rate limit is still running
+    render(state) {
+        if (state.error) {
+            const rateLimited = state.errorCode === 'http_429';
+            this.showError(state.error, rateLimited);
+            this.updateCountdown(rateLimited ? state.quota.retryAt : null);
+        } else {
+            this.hide();
+            this.updateCountdown(null);
+        }
+    }
+
+    // Live "try again in m:ss" line while the provider is rate limiting us
+    updateCountdown(retryAt) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+
+        let countdown = this.element.querySelector('.error-countdown');
+        if (!retryAt || retryAt <= Date.now()) {
+            if (countdown) countdown.remove();
+            return;
+        }
+
+        if (!countdown) {
+            countdown = document.createElement('div');
+            countdown.className = 'error-countdown';
+            this.messageElement.after(countdown);
+        }
+
+        const tick = () => {
+            const remaining = retryAt - Date.now();
+            if (remaining <= 0) {
+                countdown.textContent = I18n.t('errors.allowedAgain');
+                clearInterval(this.countdownTimer);
+                this.countdownTimer = null;
+                return;
+            }
+            countdown.textContent = I18n.t('errors.allowedIn', { time: this.formatCountdown(remaining) });
+        };
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
+    }
+
+    formatCountdown(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+
+    // Messages can carry text from links, files and providers, so they are only ever set as text
+    showError(error, rateLimited) {
+        this.messageElement.replaceChildren(...String(error).split('\n').flatMap((line, index) => (
+            index === 0 ? [line] : [document.createElement('br'), line]
+        )));
+        this.show();
+        
+        if (rateLimited) {
+            this.addRetryButton();
+        } else {
+            const existingBtn = this.element.querySelector('#retry-btn');
+            if (existingBtn) existingBtn.remove();
+        }
+    }
+
+    addRetryButton() {
+        const existingBtn = this.element.querySelector('#retry-btn');
+        if (existingBtn) existingBtn.remove();
+        
+        const retryBtn = this.createRetryButton();
+        this.element.appendChild(retryBtn);
+    }
+
+    createRetryButton() {
+        const button = document.createElement('button');
+        button.id = 'retry-btn';
+        button.innerHTML = '<span class="btn-icon">🔬</span><span></span>';
+        button.lastElementChild.textContent = I18n.t('errors.tryDemo');
+        button.className = 'glass-btn primary demo-btn';
+        
+        button.addEventListener('click', () => {
+            const demoData = AstronomyAPIService.createDemoSample();
+            this.state.setState({ error: null, currentPicture: demoData });
+        });
+        
+        return button;
+    }
+}
+
+// Media Component
+// High-Resolution Viewer - in-page lightbox that shows the standard image at once, streams the
+// HD file in behind it with progress, and supports zooming, panning and full screen.
+// It never touches AppState, so closing it returns to exactly the view that opened it.
+class HighResViewer {
+    constructor(elements) {
+        this.elements = elements;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.fitScale = 1;
+        this.pointers = new Map();
+        this.loadController = null;
+        this.previewReady = Promise.resolve();
+        this.objectUrl = null;
+        this.bindEvents();
+    }
+
+    static get MAX_SCALE() {
+        return 8;
+    }
+
+    bindEvents() {
+        const { dialog, stage, toolbar } = this.elements;
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.handleAction(button.dataset.action);
+        });
+        dialog.addEventListener('close', () => this.handleClose());
+        dialog.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.getStagePoint(e);
+            this.zoomAt(this.view.scale * Math.exp(-e.deltaY * 0.0015), point.x, point.y);
+        }, { passive: false });
+        stage.addEventListener('dblclick', (e) => {
+            const point = this.getStagePoint(e);
+            this.toggleFit(point.x, point.y);
+        });
+        stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            stage.addEventListener(type, (e) => this.pointers.delete(e.pointerId));
+        });
+
+        window.addEventListener('resize', () => {
+            if (dialog.open) this.updateFitScale();
+        });
+    }
+
+    get isOpen() {
+        return this.elements.dialog.open;
+    }
+
+    open(entry) {
+        const { dialog, image, title, original } = this.elements;
+        const hdUrl = entry.hdurl || entry.url;
+
+        title.textContent = entry.title || entry.date;
+        original.href = hdUrl;
+        image.alt = entry.title || I18n.t('media.pictureAlt');
+        this.pointers.clear();
+        dialog.showModal();
+
+        // The standard image is usually already cached by the page, so it appears straight away
+        this.previewReady = this.showImage(entry.url).then(() => this.fit());
+        if (hdUrl !== entry.url) this.loadHighRes(hdUrl);
+    }
+
+    close() {
+        if (this.isOpen) this.elements.dialog.close();
+    }
+
+    handleClose() {
+        if (this.loadController) this.loadController.abort();
+        this.loadController = null;
+        this.setProgress(null);
+        if (this.isFullscreen()) document.exitFullscreen();
+        this.releaseObjectUrl();
+    }
+
+    showImage(src) {
+        const { image } = this.elements;
+        return new Promise(resolve => {
+            image.onload = () => resolve();
+            image.onerror = () => resolve();
+            image.src = src;
+        });
+    }
+
+    async loadHighRes(url) {
+        const controller = new AbortController();
+        this.loadController = controller;
+        this.setProgress(0);
+
+        try {
+            const src = await this.download(url, controller.signal);
+            const preview = new Image();
+            preview.src = src;
+            await preview.decode();
+            await this.previewReady;
+            if (controller.signal.aborted) return;
+
+            // Keep the same part of the picture on screen when the larger file replaces the preview
+            const previousWidth = this.elements.image.naturalWidth || preview.naturalWidth;
+            await this.showImage(src);
+            const ratio = previousWidth / this.elements.image.naturalWidth;
+            this.updateFitScale(false);
+            this.setView({ ...this.view, scale: this.view.scale * ratio });
+        } catch (error) {
+            if (!controller.signal.aborted) console.warn('⚠️ Could not load the HD image:', error);
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.setProgress(null);
+            }
+        }
+    }
+
+    // Streams the file to report progress; hosts without CORS fall back to a plain image load
+    async download(url, signal) {
+        let response;
+        try {
+            response = await fetch(url, { signal });
+        } catch (error) {
+            if (signal.aborted) throw error;
+            this.setProgress(undefined);
+            return url;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (!response.body || !total) {
+            this.setProgress(undefined);
+            return this.createObjectUrl(await response.blob());
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+            this.setProgress(received / total);
+        }
+        return this.createObjectUrl(new Blob(chunks, { type: response.headers.get('Content-Type') || '' }));
+    }
+
+    createObjectUrl(blob) {
+        this.releaseObjectUrl();
+        this.objectUrl = URL.createObjectURL(blob);
+        return this.objectUrl;
+    }
+
+    releaseObjectUrl() {
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
+    }
+
+    // null hides the indicator, undefined shows it without a percentage
+    setProgress(fraction) {
+        const { progress } = this.elements;
+        progress.hidden = fraction === null;
+        if (fraction === null) return;
+
+        const known = typeof fraction === 'number';
+        const percent = known ? Math.round(fraction * 100) : null;
+        progress.classList.toggle('indeterminate', !known);
+        progress.style.setProperty('--progress', known ? `${percent}%` : '30%');
+        progress.querySelector('.lightbox-progress-text').textContent = known ? I18n.t('viewer.progress', { percent }) : I18n.t('viewer.loading');
+        if (known) {
+            progress.setAttribute('aria-valuenow', String(percent));
+        } else {
+            progress.removeAttribute('aria-valuenow');
+        }
+    }
+
+    handleAction(action) {
+        const { width, height } = this.getStageSize();
+        switch (action) {
+            case 'zoom-in':
+                this.zoomAt(this.view.scale * 1.25, width / 2, height / 2);
+                break;
+            case 'zoom-out':
+                this.zoomAt(this.view.scale / 1.25, width / 2, height / 2);
+                break;
+            case 'toggle-fit':
+                this.toggleFit(width / 2, height / 2);
+                break;
+            case 'fullscreen':
+                this.toggleFullscreen();
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+
+    handleKeydown(e) {
+        const { width, height } = this.getStageSize();
+        const step = 80;
+        const actions = {
+            '+': () => this.handleAction('zoom-in'),
+            '=': () => this.handleAction('zoom-in'),
+            '-': () => this.handleAction('zoom-out'),
+            '0': () => this.fit(),
+            '1': () => this.zoomAt(1, width / 2, height / 2),
+            'f': () => this.toggleFullscreen(),
+            'ArrowLeft': () => this.panBy(step, 0),
+            'ArrowRight': () => this.panBy(-step, 0),
+            'ArrowUp': () => this.panBy(0, step),
+            'ArrowDown': () => this.panBy(0, -step)
+        };
+        const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+
+        // Keys handled here must not also reach the page (e.g. ←/→ day navigation)
+        e.stopPropagation();
+        if (action && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            action();
+        }
+    }
+
+    handlePointerDown(e) {
+        this.elements.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, this.getStagePoint(e));
+    }
+
+    // One pointer pans; two pointers pinch-zoom around their midpoint
+    handlePointerMove(e) {
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous) return;
+
+        const current = this.getStagePoint(e);
+        if (this.pointers.size === 1) {
+            this.panBy(current.x - previous.x, current.y - previous.y);
+        } else if (this.pointers.size === 2) {
+            const [other] = [...this.pointers].filter(([id]) => id !== e.pointerId).map(([, point]) => point);
+            const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const after = Math.hypot(current.x - other.x, current.y - other.y);
+            if (before > 0) {
+                this.zoomAt(this.view.scale * (after / before), (current.x + other.x) / 2, (current.y + other.y) / 2);
+            }
+        }
+        this.pointers.set(e.pointerId, current);
+    }
+
+    // Inside a viewer's shadow root, document.fullscreenElement is the viewer rather than the dialog
+    isFullscreen() {
+        return this.elements.dialog.getRootNode().fullscreenElement === this.elements.dialog;
+    }
+
+    async toggleFullscreen() {
+        const { dialog } = this.elements;
+        try {
+            if (this.isFullscreen()) {
+                await document.exitFullscreen();
+            } else if (dialog.requestFullscreen) {
+                await dialog.requestFullscreen();
+            }
+        } catch (error) {
+            console.warn('⚠️ Full screen is not available:', error);
+        }
+        this.updateFitScale();
+    }
+
+    // Event offsets are relative to whichever element was hit, so measure from the stage itself
+    getStagePoint(e) {
+        const rect = this.elements.stage.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    getStageSize() {
+        const { stage } = this.elements;
+        return { width: stage.clientWidth, height: stage.clientHeight };
+    }
+
+    getImageSize() {
+        const { image } = this.elements;
+        return { width: image.naturalWidth || 1, height: image.naturalHeight || 1 };
+    }
+
+    // Fit never enlarges small images beyond their real size
+    updateFitScale(refit = true) {
+        const stage = this.getStageSize();
+        const image = this.getImageSize();
+        const wasFitted = this.isFitted();
+        this.fitScale = Math.min(stage.width / image.width, stage.height / image.height, 1);
+        if (refit && wasFitted) this.fit();
+    }
+
+    isFitted() {
+        return Math.abs(this.view.scale - this.fitScale) < 0.001;
+    }
+
+    fit() {
+        this.updateFitScale(false);
+        this.setView({ scale: this.fitScale, x: 0, y: 0 });
+    }
+
+    toggleFit(anchorX, anchorY) {
+        if (this.isFitted() && this.fitScale < 1) {
+            this.zoomAt(1, anchorX, anchorY);
+        } else {
+            this.fit();
+        }
+    }
+
+    // Zooms so the image point under (anchorX, anchorY) stays where it is
+    zoomAt(scale, anchorX, anchorY) {
+        const nextScale = Math.min(Math.max(scale, this.fitScale), HighResViewer.MAX_SCALE);
+        const imageX = (anchorX - this.view.x) / this.view.scale;
+        const imageY = (anchorY - this.view.y) / this.view.scale;
+        this.setView({
+            scale: nextScale,
+            x: anchorX - imageX * nextScale,
+            y: anchorY - imageY * nextScale
+        });
+    }
+
+    panBy(dx, dy) {
+        this.setView({ ...this.view, x: this.view.x + dx, y: this.view.y + dy });
+    }
+
+    // Centres the image on any axis where it is smaller than the stage, otherwise keeps its edges
+    // from being dragged inside the stage
+    setView({ scale, x, y }) {
+        const stage = this.getStageSize();
+        const image = this.getImageSize();
+        const width = image.width * scale;
+        const height = image.height * scale;
+        const clamp = (value, size, available) => (size <= available
+            ? (available - size) / 2
+            : Math.min(0, Math.max(available - size, value)));
+
+        this.view = { scale, x: clamp(x, width, stage.width), y: clamp(y, height, stage.height) };
+        this.elements.image.style.transform = `translate(${this.view.x}px, ${this.view.y}px) scale(${scale})`;
+
+        const fitted = this.isFitted();
+        this.elements.fitBtn.textContent = I18n.t(fitted ? 'viewer.actualSize' : 'viewer.fit');
+        this.elements.fitBtn.disabled = fitted && this.fitScale >= 1;
+        this.elements.zoomLabel.textContent = I18n.shared.formatNumber(scale, { style: 'percent' });
+    }
+}
+
+class MediaComponent extends Component {
+    constructor(element, state, options = {}) {
+        super(element, state);
+        this.viewer = options.viewer || null;
+        this.onReady = options.onReady || null;
+        this.mediaController = null;
+    }
+
+    static get stateKeys() {
+        return ['currentPicture'];
+    }
+
+    // Only a new picture gets here, so a download or video already under way is never restarted.
+    // A language switch retranslates the fallback text in place (see localize).
+    render(state) {
+        if (state.currentPicture) {
+            this.displayMedia(state.currentPicture);
+        }
+    }
+
+    displayMedia(data) {
+        this.releaseMedia();
+        this.mediaController = new AbortController();
+        
+        const media = MediaResolver.resolve(data);
+        const mediaElement = this.createMediaElement(data, media);
+        this.element.appendChild(mediaElement);
+        this.watchReady(mediaElement, media);
+        
+        // Add entrance animation
+        requestAnimationFrame(() => {
+            mediaElement.classList.add('fade-in');
+        });
+    }
+
+    // Iframes get only the permissions their content needs
+    static get SANDBOX() {
+        return {
+            embed: 'allow-scripts allow-same-origin allow-presentation allow-popups',
+            interactive: 'allow-scripts allow-same-origin allow-popups allow-forms'
+        };
+    }
+
+    // Text that comes from the catalogs keeps its key, so LanguageComponent's translateElement pass
+    // updates it without rebuilding the element
+    static localize(element, key, attribute = null) {
+        if (attribute) {
+            element.setAttribute(attribute, I18n.t(key));
+            element.dataset.i18nAttr = [element.dataset.i18nAttr, `${attribute}:${key}`].filter(Boolean).join(', ');
+        } else {
+            element.textContent = I18n.t(key);
+            element.dataset.i18n = key;
+        }
+    }
+
+    // The entry's own title when it has one, the localized fallback otherwise
+    static label(element, attribute, title, fallbackKey) {
+        if (title) {
+            element.setAttribute(attribute, title);
+        } else {
+            MediaComponent.localize(element, fallbackKey, attribute);
+        }
+    }
+
+    createMediaElement(data, media = MediaResolver.resolve(data)) {
+
+        switch (media.kind) {
+            case 'image':
+                return this.createImageElement(data, media);
+            case 'embed':
+                return this.createEmbedElement(media);
+            case 'video':
+                return this.createNativeVideoElement(media);
+            case 'interactive':
+                return this.createInteractiveElement(media);
+            default:
+                return this.createLinkCard(media, 'media.cannotShow');
+        }
+    }
+
+    createFrame(src, title, fallbackKey, sandbox) {
+        const iframe = document.createElement('iframe');
+        iframe.src = src;
+        MediaComponent.label(iframe, 'title', title, fallbackKey);
+        iframe.setAttribute('sandbox', sandbox);
+        iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+        iframe.allowFullscreen = true;
+        return iframe;
+    }
+
+    createEmbedElement(media) {
+        // A player can't load offline; the thumbnail is better than a broken frame
+        if (this.state.getState().offline) {
+            return this.createLinkCard(media, 'media.videoOffline');
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'media-element media-embed';
+        const iframe = this.createFrame(media.embedUrl, media.entry.title, 'media.videoTitle', MediaComponent.SANDBOX.embed);
+        iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+        wrapper.appendChild(iframe);
+        return wrapper;
+    }
+
+    createNativeVideoElement(media) {
+        const { signal } = this.mediaController;
+        const video = document.createElement('video');
+        video.className = 'media-element';
+        video.controls = true;
+        video.preload = 'metadata';
+        video.playsInline = true;
+        if (media.thumbnail) video.poster = media.thumbnail;
+
+        const source = document.createElement('source');
+        source.src = media.url;
+        source.type = media.mimeType;
+        video.appendChild(source);
+
+        // Unsupported formats and dead links fall back to the link-out card
+        source.addEventListener('error', () => {
+            video.replaceWith(this.createLinkCard(media, 'media.videoUnsupported'));
+        }, { signal, once: true });
+
+        return video;
+    }
+
+    createInteractiveElement(media) {
+        if (this.state.getState().offline) {
+            return this.createLinkCard(media, 'media.interactiveOffline');
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'media-element media-interactive';
+        wrapper.appendChild(this.createFrame(media.url, media.entry.title, 'media.interactiveTitle', MediaComponent.SANDBOX.interactive));
+        wrapper.appendChild(this.createExternalLink(media.url, 'media.openInteractive'));
+        return wrapper;
+    }
+
+    // Link-out card for anything that can't be shown inline, with the thumbnail when there is one
+    createLinkCard(media, messageKey) {
+        const card = document.createElement('div');
+        card.className = 'media-element media-card';
+
+        if (media.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = media.thumbnail;
+            MediaComponent.label(thumbnail, 'alt', media.entry.title, 'media.pictureAlt');
+            thumbnail.addEventListener('error', () => thumbnail.remove(), { once: true });
+            card.appendChild(thumbnail);
+        }
+
+        const text = document.createElement('p');
+        text.className = 'media-card-message';
+        MediaComponent.localize(text, messageKey);
+        card.appendChild(text);
+
+        const target = /^https?:/.test(media.url) ? media.url : media.pageUrl;
+        card.appendChild(this.createExternalLink(target, 'media.openOriginal'));
+        return card;
+    }
+
+    createExternalLink(href, labelKey) {
+        const link = document.createElement('a');
+        link.className = 'glass-btn secondary media-external-link';
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        MediaComponent.localize(link, labelKey);
+        return link;
+    }
+
+    // Ready once the image has decoded, the video has its metadata or the frame has loaded;
+    // link cards are ready at once. Media that fails to load, or is replaced first, never reports.
+    watchReady(mediaElement, media) {
+        if (!this.onReady) return;
+
+        const { signal } = this.mediaController;
+        const ready = () => this.onReady({ date: media.entry.date, picture: media.entry, kind: media.kind, element: mediaElement });
+        const target = mediaElement.matches('img, video') ? mediaElement : mediaElement.querySelector('iframe');
+
+        if (!target) {
+            ready();
+        } else if (target.tagName === 'IMG' && target.complete && target.naturalWidth > 0) {
+            ready();
+        } else {
+            target.addEventListener(target.tagName === 'VIDEO' ? 'loadedmetadata' : 'load', ready, { signal, once: true });
+        }
+    }
+
+    // Stops the previous picture's download so a view the user has left costs no more bandwidth
+    releaseMedia() {
+        if (this.mediaController) this.mediaController.abort();
+
+        const previous = this.element.querySelector('img.media-element');
+        if (previous && !previous.complete) previous.removeAttribute('src');
+
+        const video = this.element.querySelector('video');
+        if (video) {
+            video.pause();
+            video.querySelectorAll('source').forEach(source => source.remove());
+            video.load();
+        }
+
+        this.element.innerHTML = '';
+    }
+
+    createImageElement(data, media) {
+        const { signal } = this.mediaController;
+        const img = document.createElement('img');
+        // The HD file is left to the viewer, which loads it only when asked for
+        img.src = data.url || data.hdurl;
+        MediaComponent.label(img, 'alt', data.title, 'media.pictureAlt');
+        img.className = 'media-element';
+        img.decoding = 'async';
+        
+        if (data.hdurl && data.hdurl !== data.url) {
+            img.style.cursor = 'pointer';
+            MediaComponent.localize(img, 'media.viewHighRes', 'title');
+            img.addEventListener('click', () => this.openHighResImage(data), { signal });
+        }
+        
+        let fellBack = false;
+        img.addEventListener('error', () => {
+            if (!fellBack && data.hdurl && data.hdurl !== data.url) {
+                fellBack = true;
+                img.src = data.hdurl;
+            } else {
+                img.replaceWith(this.createLinkCard(media, 'media.pictureFailed'));
+            }
+        }, { signal });
+        
+        return img;
+    }
+
+    openHighResImage(data) {
+        if (this.viewer) {
+            this.viewer.open(data);
+        } else {
+            window.open(data.hdurl, '_blank');
+        }
+    }
+}
+
+// Info Component
+class InfoComponent extends Component {
+    constructor(elements, state, options = {}) {
+        super(elements.container, state);
+        this.elements = elements;
+        this.options = options;
+    }
+
+    static get stateKeys() {
+        return ['currentPicture', 'view', 'notice', 'locale'];
+    }
+
+    render(state) {
+        if (state.currentPicture && state.view !== 'gallery') {
+            this.displayInfo(state.currentPicture);
+            this.displayNotice(state.notice);
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    displayInfo(data) {
+        this.elements.title.textContent = data.title || I18n.t('media.untitled');
+        this.elements.date.textContent = this.formatDate(data.date);
+        this.elements.explanation.textContent = data.explanation || I18n.t('info.noDescription');
+        
+        if (data.copyright) {
+            this.elements.creditText.textContent = data.copyright;
+            this.elements.credit.style.display = 'block';
+        } else {
+            this.elements.credit.style.display = 'none';
+        }
+
+        if (data.provider) {
+            this.elements.providerText.textContent = I18n.t('info.servedBy', { provider: this.getProviderLabel(data.provider) });
+            this.elements.provider.style.display = 'inline-flex';
+        } else {
+            this.elements.provider.style.display = 'none';
+        }
+    }
+
+    // Notices explain why the picture shown isn't quite the one asked for
+    displayNotice(notice) {
+        this.elements.notice.hidden = !notice;
+        this.elements.notice.textContent = notice
+            ? I18n.t(notice.key, { date: I18n.shared.formatDate(notice.date, { dateStyle: 'long' }) })
+            : '';
+    }
+
+    getProviderLabel(providerId) {
+        return this.options.getProviderLabel ? this.options.getProviderLabel(providerId) : providerId;
+    }
+
+    formatDate(dateString) {
+        return I18n.shared.formatDate(dateString, {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+}
+
+// Gallery Component - thumbnail grid for date-range results
+class GalleryComponent extends Component {
+    constructor(elements, state) {
+        super(elements.container, state);
+        this.elements = elements;
+        this.renderedDates = new Set();
+        this.renderedLocale = null;
+    }
+
+    static get stateKeys() {
+        return ['view', 'gallery', 'locale'];
+    }
+
+    render(state) {
+        if (state.view !== 'gallery') {
+            this.hide();
+            return;
+        }
+
+        const { gallery } = state;
+        this.show();
+        this.elements.title.textContent = I18n.t('gallery.title', {
+            start: I18n.shared.formatDate(gallery.startDate),
+            end: I18n.shared.formatDate(gallery.endDate)
+        });
+        this.elements.progress.textContent = gallery.loading
+            ? I18n.t('gallery.loading', { loaded: gallery.entries.length, total: gallery.totalDays })
+            : I18n.t('gallery.count', { count: gallery.entries.length });
+
+        // Captions are language-specific, so a language switch rebuilds the grid
+        if (state.locale !== this.renderedLocale) {
+            this.renderedLocale = state.locale;
+            this.elements.grid.innerHTML = '';
+            this.renderedDates.clear();
+        }
+        this.renderTiles(gallery.entries);
+    }
+
+    renderTiles(entries) {
+        // New galleries start from an empty grid; chunks of the same gallery are appended
+        if (entries.length < this.renderedDates.size) {
+            this.elements.grid.innerHTML = '';
+            this.renderedDates.clear();
+        }
+
+        entries
+            .filter(entry => !this.renderedDates.has(entry.date))
+            .forEach(entry => {
+                this.elements.grid.appendChild(this.createTile(entry));
+                this.renderedDates.add(entry.date);
+            });
+    }
+
+    createTile(entry) {
+        const tile = document.createElement('button');
+        tile.className = 'gallery-tile fade-in';
+        tile.title = entry.title || entry.date;
+
+        const media = MediaResolver.resolve(entry);
+        const thumbnailUrl = media.kind === 'image' ? entry.url : media.thumbnail;
+        if (thumbnailUrl) {
+            const img = document.createElement('img');
+            img.src = thumbnailUrl;
+            img.alt = entry.title || I18n.t('media.pictureAlt');
+            img.loading = 'lazy';
+            tile.appendChild(img);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'gallery-placeholder';
+            placeholder.textContent = { embed: '🎬', video: '🎬', interactive: '🕹️' }[media.kind] || '🔭';
+            tile.appendChild(placeholder);
+        }
+
+        const caption = document.createElement('span');
+        caption.className = 'gallery-caption';
+        caption.textContent = `${I18n.shared.formatDate(entry.date)} · ${entry.title || I18n.t('media.untitled')}`;
+        tile.appendChild(caption);
+
+        tile.addEventListener('click', () => this.openEntry(entry));
+        return tile;
+    }
+
+    openEntry(entry) {
+        this.state.setState({
+            view: 'picture',
+            error: null,
+            currentPicture: entry,
+            selectedDate: entry.date
+        });
+    }
+}
+
+// Calendar Component - a month of thumbnails under the date controls, opened from the day stepper
+// A month costs one range request (none once it is cached). Days outside the APOD archive are
+// disabled, and so are days that aren't saved on the device while offline.
+class CalendarComponent extends Component {
+    constructor(elements, state, apiService, options = {}) {
+        super(elements.container, state);
+        this.elements = elements;
+        this.apiService = apiService;
+        this.options = options;
+        this.month = null;
+        this.entries = new Map();
+        this.loadedMonths = new Set();
+        this.monthLoad = null;
+        this.bindEvents();
+    }
+
+    static get stateKeys() {
+        return ['selectedDate', 'collections', 'offline', 'offlineDates', 'locale'];
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    bindEvents() {
+        const { toggleBtn, prevBtn, nextBtn, monthSelect, yearSelect, grid } = this.elements;
+        toggleBtn.addEventListener('click', () => this.toggle());
+        prevBtn.addEventListener('click', () => this.showMonth(ApodDate.addMonths(this.month, -1)));
+        nextBtn.addEventListener('click', () => this.showMonth(ApodDate.addMonths(this.month, 1)));
+        monthSelect.addEventListener('change', () => this.showMonth(`${this.month.slice(0, 4)}-${monthSelect.value}`));
+        yearSelect.addEventListener('change', () => this.showMonth(`${yearSelect.value}-${this.month.slice(5, 7)}`));
+
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggle(false);
+                toggleBtn.focus();
+            } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+                e.preventDefault();
+                this.showMonth(ApodDate.addMonths(this.month, e.key === 'PageUp' ? -1 : 1));
+            }
+        });
+        grid.addEventListener('click', (e) => {
+            const day = e.target.closest('.calendar-day');
+            if (day && !day.disabled) this.selectDate(day.dataset.date);
+        });
+    }
+
+    // Monday or Sunday, from the language's week data where the browser has it
+    static firstDayOfWeek(locale) {
+        try {
+            const intlLocale = new Intl.Locale(locale);
+            const weekInfo = intlLocale.getWeekInfo ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+            if (weekInfo && weekInfo.firstDay) return weekInfo.firstDay % 7;
+        } catch (error) {
+            // Fall through to the default below
+        }
+        return locale === 'en' ? 0 : 1;
+    }
+
+    get monthRange() {
+        const today = ApodDate.today();
+        return { first: AppUtils.dateUtils.apodFirstDate.slice(0, 7), last: today.slice(0, 7) };
+    }
+
+    setApiService(apiService) {
+        this.cancelMonthLoad();
+        this.apiService = apiService;
+        this.loadedMonths.clear();
+        if (this.isOpen) this.loadMonth(this.month);
+    }
+
+    toggle(open = !this.isOpen) {
+        this.element.hidden = !open;
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+        if (open) {
+            this.showMonth(this.state.getState().selectedDate.slice(0, 7));
+        } else {
+            this.cancelMonthLoad();
+        }
+    }
+
+    showMonth(month) {
+        const { first, last } = this.monthRange;
+        this.month = month < first ? first : (month > last ? last : month);
+        this.renderMonth(this.state.getState());
+        this.loadMonth(this.month);
+    }
+
+    selectDate(date) {
+        if (this.options.onSelect) this.options.onSelect(date);
+    }
+
+    render(state) {
+        if (this.isOpen) this.renderMonth(state);
+    }
+
+    cancelMonthLoad() {
+        if (this.monthLoad) {
+            this.monthLoad.controller.abort();
+            this.monthLoad = null;
+        }
+    }
+
+    // The whole month in one range request, clipped to the archive; offline, only saved days are read
+    async loadMonth(month) {
+        if (this.loadedMonths.has(month) || (this.monthLoad && this.monthLoad.month === month)) return;
+        this.cancelMonthLoad();
+
+        const { apodFirstDate } = AppUtils.dateUtils;
+        const today = ApodDate.today();
+        const monthStart = `${month}-01`;
+        const monthEnd = `${month}-${String(ApodDate.daysInMonth(month)).padStart(2, '0')}`;
+        const start = monthStart < apodFirstDate ? apodFirstDate : monthStart;
+        const end = monthEnd > today ? today : monthEnd;
+
+        const controller = new AbortController();
+        const load = { month, controller };
+        this.monthLoad = load;
+        this.elements.status.textContent = I18n.t('calendar.loading');
+
+        try {
+            const { offline, offlineDates } = this.state.getState();
+            const entries = offline
+                ? (await Promise.all(offlineDates
+                    .filter(date => date >= start && date <= end)
+                    .map(date => this.apiService.getCachedPicture(date)))).filter(Boolean)
+                : await this.apiService.fetchPictureRange(start, end, {
+                    chunkDays: ApodDate.daysInMonth(month),
+                    signal: controller.signal
+                });
+            if (this.monthLoad !== load) return;
+
+            entries.forEach(entry => this.entries.set(entry.date, entry));
+            // Until today's entry is posted, the current month is asked for again when it is reopened
+            if (!offline && (end < today || this.entries.has(today))) this.loadedMonths.add(month);
+            this.elements.status.textContent = '';
+        } catch (error) {
+            if (error.aborted || this.monthLoad !== load) return;
+            this.elements.status.textContent = I18n.t('calendar.loadFailed');
+        } finally {
+            if (this.monthLoad === load) this.monthLoad = null;
+        }
+
+        if (this.isOpen && this.month === month) this.renderMonth(this.state.getState());
+    }
+
+    renderMonth(state) {
+        if (!this.month) return;
+        const { first, last } = this.monthRange;
+        this.elements.prevBtn.disabled = this.month <= first;
+        this.elements.nextBtn.disabled = this.month >= last;
+        this.renderSelects(state.locale);
+        this.renderGrid(state);
+    }
+
+    renderSelects(locale) {
+        const { monthSelect, yearSelect } = this.elements;
+        const { first, last } = this.monthRange;
+        const year = this.month.slice(0, 4);
+
+        monthSelect.innerHTML = '';
+        for (let index = 1; index <= 12; index++) {
+            const value = String(index).padStart(2, '0');
+            const option = new Option(ApodDate.format(`2000-${value}-01`, locale, { month: 'long' }), value);
+            const month = `${year}-${value}`;
+            option.disabled = month < first || month > last;
+            monthSelect.appendChild(option);
+        }
+        monthSelect.value = this.month.slice(5, 7);
+
+        yearSelect.innerHTML = '';
+        for (let value = Number(last.slice(0, 4)); value >= Number(first.slice(0, 4)); value--) {
+            yearSelect.appendChild(new Option(String(value), String(value)));
+        }
+        yearSelect.value = year;
+    }
+
+    renderGrid(state) {
+        const grid = this.elements.grid;
+        const firstDay = CalendarComponent.firstDayOfWeek(state.locale);
+        const favorites = new Set(((state.collections || [])
+            .find(collection => collection.id === FavoritesStore.DEFAULT_COLLECTION_ID) || { entries: [] })
+            .entries.map(entry => entry.date));
+
+        grid.innerHTML = '';
+        for (let index = 0; index < 7; index++) {
+            // 2023-01-01 was a Sunday
+            const label = document.createElement('span');
+            label.className = 'calendar-weekday';
+            label.textContent = ApodDate.format(ApodDate.addDays('2023-01-01', (firstDay + index) % 7), state.locale, { weekday: 'short' });
+            grid.appendChild(label);
+        }
+
+        const offset = (ApodDate.weekday(`${this.month}-01`) - firstDay + 7) % 7;
+        for (let index = 0; index < offset; index++) {
+            grid.appendChild(document.createElement('span'));
+        }
+
+        const today = ApodDate.today();
+        const days = ApodDate.daysInMonth(this.month);
+        for (let day = 1; day <= days; day++) {
+            const date = `${this.month}-${String(day).padStart(2, '0')}`;
+            grid.appendChild(this.createDay(date, { state, favorites, today }));
+        }
+    }
+
+    createDay(date, { state, favorites, today }) {
+        const entry = this.entries.get(date);
+        const isVideo = Boolean(entry) && entry.media_type === 'video';
+        const isFavorite = favorites.has(date);
+        const unavailable = state.offline && !state.offlineDates.includes(date);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'calendar-day';
+        button.dataset.date = date;
+        button.disabled = !AppUtils.dateUtils.isWithinApodRange(date) || unavailable;
+        button.classList.toggle('selected', date === state.selectedDate);
+        button.classList.toggle('today', date === today);
+        button.classList.toggle('unavailable-offline', unavailable);
+        if (date === today) button.setAttribute('aria-current', 'date');
+
+        if (entry) {
+            const media = MediaResolver.resolve(entry);
+            const thumbnailUrl = media.kind === 'image' ? entry.url : media.thumbnail;
+            if (thumbnailUrl) {
+                const img = document.createElement('img');
+                img.src = thumbnailUrl;
+                img.alt = '';
+                img.loading = 'lazy';
+                button.appendChild(img);
+            }
+        }
+
+        const number = document.createElement('span');
+        number.className = 'calendar-day-number';
+        number.textContent = String(Number(date.slice(8)));
+        button.appendChild(number);
+
+        const markers = [];
+        if (isVideo) markers.push(['🎬', I18n.t('calendar.video')]);
+        if (isFavorite) markers.push(['⭐', I18n.t('calendar.favorite')]);
+        if (markers.length > 0) {
+            const markerList = document.createElement('span');
+            markerList.className = 'calendar-markers';
+            markerList.textContent = markers.map(([icon]) => icon).join('');
+            markerList.setAttribute('aria-hidden', 'true');
+            button.appendChild(markerList);
+        }
+
+        const label = [I18n.shared.formatDate(date, { dateStyle: 'full' })];
+        if (entry && entry.title) label.push(entry.title);
+        markers.forEach(([, text]) => label.push(text));
+        if (unavailable) label.push(I18n.t('offline.notAvailable'));
+        button.setAttribute('aria-label', label.join(' · '));
+        button.title = label.join('\n');
+        return button;
+    }
+}
+
+// Favorites Component - star button, collection picker and the collections side panel
+class FavoritesComponent extends Component {
+    constructor(elements, state, store) {
+        super(elements.panel, state);
+        this.elements = elements;
+        this.store = store;
+        this.expanded = new Set([FavoritesStore.DEFAULT_COLLECTION_ID]);
+        this.renderedCollections = null;
+        this.renderedLocale = null;
+        this.bindEvents();
+        this.syncCollections();
+    }
+
+    bindEvents() {
+        this.elements.toggleBtn.addEventListener('click', () => this.togglePanel());
+        this.elements.closeBtn.addEventListener('click', () => this.togglePanel(false));
+        this.elements.favoriteBtn.addEventListener('click', () => this.handleFavoriteClick());
+        this.elements.collectionPicker.addEventListener('change', () => this.handleCollectionPick());
+        this.elements.createForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCreateCollection();
+        });
+        this.elements.exportBtn.addEventListener('click', () => this.exportCollections());
+        this.elements.importInput.addEventListener('change', () => this.importCollections());
+    }
+
+    syncCollections() {
+        this.state.setState({ collections: this.store.getCollections() });
+    }
+
+    static get stateKeys() {
+        return ['currentPicture', 'collections', 'locale'];
+    }
+
+    render(state) {
+        this.renderFavoriteButton(state.currentPicture);
+
+        if (state.collections !== this.renderedCollections || state.locale !== this.renderedLocale) {
+            this.renderedCollections = state.collections;
+            this.renderedLocale = state.locale;
+            this.renderCollectionPicker(state.collections);
+            this.renderCollections(state.collections);
+        }
+    }
+
+    togglePanel(open = !this.element.classList.contains('open')) {
+        this.element.classList.toggle('open', open);
+        this.element.setAttribute('aria-hidden', String(!open));
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+    }
+
+    renderFavoriteButton(picture) {
+        const isFavorite = Boolean(picture && this.store.isFavorite(picture.date));
+        this.elements.favoriteBtn.disabled = !picture;
+        this.elements.favoriteBtn.classList.toggle('active', isFavorite);
+        this.elements.favoriteBtn.setAttribute('aria-pressed', String(isFavorite));
+        this.elements.favoriteBtn.querySelector('.btn-icon').textContent = isFavorite ? '⭐' : '☆';
+        this.elements.collectionPicker.disabled = !picture;
+    }
+
+    renderCollectionPicker(collections) {
+        const picker = this.elements.collectionPicker;
+        picker.innerHTML = '';
+        picker.appendChild(new Option(I18n.t('collections.addToPrompt'), ''));
+        collections
+            .filter(collection => collection.id !== FavoritesStore.DEFAULT_COLLECTION_ID)
+            .forEach(collection => picker.appendChild(new Option(collection.name, collection.id)));
+    }
+
+    renderCollections(collections) {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        collections.forEach(collection => {
+            const section = document.createElement('section');
+            section.className = 'collection';
+
+            const header = document.createElement('div');
+            header.className = 'collection-header';
+
+            const toggle = document.createElement('button');
+            toggle.className = 'collection-toggle';
+            toggle.textContent = `${this.expanded.has(collection.id) ? '▾' : '▸'} ${this.getCollectionName(collection)} (${I18n.shared.formatNumber(collection.entries.length)})`;
+            toggle.addEventListener('click', () => {
+                if (this.expanded.has(collection.id)) {
+                    this.expanded.delete(collection.id);
+                } else {
+                    this.expanded.add(collection.id);
+                }
+                this.renderCollections(this.state.getState().collections);
+            });
+            header.appendChild(toggle);
+
+            if (collection.id !== FavoritesStore.DEFAULT_COLLECTION_ID) {
+                header.appendChild(this.createIconButton('🗑️', I18n.t('collections.delete', { name: collection.name }), () => {
+                    this.store.deleteCollection(collection.id);
+                    this.syncCollections();
+                }));
+            }
+            section.appendChild(header);
+
+            if (this.expanded.has(collection.id)) {
+                section.appendChild(this.createEntryList(collection));
+            }
+            list.appendChild(section);
+        });
+    }
+
+    createEntryList(collection) {
+        const entries = document.createElement('ul');
+        entries.className = 'collection-entries';
+
+        if (collection.entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'collection-empty';
+            empty.textContent = I18n.t('collections.empty');
+            entries.appendChild(empty);
+        }
+
+        collection.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'collection-entry';
+
+            const open = document.createElement('button');
+            open.className = 'collection-entry-open';
+            open.textContent = `${I18n.shared.formatDate(entry.date)} · ${entry.title || I18n.t('media.untitled')}`;
+            open.addEventListener('click', () => this.openEntry(entry));
+            item.appendChild(open);
+
+            item.appendChild(this.createIconButton('✕', I18n.t('collections.remove', { name: this.getCollectionName(collection) }), () => {
+                this.store.removeFromCollection(collection.id, entry.date);
+                this.syncCollections();
+            }));
+            entries.appendChild(item);
+        });
+
+        return entries;
+    }
+
+    // The built-in collection's stored name is English; show it in the current language
+    getCollectionName(collection) {
+        return collection.id === FavoritesStore.DEFAULT_COLLECTION_ID ? I18n.t('collections.favorites') : collection.name;
+    }
+
+    createIconButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'icon-btn';
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Stored records are complete, so opening one never calls the API
+    openEntry(entry) {
+        this.state.setState({
+            view: 'picture',
+            error: null,
+            currentPicture: entry,
+            selectedDate: entry.date
+        });
+    }
+
+    handleFavoriteClick() {
+        const { currentPicture } = this.state.getState();
+        if (!currentPicture) return;
+        this.store.toggleFavorite(currentPicture);
+        this.syncCollections();
+    }
+
+    handleCollectionPick() {
+        const collectionId = this.elements.collectionPicker.value;
+        const { currentPicture } = this.state.getState();
+        this.elements.collectionPicker.value = '';
+        if (!collectionId || !currentPicture) return;
+
+        this.store.addToCollection(collectionId, currentPicture);
+        this.syncCollections();
+    }
+
+    handleCreateCollection() {
+        try {
+            this.store.createCollection(this.elements.createInput.value);
+            this.elements.createInput.value = '';
+            this.syncCollections();
+        } catch (error) {
+            this.state.setState({ error: error.message });
+        }
+    }
+
+    exportCollections() {
+        const json = JSON.stringify(this.store.exportData(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `apod-collections-${ApodDate.localToday()}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async importCollections() {
+        const file = this.elements.importInput.files[0];
+        this.elements.importInput.value = '';
+        if (!file) return;
+
+        try {
+            const imported = this.store.importData(JSON.parse(await file.text()));
+            this.syncCollections();
+            console.log(`📥 Imported ${imported} pictures into your collections`);
+        } catch (error) {
+            this.state.setState({ error: I18n.t('collections.importFailed', { message: error.message }) });
+        }
+    }
+}
+
+// Share Component - share menu for the current picture: deep link, Web Share, citations and a share card
+class ShareComponent extends Component {
+    constructor(elements, state, options = {}) {
+        super(elements.menu, state);
+        this.elements = elements;
+        this.options = options;
+        this.picture = null;
+        this.bindEvents();
+    }
+
+    static get stateKeys() {
+        return ['currentPicture', 'locale'];
+    }
+
+    // Open Graph size, so the card previews well wherever it is posted
+    static get CARD_SIZE() {
+        return { width: 1200, height: 630 };
+    }
+
+    bindEvents() {
+        const { toggleBtn, copyLinkBtn, nativeBtn, cardBtn, formatSelect, copyCitationBtn } = this.elements;
+        toggleBtn.addEventListener('click', () => this.toggleMenu());
+        copyLinkBtn.addEventListener('click', () => this.copyLink());
+        nativeBtn.addEventListener('click', () => this.shareNative());
+        cardBtn.addEventListener('click', () => this.downloadCard());
+        formatSelect.addEventListener('change', () => this.renderCitation());
+        copyCitationBtn.addEventListener('click', () => this.copyCitation());
+
+        // Web Share is only offered where the browser has it
+        nativeBtn.hidden = typeof navigator === 'undefined' || typeof navigator.share !== 'function';
+
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggleMenu(false);
+                toggleBtn.focus();
+            }
+        });
+
+        // Clicks outside the menu close it; composedPath sees through the viewer's shadow root
+        this.handleOutsidePointer = (e) => {
+            if (this.element.hidden) return;
+            const path = e.composedPath();
+            if (!path.includes(this.element) && !path.includes(toggleBtn)) this.toggleMenu(false);
+        };
+        document.addEventListener('pointerdown', this.handleOutsidePointer);
+    }
+
+    destroy() {
+        super.destroy();
+        document.removeEventListener('pointerdown', this.handleOutsidePointer);
+    }
+
+    render(state) {
+        this.picture = state.currentPicture;
+        this.elements.toggleBtn.disabled = !this.picture;
+
+        if (!this.picture) {
+            this.toggleMenu(false);
+            return;
+        }
+        this.renderCitation();
+        this.setStatus('');
+    }
+
+    toggleMenu(open = this.element.hidden) {
+        if (open && !this.picture) return;
+        this.element.hidden = !open;
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+    }
+
+    getShareUrl() {
+        return this.options.getShareUrl ? this.options.getShareUrl(this.picture) : MediaResolver.getApodPageUrl(this.picture.date);
+    }
+
+    getCitation(format = this.elements.formatSelect.value) {
+        return CitationFormatter.format(this.picture, format);
+    }
+
+    renderCitation() {
+        if (!this.picture) return;
+        this.elements.citation.value = this.getCitation();
+    }
+
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Clipboard not available:', error);
+            return false;
+        }
+    }
+
+    async copyLink() {
+        const url = this.getShareUrl();
+        const copied = await this.copyText(url);
+        this.setStatus(copied ? I18n.t('share.linkCopied') : I18n.t('share.copyLinkManually', { url }));
+    }
+
+    async copyCitation() {
+        const copied = await this.copyText(this.elements.citation.value);
+        if (!copied) this.elements.citation.select();
+        this.setStatus(I18n.t(copied ? 'share.citationCopied' : 'share.copyFailed'));
+    }
+
+    async shareNative() {
+        const picture = this.picture;
+        try {
+            await navigator.share({
+                title: picture.title,
+                text: CitationFormatter.plain(picture),
+                url: this.getShareUrl()
+            });
+        } catch (error) {
+            // AbortError just means the share sheet was dismissed
+            if (error.name !== 'AbortError') {
+                console.warn('⚠️ Web Share failed:', error);
+                this.setStatus(I18n.t('share.shareFailed'));
+            }
+        }
+    }
+
+    async downloadCard() {
+        const picture = this.picture;
+        this.elements.cardBtn.disabled = true;
+        this.setStatus(I18n.t('share.cardRendering'));
+
+        try {
+            const { blob, withPicture } = await this.renderCard(picture);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `apod-${picture.date}.png`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            this.setStatus(I18n.t(withPicture ? 'share.cardReady' : 'share.cardWithoutPicture'));
+        } catch (error) {
+            console.error('❌ Could not render share card:', error);
+            this.setStatus(I18n.t('share.cardFailed'));
+        } finally {
+            this.elements.cardBtn.disabled = false;
+        }
+    }
+
+    async renderCard(picture) {
+        const { width, height } = ShareComponent.CARD_SIZE;
+        const padding = 56;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        const background = context.createLinearGradient(0, 0, width, height);
+        background.addColorStop(0, '#0f0f23');
+        background.addColorStop(1, '#2d1b69');
+        context.fillStyle = background;
+        context.fillRect(0, 0, width, height);
+
+        const image = await this.loadCardImage(ShareComponent.cardImageSource(picture));
+        if (image) this.drawCover(context, image, width, height);
+
+        // Shade the lower half so the text stays readable over bright pictures
+        const shade = context.createLinearGradient(0, height * 0.3, 0, height);
+        shade.addColorStop(0, 'rgba(15, 15, 35, 0)');
+        shade.addColorStop(1, 'rgba(15, 15, 35, 0.92)');
+        context.fillStyle = shade;
+        context.fillRect(0, 0, width, height);
+
+        const font = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+        const credit = CitationFormatter.credit(picture);
+        const creditLine = credit
+            ? I18n.t('share.cardCredit', { credit, source: CitationFormatter.PUBLISHER })
+            : CitationFormatter.PUBLISHER;
+        let y = height - padding;
+
+        context.textBaseline = 'alphabetic';
+        context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        context.font = `400 24px ${font}`;
+        context.fillText(ShareComponent.fitText(context, creditLine, width - padding * 2), padding, y);
+
+        y -= 44;
+        context.fillStyle = '#ffd700';
+        context.font = `600 28px ${font}`;
+        context.fillText(I18n.shared.formatDate(picture.date, { dateStyle: 'long' }), padding, y);
+
+        context.fillStyle = '#ffffff';
+        context.font = `700 56px ${font}`;
+        const titleLines = ShareComponent.wrapText(context, CitationFormatter.title(picture), width - padding * 2, 2);
+        y -= 52;
+        titleLines.forEach((line, index) => context.fillText(line, padding, y - 64 * (titleLines.length - 1 - index)));
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        context.font = `500 24px ${font}`;
+        context.textBaseline = 'top';
+        context.fillText(`🌌 ${I18n.t('app.title')}`, padding, padding);
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Canvas export failed'))), 'image/png');
+        });
+        return { blob, withPicture: Boolean(image) };
+    }
+
+    // Videos use their thumbnail; interactive entries have nothing to draw
+    static cardImageSource(picture) {
+        if (picture.media_type === 'image') return picture.url;
+        return picture.thumbnail_url || MediaResolver.resolve(picture).thumbnail || null;
+    }
+
+    // A picture served without CORS headers would taint the canvas, so the card goes without it
+    loadCardImage(src) {
+        return new Promise(resolve => {
+            if (!src) return resolve(null);
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => resolve(null);
+            image.src = src;
+        });
+    }
+
+    drawCover(context, image, width, height) {
+        const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+        const drawWidth = image.naturalWidth * scale;
+        const drawHeight = image.naturalHeight * scale;
+        context.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    static wrapText(context, text, maxWidth, maxLines) {
+        const lines = [];
+        let line = '';
+        for (const word of text.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (context.measureText(candidate).width <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        }
+        if (line) lines.push(line);
+
+        if (lines.length <= maxLines) return lines.map(text => ShareComponent.fitText(context, text, maxWidth));
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = ShareComponent.fitText(context, `${kept[maxLines - 1]} ${lines.slice(maxLines).join(' ')}`, maxWidth);
+        return kept;
+    }
+
+    static fitText(context, text, maxWidth) {
+        if (context.measureText(text).width <= maxWidth) return text;
+        let fitted = text;
+        while (fitted && context.measureText(`${fitted}…`).width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted.trimEnd()}…`;
+    }
+}
+
+// Export Component - the Export panel: pick a source and format, then download the archive
+class ExportComponent extends Component {
+    constructor(elements, state, options = {}) {
+        super(elements.panel, state);
+        this.elements = elements;
+        this.options = options;
+        this.exporter = options.exporter || new ArchiveExporter();
+        this.config = { chunkDays: 31, maxRangeDays: 366, hdImages: false, ...options.config };
+        this.controller = null;
+        this.renderedCollections = null;
+        this.renderedLocale = null;
+        this.setupInputs();
+        this.bindEvents();
+    }
+
+    static get stateKeys() {
+        return ['collections', 'locale'];
+    }
+
+    setupInputs() {
+        const today = ApodDate.today();
+        const { startInput, endInput, hdInput } = this.elements;
+        [startInput, endInput].forEach(input => {
+            input.min = AppUtils.dateUtils.apodFirstDate;
+            input.max = today;
+        });
+        startInput.value = `${today.slice(0, 8)}01`;
+        endInput.value = today;
+        hdInput.checked = Boolean(this.config.hdImages);
+        this.syncInputs();
+    }
+
+    bindEvents() {
+        this.elements.toggleBtn.addEventListener('click', () => this.togglePanel());
+        this.elements.closeBtn.addEventListener('click', () => this.togglePanel(false));
+        this.elements.sourceSelect.addEventListener('change', () => this.syncInputs());
+        this.elements.imagesInput.addEventListener('change', () => this.syncInputs());
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+    }
+
+    togglePanel(open = !this.element.classList.contains('open')) {
+        this.element.classList.toggle('open', open);
+        this.element.setAttribute('aria-hidden', String(!open));
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+    }
+
+    // Only the inputs for the chosen source are shown; HD only matters when images are bundled
+    syncInputs() {
+        const source = this.elements.sourceSelect.value;
+        this.elements.rangeInputs.hidden = source !== 'range';
+        this.elements.collectionSelect.hidden = source !== 'collection';
+        this.elements.hdInput.disabled = !this.elements.imagesInput.checked;
+    }
+
+    render(state) {
+        if (state.collections === this.renderedCollections && state.locale === this.renderedLocale) return;
+        this.renderedCollections = state.collections;
+        this.renderedLocale = state.locale;
+
+        const select = this.elements.collectionSelect;
+        const selected = select.value;
+        select.innerHTML = '';
+        (state.collections || []).forEach(collection => {
+            const name = collection.id === FavoritesStore.DEFAULT_COLLECTION_ID ? I18n.t('collections.favorites') : collection.name;
+            select.appendChild(new Option(`${name} (${collection.entries.length})`, collection.id));
+        });
+        if (selected && [...select.options].some(option => option.value === selected)) select.value = selected;
+        if (!this.controller) this.renderButton();
+    }
+
+    renderButton() {
+        this.elements.submitBtn.querySelector('span:last-child').textContent = I18n.t(this.controller ? 'export.cancel' : 'export.start');
+    }
+
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+
+    readSource() {
+        const type = this.elements.sourceSelect.value;
+        if (type === 'range') {
+            return { type, start: this.elements.startInput.value, end: this.elements.endInput.value };
+        }
+        if (type === 'collection') {
+            const id = this.elements.collectionSelect.value;
+            const collection = (this.state.getState().collections || []).find(candidate => candidate.id === id);
+            const name = collection && collection.id === FavoritesStore.DEFAULT_COLLECTION_ID ? I18n.t('collections.favorites') : collection?.name;
+            return { type, id, name: name || id };
+        }
+        return { type: 'cached' };
+    }
+
+    validateSource(source) {
+        const { isWithinApodRange, daysBetween } = AppUtils.dateUtils;
+        if (source.type === 'collection' && !source.id) return I18n.t('export.noCollection');
+        if (source.type !== 'range') return null;
+
+        if (!isWithinApodRange(source.start) || !isWithinApodRange(source.end) || source.start > source.end) {
+            return I18n.t('export.invalidRange');
+        }
+        if (daysBetween(source.start, source.end) + 1 > this.config.maxRangeDays) {
+            return I18n.t('export.rangeTooLong', { days: this.config.maxRangeDays });
+        }
+        return null;
+    }
+
+    async handleSubmit() {
+        if (this.controller) {
+            this.controller.abort();
+            return;
+        }
+
+        const source = this.readSource();
+        const problem = this.validateSource(source);
+        if (problem) {
+            this.setStatus(problem);
+            return;
+        }
+
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.controller = controller;
+        this.renderButton();
+        this.setStatus(I18n.t('export.collecting'));
+
+        try {
+            const { entries, skipped } = await this.options.collectEntries(source, {
+                signal,
+                chunkDays: this.config.chunkDays,
+                onProgress: (done, total) => this.setStatus(I18n.t('export.fetching', { done, total }))
+            });
+            if (signal.aborted) throw ApiError.aborted();
+            if (entries.length === 0) {
+                this.setStatus(I18n.t(skipped.length ? 'export.unavailable' : 'export.empty'));
+                return;
+            }
+
+            const includeImages = this.elements.imagesInput.checked;
+            const result = await this.exporter.export(entries, {
+                format: this.elements.formatSelect.value,
+                source,
+                includeImages,
+                hd: includeImages && this.elements.hdInput.checked,
+                signal,
+                onProgress: (done, total) => this.setStatus(I18n.t('export.downloading', { done, total }))
+            });
+
+            this.download(result);
+            const count = ArchiveExporter.prepare(entries).length;
+            const summary = result.missing.length
+                ? I18n.t('export.doneMissing', { count, missing: result.missing.length })
+                : I18n.t('export.done', { count });
+            this.setStatus(skipped.length
+                ? `${summary}. ${I18n.t('export.skipped', { count: new Set(skipped).size })}`
+                : summary);
+        } catch (error) {
+            this.setStatus(error.aborted || signal.aborted
+                ? I18n.t('export.cancelled')
+                : I18n.t('export.failed', { message: error.message }));
+        } finally {
+            this.controller = null;
+            this.renderButton();
+        }
+    }
+
+    download({ filename, mimeType, data }) {
+        const blob = new Blob([data], { type: mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
+
+// Search Component - search box, ranked result list and background archive indexing
+class SearchComponent extends Component {
+    constructor(elements, state, searchService) {
+        super(elements.panel, state);
+        this.elements = elements;
+        this.searchService = searchService;
+        this.query = '';
+        this.searchTimer = null;
+        this.renderedCount = null;
+        this.renderedLocale = null;
+        this.setupRangeInputs();
+        this.bindEvents();
+    }
+
+    setupRangeInputs() {
+        const today = ApodDate.today();
+        const { indexStartInput, indexEndInput } = this.elements;
+        [indexStartInput, indexEndInput].forEach(input => {
+            input.min = AppUtils.dateUtils.apodFirstDate;
+            input.max = today;
+        });
+        indexStartInput.value = AppUtils.dateUtils.addDays(today, -29);
+        indexEndInput.value = today;
+    }
+
+    bindEvents() {
+        this.elements.toggleBtn.addEventListener('click', () => this.togglePanel());
+        this.elements.closeBtn.addEventListener('click', () => this.togglePanel(false));
+        this.elements.input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(this.elements.input.value), 150);
+        });
+        this.elements.indexBtn.addEventListener('click', () => this.handleIndexClick());
+    }
+
+    togglePanel(open = !this.element.classList.contains('open')) {
+        this.element.classList.toggle('open', open);
+        this.element.setAttribute('aria-hidden', String(!open));
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+        if (open) this.elements.input.focus();
+    }
+
+    handleIndexClick() {
+        const { bulk } = this.state.getState().search;
+        if (bulk.running) {
+            this.searchService.cancelBulkIndex();
+            return;
+        }
+        this.searchService.bulkIndex(this.elements.indexStartInput.value, this.elements.indexEndInput.value);
+    }
+
+    static get stateKeys() {
+        return ['search', 'locale'];
+    }
+
+    render(state) {
+        const { indexedCount, bulk } = state.search;
+        this.elements.status.textContent = I18n.t('search.status', { count: indexedCount });
+
+        this.elements.indexBtn.querySelector('span:last-child').textContent = I18n.t(bulk.running ? 'search.cancel' : 'search.indexRange');
+        this.elements.indexProgress.textContent = bulk.running
+            ? I18n.t('search.indexing', { done: bulk.done, total: bulk.total })
+            : (bulk.message || '');
+
+        // Newly indexed entries may match the current query
+        if (this.query && (indexedCount !== this.renderedCount || state.locale !== this.renderedLocale)) {
+            this.runSearch(this.query);
+        }
+        this.renderedCount = indexedCount;
+        this.renderedLocale = state.locale;
+    }
+
+    runSearch(query) {
+        this.query = query.trim();
+        const results = this.query ? this.searchService.search(this.query) : [];
+        this.renderResults(results);
+    }
+
+    renderResults(results) {
+        const list = this.elements.results;
+        list.innerHTML = '';
+
+        if (this.query && results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = I18n.t('search.noMatches', { query: this.query });
+            list.appendChild(empty);
+            return;
+        }
+
+        const terms = SearchIndex.analyze(this.query);
+        results.forEach(({ entry }) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'search-result';
+
+            const title = document.createElement('strong');
+            title.className = 'search-result-title';
+            title.appendChild(this.highlight(entry.title || I18n.t('media.untitled'), terms));
+
+            const date = document.createElement('span');
+            date.className = 'search-result-date';
+            date.textContent = I18n.shared.formatDate(entry.date);
+
+            const snippet = document.createElement('p');
+            snippet.className = 'search-result-snippet';
+            snippet.appendChild(this.highlight(this.createSnippet(entry, terms), terms));
+
+            button.append(title, date, snippet);
+            button.addEventListener('click', () => this.openEntry(entry));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }
+
+    // A window of the explanation around the first matching word
+    createSnippet(entry, terms, radius = 80) {
+        const text = entry.explanation || entry.copyright || '';
+        const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+        const hit = words.find(word => this.matchesTerms(word, terms));
+        const position = hit ? text.indexOf(hit) : 0;
+
+        const start = Math.max(0, position - radius);
+        const end = Math.min(text.length, position + radius * 2);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    matchesTerms(word, terms) {
+        const [term] = SearchIndex.analyze(word);
+        return Boolean(term) && terms.some((queryTerm, position) =>
+            term === queryTerm || (position === terms.length - 1 && term.startsWith(queryTerm)));
+    }
+
+    highlight(text, terms) {
+        const fragment = document.createDocumentFragment();
+        text.split(/([\p{L}\p{N}]+)/u).forEach(part => {
+            if (part && this.matchesTerms(part, terms)) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else if (part) {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        return fragment;
+    }
+
+    // Indexed records are complete, so opening one never calls the API
+    openEntry(entry) {
+        this.state.setState({
+            view: 'picture',
+            error: null,
+            currentPicture: entry,
+            selectedDate: entry.date
+        });
+    }
+}
+
+// Language Component - the language switcher; I18n remembers the choice for the next visit
+class LanguageComponent extends Component {
+    constructor(element, state, i18n) {
+        super(element, state);
+        this.i18n = i18n;
+        this.renderedLocale = null;
+        this.renderOptions();
+        this.element.addEventListener('change', () => this.changeLocale(this.element.value));
+    }
+
+    renderOptions() {
+        this.element.innerHTML = '';
+        this.i18n.availableLocales.forEach(code => {
+            this.element.appendChild(new Option(this.i18n.getLocaleName(code), code));
+        });
+        this.element.hidden = this.i18n.availableLocales.length < 2;
+    }
+
+    // Every viewer on the page hears the switch through I18n.onChange
+    async changeLocale(code) {
+        try {
+            await this.i18n.setLocale(code);
+        } catch (error) {
+            console.error('❌ Could not switch language:', error);
+            this.element.value = this.i18n.locale;
+        }
+    }
+
+    static get stateKeys() {
+        return ['locale'];
+    }
+
+    // Translates the static markup; components re-render their own text from the same state change
+    render(state) {
+        if (state.locale === this.renderedLocale) return;
+        this.renderedLocale = state.locale;
+        this.element.value = state.locale;
+        this.i18n.translateElement(this.element.getRootNode());
+    }
+}
+
+// Settings Component - provider order, API keys and provider definitions, applied without a reload
+class SettingsComponent extends Component {
+    constructor(elements, state, store, options = {}) {
+        super(elements.panel, state);
+        this.elements = elements;
+        this.store = store;
+        this.options = options;
+        this.editing = null;
+        this.renderedLocale = null;
+        this.bindEvents();
+    }
+
+    static get TEXT_FIELDS() {
+        return ['label', 'baseUrl', 'apiKey', 'apiKeyParam', 'dateParam', 'startDateParam', 'endDateParam', 'countParam', 'thumbsParam'];
+    }
+
+    bindEvents() {
+        this.elements.toggleBtn.addEventListener('click', () => this.togglePanel());
+        this.elements.closeBtn.addEventListener('click', () => this.togglePanel(false));
+        this.elements.addBtn.addEventListener('click', () => this.editProvider(null));
+        this.elements.resetBtn.addEventListener('click', () => this.resetAll());
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProvider();
+        });
+        this.elements.testBtn.addEventListener('click', () => this.testConnection());
+        this.elements.removeBtn.addEventListener('click', () => this.removeProvider());
+        this.elements.cancelBtn.addEventListener('click', () => this.closeEditor());
+    }
+
+    togglePanel(open = !this.element.classList.contains('open')) {
+        this.element.classList.toggle('open', open);
+        this.element.setAttribute('aria-hidden', String(!open));
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+        if (open) this.renderProviders();
+    }
+
+    static get stateKeys() {
+        return ['locale'];
+    }
+
+    render(state) {
+        if (state.locale === this.renderedLocale) return;
+        this.renderedLocale = state.locale;
+        this.renderProviders();
+        if (this.editing) this.renderEditorTitle();
+    }
+
+    renderProviders() {
+        const list = this.elements.providerList;
+        const providers = this.options.getProviders();
+        const enabled = providers.filter(provider => provider.enabled);
+        list.innerHTML = '';
+
+        providers.forEach(provider => {
+            const item = document.createElement('li');
+            item.className = 'settings-provider';
+            item.classList.toggle('disabled', !provider.enabled);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = provider.enabled;
+            // The chain always needs one provider
+            checkbox.disabled = provider.enabled && enabled.length === 1;
+            checkbox.setAttribute('aria-label', I18n.t('settings.useProvider', { name: provider.label }));
+            checkbox.addEventListener('change', () => this.setEnabled(provider.id, checkbox.checked));
+            item.appendChild(checkbox);
+
+            const name = document.createElement('span');
+            name.className = 'settings-provider-name';
+            name.textContent = provider.label;
+            const id = document.createElement('small');
+            id.textContent = provider.customized ? `${provider.id} •` : provider.id;
+            if (provider.customized) id.title = I18n.t('settings.customized');
+            name.appendChild(id);
+            item.appendChild(name);
+
+            if (provider.enabled) {
+                const position = enabled.indexOf(provider);
+                item.appendChild(this.createIconButton('↑', I18n.t('settings.moveUp', { name: provider.label }),
+                    () => this.move(provider.id, -1), position === 0));
+                item.appendChild(this.createIconButton('↓', I18n.t('settings.moveDown', { name: provider.label }),
+                    () => this.move(provider.id, 1), position === enabled.length - 1));
+            }
+            item.appendChild(this.createIconButton('✏️', I18n.t('settings.edit', { name: provider.label }),
+                () => this.editProvider(provider.id)));
+            list.appendChild(item);
+        });
+    }
+
+    createIconButton(icon, label, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'icon-btn';
+        button.textContent = icon;
+        button.title = label;
+        button.disabled = disabled;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // The chain is the ticked providers, top to bottom
+    saveOrder(providerIds) {
+        this.store.setProviderOrder(providerIds);
+        this.options.onChange();
+        this.renderProviders();
+    }
+
+    setEnabled(id, enabled) {
+        const order = this.options.getProviders().filter(provider => provider.enabled).map(provider => provider.id);
+        try {
+            this.saveOrder(enabled ? [...order, id] : order.filter(providerId => providerId !== id));
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+            this.renderProviders();
+        }
+    }
+
+    move(id, offset) {
+        const order = this.options.getProviders().filter(provider => provider.enabled).map(provider => provider.id);
+        const index = order.indexOf(id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= order.length) return;
+
+        [order[index], order[target]] = [order[target], order[index]];
+        this.saveOrder(order);
+    }
+
+    editProvider(id) {
+        const { form } = this.elements;
+        const config = this.options.getProviderConfig(id);
+        const provider = id ? this.options.getProviders().find(candidate => candidate.id === id) : null;
+
+        form.elements.providerId.value = id || '';
+        form.elements.providerId.readOnly = Boolean(id);
+        // New providers start from the standard APOD parameter names and mapping
+        const startsBlank = ['label', 'baseUrl', 'apiKey'];
+        SettingsComponent.TEXT_FIELDS.forEach(name => {
+            form.elements[name].value = !id && startsBlank.includes(name) ? '' : (config[name] || '');
+        });
+        form.elements.responseMapping.value = JSON.stringify(config.responseMapping || {}, null, 2);
+
+        this.editing = {
+            id,
+            custom: !provider || provider.custom,
+            customized: Boolean(provider && provider.customized),
+            mappingText: form.elements.responseMapping.value
+        };
+        this.elements.removeBtn.hidden = !id || (!this.editing.custom && !this.editing.customized);
+        this.renderEditorTitle();
+        this.setStatus('');
+        form.hidden = false;
+        (id ? form.elements.label : form.elements.providerId).focus();
+    }
+
+    renderEditorTitle() {
+        const { id, custom } = this.editing;
+        const label = id ? this.options.getProviderConfig(id).label || id : null;
+        this.elements.formTitle.textContent = id ? I18n.t('settings.edit', { name: label }) : I18n.t('settings.newProvider');
+        this.elements.removeBtn.textContent = I18n.t(custom ? 'settings.remove' : 'settings.restore');
+    }
+
+    closeEditor() {
+        this.editing = null;
+        this.elements.form.hidden = true;
+    }
+
+    // Returns the edited provider's id and field values; the mapping is only included once edited,
+    // so functions from config.js survive saving other fields
+    readForm() {
+        const { form } = this.elements;
+        const id = form.elements.providerId.value.trim();
+        const values = {};
+        SettingsComponent.TEXT_FIELDS.forEach(name => {
+            values[name] = form.elements[name].value.trim();
+        });
+
+        const mappingText = form.elements.responseMapping.value;
+        if (mappingText.trim() !== this.editing.mappingText.trim()) {
+            let mapping;
+            try {
+                mapping = JSON.parse(mappingText);
+            } catch (error) {
+                throw new Error(I18n.t('settings.invalidMapping', { message: error.message }));
+            }
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                throw new Error(I18n.t('settings.mappingNotObject'));
+            }
+            values.responseMapping = mapping;
+        }
+        return { id, values };
+    }
+
+    saveProvider() {
+        try {
+            const { id, values } = this.readForm();
+            const isNew = !this.editing.id;
+            if (isNew && this.options.getProviders().some(provider => provider.id === id)) {
+                throw new Error(I18n.t('settings.duplicateId', { id }));
+            }
+            if (!values.baseUrl) throw new Error(I18n.t('settings.baseUrlRequired'));
+
+            // Built-in providers keep only what differs from config.js
+            const base = this.options.getBaseConfig(id);
+            const changes = base ? {} : { custom: true };
+            Object.entries(values).forEach(([name, value]) => {
+                if (!base || JSON.stringify(value) !== JSON.stringify(base[name] ?? '')) changes[name] = value;
+            });
+            this.store.saveProvider(id, changes);
+
+            // A new provider is presumably the one to use, so it goes to the front of the chain
+            if (isNew) {
+                const order = this.options.getProviders().filter(provider => provider.enabled).map(provider => provider.id);
+                this.store.setProviderOrder([id, ...order.filter(providerId => providerId !== id)]);
+            }
+
+            this.options.onChange();
+            this.closeEditor();
+            this.renderProviders();
+            this.setStatus(I18n.t('settings.saved', { name: values.label || id }), 'success');
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+        }
+    }
+
+    removeProvider() {
+        const { id, custom } = this.editing;
+        const label = this.options.getProviderConfig(id).label || id;
+        const enabled = this.options.getProviders().filter(provider => provider.enabled);
+        if (custom && enabled.length === 1 && enabled[0].id === id) {
+            this.setStatus(I18n.t('settings.needsProvider'), 'error');
+            return;
+        }
+
+        if (custom) {
+            this.store.removeProvider(id);
+        } else {
+            this.store.saveProvider(id, {});
+        }
+        this.options.onChange();
+        this.closeEditor();
+        this.renderProviders();
+        this.setStatus(I18n.t(custom ? 'settings.removed' : 'settings.restored', { name: label }), 'success');
+    }
+
+    resetAll() {
+        this.store.reset();
+        this.options.onChange();
+        this.closeEditor();
+        this.renderProviders();
+        this.setStatus(I18n.t('settings.resetDone'), 'success');
+    }
+
+    // Tries the form as it stands, saved or not, against one known date
+    async testConnection() {
+        let config;
+        try {
+            const { id, values } = this.readForm();
+            config = { ...this.options.getProviderConfig(this.editing.id), ...values, id: id || 'test' };
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+            return;
+        }
+
+        const name = config.label || config.id;
+        const date = this.options.testDate;
+        this.elements.testBtn.disabled = true;
+        this.setStatus(I18n.t('settings.testing', { name, date: I18n.shared.formatDate(date) }));
+        try {
+            const { entry, elapsedMs, rateLimit } = await this.options.testConnection(config, date);
+            const quota = rateLimit.remaining !== null
+                ? ` · ${I18n.t('quota.left', { remaining: rateLimit.remaining, count: rateLimit.remaining })}`
+                : '';
+            this.setStatus(`${I18n.t('settings.testPassed', {
+                name,
+                ms: elapsedMs,
+                title: entry.title,
+                date: I18n.shared.formatDate(entry.date)
+            })}${quota}`, 'success');
+        } catch (error) {
+            this.setStatus(I18n.t('settings.testFailed', { message: error.message }), 'error');
+        } finally {
+            this.elements.testBtn.disabled = false;
+        }
+    }
+
+    setStatus(message, tone = null) {
+        const { status } = this.elements;
+        status.textContent = message;
+        status.classList.toggle('success', tone === 'success');
+        status.classList.toggle('error', tone === 'error');
+    }
+}
+
+// Controls Component
+class ControlsComponent extends Component {
+    constructor(elements, state, apiService, options = {}) {
+        super(elements.container, state);
+        this.elements = elements;
+        this.apiService = apiService;
+        this.options = options;
+        this.requestSeq = 0;
+        this.activeLoad = null;
+        this.setupControls();
+    }
+
+    setupControls() {
+        this.setupDateInput();
+        this.bindEvents();
+    }
+
+    // Random picks report a null date; the picture's date arrives with pictureLoaded
+    notifyRequest(date, view) {
+        if (this.options.onRequest) this.options.onRequest({ date, view });
+    }
+
+    // Loads in flight belong to the old providers; they are dropped and the next action uses the new ones
+    setApiService(apiService) {
+        if (this.activeLoad) {
+            this.cancelLoad();
+            const { gallery } = this.state.getState();
+            this.state.setState({ loading: false, gallery: { ...gallery, loading: false } });
+        }
+        this.apiService = apiService;
+    }
+
+    setupDateInput() {
+        const today = ApodDate.today();
+        const { dateInput, galleryStartInput, galleryEndInput } = this.elements;
+        [dateInput, galleryStartInput, galleryEndInput].forEach(input => {
+            input.min = AppUtils.dateUtils.apodFirstDate;
+            input.max = today;
+        });
+        dateInput.value = today;
+        galleryStartInput.value = AppUtils.dateUtils.addDays(today, -6);
+        galleryEndInput.value = today;
+    }
+
+    // min/max only guide the picker; typed dates are checked here before any request is made
+    checkDateRange(...dates) {
+        const { isWithinApodRange, apodFirstDate } = AppUtils.dateUtils;
+        const invalid = dates.find(date => !isWithinApodRange(date));
+        if (!invalid) return true;
+
+        this.state.setState({
+            error: I18n.t('controls.outOfRange', {
+                date: invalid,
+                first: I18n.shared.formatDate(apodFirstDate, { dateStyle: 'long' })
+            })
+        });
+        return false;
+    }
+
+    bindEvents() {
+        this.elements.fetchBtn.addEventListener('click', () => this.handleFetchClick());
+        this.elements.todayBtn.addEventListener('click', () => this.handleTodayClick());
+        this.elements.galleryBtn.addEventListener('click', () => this.handleGalleryClick());
+        this.elements.randomBtn.addEventListener('click', () => this.handleRandomClick());
+        this.elements.prevBtn.addEventListener('click', () => this.handleStepClick(-1));
+        this.elements.nextBtn.addEventListener('click', () => this.handleStepClick(1));
+        (this.options.keyTarget || document).addEventListener('keydown', (e) => this.handleKeyNavigation(e));
+        this.elements.dateInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleFetchClick();
+        });
+        this.elements.dateInput.addEventListener('input', () => this.markDateAvailability());
+    }
+
+    async handleStepClick(days) {
+        const { addDays, isWithinApodRange } = AppUtils.dateUtils;
+        const currentDate = this.elements.dateInput.value || this.state.getState().selectedDate;
+        const targetDate = addDays(currentDate, days);
+
+        if (!isWithinApodRange(targetDate)) return;
+        this.elements.dateInput.value = targetDate;
+        await this.loadPicture(targetDate);
+    }
+
+    handleKeyNavigation(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        // Inside a viewer's shadow root e.target is the viewer itself; the real origin comes first in the path
+        const origin = e.composedPath ? e.composedPath()[0] : e.target;
+        if (origin.closest && origin.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.handleStepClick(-1);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this.handleStepClick(1);
+        }
+    }
+
+    async handleRandomClick() {
+        await this.showNextRandom();
+    }
+
+    async handleGalleryClick() {
+        const startDate = this.elements.galleryStartInput.value;
+        const endDate = this.elements.galleryEndInput.value;
+        if (startDate && endDate && this.checkDateRange(startDate, endDate)) {
+            await this.loadGallery(startDate, endDate);
+        }
+    }
+
+    async handleFetchClick() {
         const selectedDate = this.elements.dateInput.value;
-        if (selectedDate) {
+        if (selectedDate && this.checkDateRange(selectedDate)) {
             await this.loadPicture(selectedDate);
         }
     }
 
     async handleTodayClick() {
-        const today = new Date().toISOString().split('T')[0];
+        const today = ApodDate.today();
         this.elements.dateInput.value = today;
         await this.loadPicture(today);
     }
 
-    async loadPicture(date) {
+    // Every user-initiated load supersedes the previous one: its request is aborted and
+    // anything it still resolves with is ignored, so the last click always wins
+    beginLoad() {
+        this.cancelLoad();
+        if (this.state.getState().notice) this.state.setState({ notice: null });
+        const controller = new AbortController();
+        this.activeLoad = { id: ++this.requestSeq, controller };
+        return { id: this.activeLoad.id, signal: controller.signal };
+    }
+
+    isCurrentLoad(id) {
+        return this.activeLoad !== null && this.activeLoad.id === id;
+    }
+
+    endLoad(id) {
+        if (this.isCurrentLoad(id)) this.activeLoad = null;
+    }
+
+    cancelLoad() {
+        if (this.activeLoad) {
+            this.activeLoad.controller.abort();
+            this.activeLoad = null;
+        }
+    }
+
+    // options.unpublished is the date whose entry wasn't out yet when this one stands in for it
+    async loadPicture(date, options = {}) {
+        const { view = 'picture', unpublished = null } = options;
+        const notice = unpublished ? { key: 'date.notPublished', date: unpublished } : null;
+        const load = this.beginLoad();
+        this.notifyRequest(date, view);
         try {
-            this.state.setState({ loading: true, error: null });
-            const data = await this.apiService.fetchPictureData(date);
+            // Cache hits render straight away without flashing the loading panel
+            const cached = await this.apiService.getCachedPicture(date);
+            if (!this.isCurrentLoad(load.id)) return;
+            if (cached) {
+                this.state.setState({
+                    loading: false,
+                    error: null,
+                    view,
+                    currentPicture: cached,
+                    selectedDate: date,
+                    notice
+                });
+                return;
+            }
+
+            // Offline, a request could only fail (or fall back to the demo sample)
+            if (this.state.getState().offline) {
+                this.state.setState({
+                    loading: false,
+                    error: I18n.t('offline.pictureMissing', { date: I18n.shared.formatDate(date, { dateStyle: 'long' }) }),
+                    selectedDate: date
+                });
+                return;
+            }
+
+            this.state.setState({ loading: true, error: null, view });
+            const data = await this.apiService.fetchPictureData(date, { signal: load.signal });
+            if (!this.isCurrentLoad(load.id)) return;
             this.state.setState({ 
                 loading: false, 
                 currentPicture: data,
-                selectedDate: date 
+                selectedDate: date,
+                notice
             });
         } catch (error) {
+            // A superseded load leaves loading/error to the request that replaced it
+            if (error.aborted || !this.isCurrentLoad(load.id)) return;
+
+            // Early in the Eastern day today's entry may not be posted yet; show the latest one instead
+            if (!unpublished && ApodDate.isUnpublished(date, error)) {
+                const latest = ApodDate.addDays(date, -1);
+                this.elements.dateInput.value = latest;
+                await this.loadPicture(latest, { view, unpublished: date });
+                return;
+            }
             this.state.setState({ 
                 loading: false, 
-                error: error.message 
+                error: error.message,
+                errorCode: error.code || null
+            });
+        } finally {
+            this.endLoad(load.id);
+        }
+    }
+
+    // Random discovery - steps through a queue held in AppState, refilled in the background
+    async showNextRandom() {
+        const load = this.beginLoad();
+        this.notifyRequest(null, 'random');
+        let queue = this.state.getState().randomQueue;
+
+        if (queue.length === 0 && this.state.getState().offline) {
+            queue = await this.pickOfflineRandom();
+            if (!this.isCurrentLoad(load.id)) return;
+            if (queue.length === 0) {
+                this.state.setState({ loading: false, error: I18n.t('offline.randomUnavailable') });
+                this.endLoad(load.id);
+                return;
+            }
+        }
+
+        if (queue.length === 0) {
+            try {
+                this.state.setState({ loading: true, error: null });
+                if (this.randomRefill) {
+                    // A background top-up is already on its way; wait for it instead of asking twice
+                    await this.randomRefill;
+                    queue = this.state.getState().randomQueue;
+                } else {
+                    queue = await this.fetchRandomBatch([], load.signal);
+                }
+            } catch (error) {
+                if (!error.aborted && this.isCurrentLoad(load.id)) {
+                    this.state.setState({ loading: false, error: error.message, errorCode: error.code || null });
+                }
+                this.endLoad(load.id);
+                return;
+            }
+            if (!this.isCurrentLoad(load.id)) {
+                // Keep the batch for the next click rather than throwing it away
+                if (queue.length > 0) this.state.setState({ randomQueue: queue });
+                return;
+            }
+        }
+        this.endLoad(load.id);
+
+        const [next, ...rest] = queue;
+        if (!next) {
+            this.state.setState({ loading: false, error: I18n.t('random.none') });
+            return;
+        }
+
+        this.elements.dateInput.value = next.date;
+        this.state.setState({
+            loading: false,
+            error: null,
+            view: 'random',
+            currentPicture: next,
+            selectedDate: next.date,
+            randomQueue: rest
+        });
+
+        const randomConfig = this.options.random || {};
+        if (rest.length <= (randomConfig.refillThreshold ?? 3)) {
+            this.topUpRandomQueue();
+        }
+    }
+
+    topUpRandomQueue() {
+        if (this.randomRefill) return this.randomRefill;
+
+        this.randomRefill = this.fetchRandomBatch(this.state.getState().randomQueue)
+            .then(entries => {
+                const { randomQueue } = this.state.getState();
+                this.state.setState({ randomQueue: [...randomQueue, ...entries] });
+            })
+            .catch(error => console.warn('⚠️ Could not top up random queue:', error))
+            .finally(() => {
+                this.randomRefill = null;
+            });
+
+        return this.randomRefill;
+    }
+
+    // Offline, Surprise Me picks from the pictures already saved on this device
+    async pickOfflineRandom() {
+        const { offlineDates, currentPicture } = this.state.getState();
+        const candidates = offlineDates.filter(date => !currentPicture || date !== currentPicture.date);
+        if (candidates.length === 0) return [];
+
+        const date = candidates[Math.floor(Math.random() * candidates.length)];
+        const entry = await this.apiService.getCachedPicture(date);
+        return entry ? [entry] : [];
+    }
+
+    async fetchRandomBatch(queued, signal) {
+        const randomConfig = this.options.random || {};
+        const entries = await this.apiService.fetchRandomPictures(randomConfig.batchSize || 10, { signal });
+
+        // The API may repeat itself across batches; skip entries already queued or on screen
+        const { currentPicture } = this.state.getState();
+        const seen = new Set(queued.map(entry => entry.date));
+        if (currentPicture) seen.add(currentPicture.date);
+
+        return entries.filter(entry => {
+            if (seen.has(entry.date)) return false;
+            seen.add(entry.date);
+            return true;
+        });
+    }
+
+    async loadGallery(startDate, endDate) {
+        const galleryConfig = this.options.gallery || {};
+        const totalDays = AppUtils.dateUtils.daysBetween(startDate, endDate) + 1;
+
+        if (totalDays < 1) {
+            this.state.setState({ error: I18n.t('gallery.invalidRange') });
+            return;
+        }
+        if (galleryConfig.maxRangeDays && totalDays > galleryConfig.maxRangeDays) {
+            this.state.setState({ error: I18n.t('gallery.tooLong', { days: galleryConfig.maxRangeDays }) });
+            return;
+        }
+
+        const load = this.beginLoad();
+        const gallery = { startDate, endDate, entries: [], loading: true, totalDays };
+        this.state.setState({ loading: false, view: 'gallery', error: null, gallery });
+
+        if (this.state.getState().offline) {
+            await this.loadOfflineGallery(gallery, load);
+            return;
+        }
+
+        try {
+            await this.apiService.fetchPictureRange(startDate, endDate, {
+                chunkDays: galleryConfig.chunkDays,
+                signal: load.signal,
+                onChunk: (chunkEntries, entries) => {
+                    if (!this.isCurrentLoad(load.id)) return;
+                    this.state.setState({ gallery: { ...gallery, entries: [...entries] } });
+                }
+            });
+            if (!this.isCurrentLoad(load.id)) return;
+            this.state.setState({ gallery: { ...this.state.getState().gallery, loading: false } });
+        } catch (error) {
+            if (error.aborted || !this.isCurrentLoad(load.id)) return;
+            this.state.setState({
+                error: error.message,
+                errorCode: error.code || null,
+                gallery: { ...this.state.getState().gallery, loading: false }
+            });
+        } finally {
+            this.endLoad(load.id);
+        }
+    }
+
+    // Offline galleries show whatever part of the range is saved on this device
+    async loadOfflineGallery(gallery, load) {
+        const { offlineDates } = this.state.getState();
+        const dates = offlineDates.filter(date => date >= gallery.startDate && date <= gallery.endDate);
+        const entries = (await Promise.all(dates.map(date => this.apiService.getCachedPicture(date)))).filter(Boolean);
+
+        if (this.isCurrentLoad(load.id)) {
+            this.state.setState({
+                error: entries.length === 0 ? I18n.t('offline.galleryEmpty') : null,
+                gallery: { ...gallery, entries, loading: false }
+            });
+        }
+        this.endLoad(load.id);
+    }
+
+    static get stateKeys() {
+        return ['selectedDate', 'quota', 'offline', 'offlineDates', 'locale'];
+    }
+
+    render(state) {
+        // Controls mostly handle user interactions; only the day-step buttons track state
+        const { addDays, isWithinApodRange } = AppUtils.dateUtils;
+        this.elements.prevBtn.disabled = !isWithinApodRange(addDays(state.selectedDate, -1));
+        this.elements.nextBtn.disabled = !isWithinApodRange(addDays(state.selectedDate, 1));
+        this.renderQuota(state.quota);
+        this.renderOffline(state);
+    }
+
+    // Offline, the date picker suggests saved dates and flags a chosen date that isn't saved
+    renderOffline({ offline, offlineDates }) {
+        const { offlineIndicator, offlineDatesList, dateInput } = this.elements;
+
+        offlineIndicator.hidden = !offline;
+        if (offline) {
+            offlineIndicator.textContent = I18n.t('offline.indicator', { count: offlineDates.length });
+        }
+
+        const listKey = offline ? offlineDates.join(',') : '';
+        if (listKey !== this.renderedOfflineList) {
+            this.renderedOfflineList = listKey;
+            offlineDatesList.innerHTML = '';
+            (offline ? offlineDates : []).forEach(date => {
+                const option = document.createElement('option');
+                option.value = date;
+                offlineDatesList.appendChild(option);
             });
         }
+
+        if (offline) {
+            dateInput.setAttribute('list', offlineDatesList.id);
+        } else {
+            dateInput.removeAttribute('list');
+        }
+        this.markDateAvailability();
+    }
+
+    markDateAvailability() {
+        const { offline, offlineDates } = this.state.getState();
+        const input = this.elements.dateInput;
+        const unavailable = offline && Boolean(input.value) && !offlineDates.includes(input.value);
+
+        input.classList.toggle('unavailable-offline', unavailable);
+        input.title = unavailable ? I18n.t('offline.notAvailable') : '';
+    }
+
+    renderQuota({ remaining, limit, retryAt }) {
+        const indicator = this.elements.quotaIndicator;
+        const rateLimited = retryAt && retryAt > Date.now();
+
+        if (remaining === null && !rateLimited) {
+            indicator.hidden = true;
+            return;
+        }
+
+        indicator.hidden = false;
+        const low = rateLimited || remaining <= Math.max(5, (limit || 0) * 0.1);
+        indicator.classList.toggle('low', low);
+        const left = limit
+            ? I18n.t('quota.leftOfLimit', { remaining, limit })
+            : I18n.t('quota.left', { remaining, count: remaining });
+        indicator.textContent = rateLimited
+            ? I18n.t('quota.rateLimited')
+            : `🔋 ${left}${low ? ` - ${I18n.t('quota.runningLow')}` : ''}`;
+    }
+}
+
+// Router - mirrors the current view into the URL and restores it on load and back/forward
+class AppRouter {
+    constructor(state, handlers) {
+        this.state = state;
+        this.handlers = handlers;
+        this.applying = false;
+        this.lastUrl = null;
+    }
+
+    async start() {
+        window.addEventListener('popstate', () => this.applyRoute(this.parseLocation()));
+        this.state.subscribe(state => this.syncUrl(state));
+        await this.applyRoute(this.parseLocation());
+    }
+
+    parseLocation(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        return {
+            view: params.get('view') || 'picture',
+            date: params.get('date'),
+            start: params.get('start'),
+            end: params.get('end')
+        };
+    }
+
+    routeFromState(state) {
+        if (state.view === 'gallery') {
+            return { view: 'gallery', start: state.gallery.startDate, end: state.gallery.endDate };
+        }
+        return { view: state.view, date: state.selectedDate };
+    }
+
+    buildUrl(route) {
+        const params = new URLSearchParams();
+        if (route.view !== 'picture') params.set('view', route.view);
+        if (route.view === 'gallery') {
+            params.set('start', route.start);
+            params.set('end', route.end);
+        } else if (route.date) {
+            params.set('date', route.date);
+        }
+
+        const query = params.toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}`;
+    }
+
+    validateRoute(route) {
+        const { isWithinApodRange, apodFirstDate } = AppUtils.dateUtils;
+        const describeRange = I18n.t('route.dateRange', { first: I18n.shared.formatDate(apodFirstDate, { dateStyle: 'long' }) });
+
+        if (!['picture', 'gallery', 'random'].includes(route.view)) {
+            return I18n.t('route.unknownView');
+        }
+
+        if (route.view === 'gallery') {
+            if (!route.start || !route.end) {
+                return I18n.t('route.galleryNeedsDates');
+            }
+            const invalid = [route.start, route.end].find(date => !isWithinApodRange(date));
+            if (invalid) {
+                return I18n.t('route.invalidDate', { range: describeRange });
+            }
+            if (route.start > route.end) {
+                return I18n.t('route.galleryReversed');
+            }
+            return null;
+        }
+
+        if (route.date && !isWithinApodRange(route.date)) {
+            return I18n.t('route.invalidDate', { range: describeRange });
+        }
+        return null;
+    }
+
+    // Applying a route drives the normal load paths; URL syncing is paused so it isn't pushed twice
+    async applyRoute(route) {
+        this.applying = true;
+        try {
+            const error = this.validateRoute(route);
+            if (error) {
+                this.state.setState({ loading: false, error, currentPicture: null, view: 'picture' });
+            } else if (route.view === 'gallery') {
+                await this.handlers.loadGallery(route.start, route.end);
+            } else if (route.view === 'random') {
+                await this.handlers.loadRandom(route.date);
+            } else if (route.date) {
+                await this.handlers.loadPicture(route.date);
+            } else {
+                await this.handlers.loadToday();
+            }
+        } finally {
+            this.applying = false;
+            this.settleUrl();
+        }
     }
 
-    render(state) {
-        // Controls don't need to re-render based on state changes
-        // They just handle user interactions
+    // Normalise the address (e.g. bare URL -> ?date=...) but keep a failing link visible
+    settleUrl() {
+        const state = this.state.getState();
+        const url = this.buildUrl(this.routeFromState(state));
+        const currentUrl = `${window.location.pathname}${window.location.search}`;
+
+        if (!state.error && url !== currentUrl) {
+            window.history.replaceState(null, '', url);
+        }
+        this.lastUrl = url;
+    }
+
+    syncUrl(state) {
+        // Wait for loads to settle so intermediate states never become history entries
+        if (this.applying || state.loading) return;
+
+        const url = this.buildUrl(this.routeFromState(state));
+        if (url === this.lastUrl) return;
+
+        this.lastUrl = url;
+        window.history.pushState(null, '', url);
     }
 }
 
 // Main Application Class - Modern Architecture
 class AstronomyPictureApp {
-    constructor() {
-        this.initializeApp();
+    // root is where the markup lives (a viewer's shadow root, or the page) and host is the element
+    // events are dispatched on. Only a standalone app owns the URL, the page language, the
+    // service worker and page-wide arrow keys; embedded viewers start from options.date instead.
+    constructor(options = {}) {
+        this.options = {
+            root: document,
+            host: null,
+            date: null,
+            provider: null,
+            standalone: true,
+            ...options
+        };
+        this.root = this.options.root;
+        this.host = this.options.host;
+
+        // Events and plugins are available straight away; plugins start once the app is ready
+        this.events = new AppEvents(this.host || document);
+        this.plugins = new Map();
+        this.pluginPanelCount = 0;
+        this.ready = this.initializeApp();
     }
 
     async initializeApp() {
         try {
-            // Initialize state management
-            this.state = new AppState();
+            // Initialize state management - STATE_CONFIG.persistKeys survive a reload
+            this.state = new AppState({ ...this.loadStateConfig(), storage: this.getLocalStorage() });
             
-            // Load API configuration
-            this.apiConfig = this.loadApiConfig();
-            this.apiService = new AstronomyAPIService(this.apiConfig);
+            // Load API configuration - an ordered provider chain with ACTIVE_API first by default,
+            // overridden by anything changed in the settings panel
+            this.settings = new SettingsStore(this.getLocalStorage());
+            this.apiConfig = this.loadApiConfig(this.loadProviderChainConfig().providers[0]);
+            this.cache = AstronomyPictureApp.sharedCache;
+            this.apiService = this.createProviderChain();
+            this.unsubscribeRateLimit = this.apiService.onRateLimitChange(quota => this.state.setState({ quota }));
+            this.favorites = new FavoritesStore(this.getLocalStorage());
+            this.prefetcher = new PrefetchService(this.apiService, this.loadPrefetchConfig());
+            this.offline = new OfflineService(this.state, this.apiService, {
+                ...this.loadOfflineConfig(),
+                registerWorker: this.options.standalone
+            });
+            this.search = new SearchService(this.state, this.apiService, this.cache, this.loadSearchConfig());
+            
+            // Pick the language before anything renders text
+            this.i18n = I18n.shared;
+            await this.i18n.start();
             
             // Get DOM elements
             this.elements = this.getDOMElements();
             
             // Initialize components
             this.initializeComponents();
+            this.unsubscribeLocale = this.i18n.onChange(locale => this.applyLocale(locale));
+            this.applyLocale(this.i18n.locale);
+            this.watchLifecycle();
+            this.prefetcher.watch(this.state);
+            this.offline.start();
+            this.search.start();
             
-            // Load today's picture
-            await this.loadTodaysPicture();
+            // Start from the URL (falls back to today's picture), or from the viewer's date
+            if (this.options.standalone) {
+                this.router = this.createRouter();
+                await this.router.start();
+            } else {
+                await this.loadInitialPicture();
+            }
             
             console.log('🚀 Futuristic Astronomy App initialized successfully!');
+            this.events.emit('ready', { date: this.state.getState().selectedDate });
         } catch (error) {
             console.error('❌ Failed to initialize app:', error);
             this.handleInitializationError(error);
         }
     }
 
-    loadApiConfig() {
+    loadApiConfig(providerId = typeof ACTIVE_API !== 'undefined' ? ACTIVE_API : 'nasa', options = {}) {
+        const { withSettings = true } = options;
         const defaultConfig = {
+            id: 'nasa',
             baseUrl: 'https://api.nasa.gov/planetary/apod',
             apiKey: 'DEMO_KEY',
             dateParam: 'date',
+            startDateParam: 'start_date',
+            endDateParam: 'end_date',
+            countParam: 'count',
             apiKeyParam: 'api_key',
+            thumbsParam: 'thumbs',
             responseMapping: {
                 title: 'title',
                 date: 'date',
@@ -416,13 +5730,16 @@ class AstronomyPictureApp {
                 url: 'url',
                 hdurl: 'hdurl',
                 mediaType: 'media_type',
-                copyright: 'copyright'
+                copyright: 'copyright',
+                thumbnailUrl: 'thumbnail_url'
             }
         };
 
         try {
-            if (typeof API_CONFIGS !== 'undefined' && typeof ACTIVE_API !== 'undefined') {
-                return { ...defaultConfig, ...API_CONFIGS[ACTIVE_API] };
+            const configured = typeof API_CONFIGS !== 'undefined' ? API_CONFIGS[providerId] : null;
+            const saved = withSettings && this.settings ? this.settings.getProvider(providerId) : null;
+            if (configured || saved) {
+                return { ...defaultConfig, ...configured, ...saved, id: providerId };
             }
         } catch (error) {
             console.warn('⚠️ Could not load API config, using default:', error);
@@ -431,21 +5748,316 @@ class AstronomyPictureApp {
         return defaultConfig;
     }
 
+    loadProviderChainConfig() {
+        const primary = typeof ACTIVE_API !== 'undefined' ? ACTIVE_API : 'nasa';
+        const defaultChainConfig = {
+            providers: [primary],
+            failureThreshold: 2,
+            cooldownMinutes: 5,
+            requestTimeoutMs: 15000,
+            retry: typeof RETRY_CONFIG !== 'undefined' ? { ...RETRY_CONFIG } : {}
+        };
+        const chainConfig = typeof PROVIDER_CHAIN !== 'undefined'
+            ? { ...defaultChainConfig, ...PROVIDER_CHAIN }
+            : defaultChainConfig;
+
+        // Saved orders may name providers that have since been removed from config.js
+        const knownIds = this.getProviderIds();
+        const savedOrder = (this.settings && this.settings.getProviderOrder() || []).filter(id => knownIds.includes(id));
+        const providers = savedOrder.length > 0 ? savedOrder : chainConfig.providers;
+
+        // A viewer's provider attribute goes first; the rest of the chain stays as fallbacks
+        const preferred = this.options && this.options.provider;
+        if (preferred && knownIds.includes(preferred)) {
+            return { ...chainConfig, providers: [preferred, ...providers.filter(id => id !== preferred)] };
+        }
+        return { ...chainConfig, providers };
+    }
+
+    setPreferredProvider(providerId) {
+        if (providerId && !this.getProviderIds().includes(providerId)) {
+            console.warn(`⚠️ Unknown provider "${providerId}" - expected one of ${this.getProviderIds().join(', ')}`);
+            return;
+        }
+        this.options.provider = providerId || null;
+        this.applySettings();
+        this.components.settings.renderProviders();
+    }
+
+    getProviderIds() {
+        const configured = typeof API_CONFIGS !== 'undefined' ? Object.keys(API_CONFIGS) : ['nasa'];
+        const custom = this.settings ? this.settings.getCustomProviderIds() : [];
+        return [...new Set([...configured, ...custom])];
+    }
+
+    // Providers in chain order, then the unused ones, as listed in the settings panel
+    describeProviders() {
+        const chain = this.loadProviderChainConfig().providers;
+        const ids = [...chain, ...this.getProviderIds().filter(id => !chain.includes(id))];
+        return ids.map(id => ({
+            id,
+            label: this.loadApiConfig(id).label || id,
+            enabled: chain.includes(id),
+            custom: typeof API_CONFIGS === 'undefined' || !API_CONFIGS[id],
+            customized: Boolean(this.settings.getProvider(id))
+        }));
+    }
+
+    loadSettingsConfig() {
+        const defaultSettingsConfig = { testDate: '2021-07-04' };
+        if (typeof SETTINGS_CONFIG !== 'undefined') {
+            return { ...defaultSettingsConfig, ...SETTINGS_CONFIG };
+        }
+        return defaultSettingsConfig;
+    }
+
+    createProviderChain() {
+        const chainConfig = this.loadProviderChainConfig();
+        const services = chainConfig.providers.map(providerId => {
+            const config = {
+                timeoutMs: chainConfig.requestTimeoutMs,
+                retry: chainConfig.retry,
+                ...this.loadApiConfig(providerId)
+            };
+            // Stand-in providers (e.g. the demo sample) must never shadow real cached entries
+            return new AstronomyAPIService(config, config.cacheable === false ? null : this.cache);
+        });
+        return new ProviderChainService(services, chainConfig);
+    }
+
+    loadStateConfig() {
+        const defaultStateConfig = { persistKeys: [], historyLimit: 100 };
+        if (typeof STATE_CONFIG !== 'undefined') {
+            return { ...defaultStateConfig, ...STATE_CONFIG };
+        }
+        return defaultStateConfig;
+    }
+
+    loadPrefetchConfig() {
+        return typeof PREFETCH_CONFIG !== 'undefined' ? { ...PREFETCH_CONFIG } : {};
+    }
+
+    loadOfflineConfig() {
+        return typeof OFFLINE_CONFIG !== 'undefined' ? { ...OFFLINE_CONFIG } : {};
+    }
+
+    loadSearchConfig() {
+        return typeof SEARCH_CONFIG !== 'undefined' ? { ...SEARCH_CONFIG } : {};
+    }
+
+    loadRandomConfig() {
+        const defaultRandomConfig = { batchSize: 10, refillThreshold: 3 };
+        if (typeof RANDOM_CONFIG !== 'undefined') {
+            return { ...defaultRandomConfig, ...RANDOM_CONFIG };
+        }
+        return defaultRandomConfig;
+    }
+
+    loadGalleryConfig() {
+        const defaultGalleryConfig = { chunkDays: 7, maxRangeDays: 366 };
+        if (typeof GALLERY_CONFIG !== 'undefined') {
+            return { ...defaultGalleryConfig, ...GALLERY_CONFIG };
+        }
+        return defaultGalleryConfig;
+    }
+
+    loadExportConfig() {
+        const defaultExportConfig = { chunkDays: 31, maxRangeDays: 366, hdImages: false };
+        if (typeof EXPORT_CONFIG !== 'undefined') {
+            return { ...defaultExportConfig, ...EXPORT_CONFIG };
+        }
+        return defaultExportConfig;
+    }
+
+    // Entries for the Export panel as { entries, skipped }. Ranges go through the provider chain, so
+    // cached days cost no quota; days only a stand-in such as the demo sample answered are skipped
+    async collectExportEntries(source, options = {}) {
+        const entries = await this.loadExportSource(source, options);
+        const skipped = entries.filter(entry => entry.provider && !this.apiService.isCacheable(entry.provider));
+        return {
+            entries: entries.filter(entry => !skipped.includes(entry)),
+            skipped: skipped.map(entry => entry.date)
+        };
+    }
+
+    async loadExportSource(source, options) {
+        const { signal, chunkDays, onProgress } = options;
+        if (source.type === 'collection') {
+            const collection = this.favorites.findCollection(source.id);
+            return collection ? collection.entries : [];
+        }
+        if (source.type === 'cached') {
+            return this.cache ? this.cache.entries() : [];
+        }
+
+        const total = AppUtils.dateUtils.daysBetween(source.start, source.end) + 1;
+        return this.apiService.fetchPictureRange(source.start, source.end, {
+            chunkDays,
+            signal,
+            onChunk: (chunk, entries) => onProgress && onProgress(entries.length, total)
+        });
+    }
+
+    getLocalStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            // Storage can be blocked (e.g. privacy settings); collections then live for the session only
+            return null;
+        }
+    }
+
+    // One response cache for every viewer on the page, so a picture is only fetched once
+    static get sharedCache() {
+        if (AstronomyPictureApp.sharedCacheInstance === undefined) {
+            AstronomyPictureApp.sharedCacheInstance = AstronomyPictureApp.createResponseCache();
+        }
+        return AstronomyPictureApp.sharedCacheInstance;
+    }
+
+    static createResponseCache() {
+        const cacheConfig = typeof CACHE_CONFIG !== 'undefined' ? CACHE_CONFIG : {};
+        if (cacheConfig.enabled === false) return null;
+        return ResponseCache.createDefault(cacheConfig);
+    }
+
+    // Embedded viewers have no URL to restore; a bad date attribute is shown like a bad link
+    async loadInitialPicture() {
+        const { date } = this.options;
+        if (!date) {
+            await this.loadTodaysPicture();
+        } else if (AppUtils.dateUtils.isWithinApodRange(date)) {
+            this.elements.dateInput.value = date;
+            await this.components.controls.loadPicture(date);
+        } else {
+            const range = I18n.t('route.dateRange', { first: I18n.shared.formatDate(AppUtils.dateUtils.apodFirstDate, { dateStyle: 'long' }) });
+            // The attribute may come from the host page's users, so it isn't echoed back
+            this.state.setState({ error: I18n.t('embed.invalidDate', { range }) });
+        }
+    }
+
+    // The language is page-wide, but each viewer translates its own markup and marks its own language
+    applyLocale(locale) {
+        this.state.setState({ locale });
+
+        const target = this.host || document.documentElement;
+        target.lang = locale;
+        target.dir = this.i18n.getDirection(locale);
+        if (this.options.standalone) {
+            document.documentElement.lang = locale;
+            document.documentElement.dir = target.dir;
+            this.i18n.translateElement(document.head);
+        }
+    }
+
     getDOMElements() {
+        const byId = (id) => this.root.getElementById(id);
         const elements = {
-            loading: document.getElementById('loading'),
-            error: document.getElementById('error'),
-            errorMessage: document.getElementById('error-message'),
-            content: document.getElementById('content'),
-            dateInput: document.getElementById('date-input'),
-            fetchBtn: document.getElementById('fetch-btn'),
-            todayBtn: document.getElementById('today-btn'),
-            mediaWrapper: document.getElementById('media-wrapper'),
-            title: document.getElementById('picture-title'),
-            date: document.getElementById('picture-date'),
-            explanation: document.getElementById('picture-explanation'),
-            credit: document.getElementById('picture-credit'),
-            creditText: document.getElementById('credit-text')
+            loading: byId('loading'),
+            error: byId('error'),
+            errorMessage: byId('error-message'),
+            content: byId('content'),
+            dateInput: byId('date-input'),
+            fetchBtn: byId('fetch-btn'),
+            todayBtn: byId('today-btn'),
+            randomBtn: byId('random-btn'),
+            headerActions: byId('header-actions'),
+            pictureActions: byId('picture-actions'),
+            infoContent: byId('info-content'),
+            prevBtn: byId('prev-day-btn'),
+            nextBtn: byId('next-day-btn'),
+            calendarToggle: byId('calendar-toggle'),
+            calendar: byId('calendar'),
+            calendarPrev: byId('calendar-prev'),
+            calendarNext: byId('calendar-next'),
+            calendarMonth: byId('calendar-month'),
+            calendarYear: byId('calendar-year'),
+            calendarGrid: byId('calendar-grid'),
+            calendarStatus: byId('calendar-status'),
+            quotaIndicator: byId('quota-indicator'),
+            languageSelect: byId('language-select'),
+            offlineIndicator: byId('offline-indicator'),
+            offlineDatesList: byId('offline-dates'),
+            galleryStartInput: byId('gallery-start-input'),
+            galleryEndInput: byId('gallery-end-input'),
+            galleryBtn: byId('gallery-btn'),
+            gallery: byId('gallery'),
+            galleryTitle: byId('gallery-title'),
+            galleryProgress: byId('gallery-progress'),
+            galleryGrid: byId('gallery-grid'),
+            favoriteBtn: byId('favorite-btn'),
+            shareBtn: byId('share-btn'),
+            shareMenu: byId('share-menu'),
+            shareCopyLinkBtn: byId('share-copy-link'),
+            shareNativeBtn: byId('share-native'),
+            shareCardBtn: byId('share-card-btn'),
+            shareFormatSelect: byId('share-citation-format'),
+            shareCitation: byId('share-citation'),
+            shareCopyCitationBtn: byId('share-copy-citation'),
+            shareStatus: byId('share-status'),
+            collectionPicker: byId('collection-picker'),
+            collectionsToggle: byId('collections-toggle'),
+            collectionsPanel: byId('collections-panel'),
+            collectionsClose: byId('collections-close'),
+            collectionsList: byId('collections-list'),
+            collectionCreateForm: byId('collection-create-form'),
+            collectionCreateInput: byId('collection-create-input'),
+            collectionsExportBtn: byId('collections-export-btn'),
+            collectionsImportInput: byId('collections-import-input'),
+            exportToggle: byId('export-toggle'),
+            exportPanel: byId('export-panel'),
+            exportClose: byId('export-close'),
+            exportForm: byId('export-form'),
+            exportSource: byId('export-source'),
+            exportRange: byId('export-range'),
+            exportStartInput: byId('export-start-input'),
+            exportEndInput: byId('export-end-input'),
+            exportCollection: byId('export-collection'),
+            exportFormat: byId('export-format'),
+            exportImages: byId('export-images'),
+            exportHd: byId('export-hd'),
+            exportBtn: byId('export-btn'),
+            exportStatus: byId('export-status'),
+            settingsToggle: byId('settings-toggle'),
+            settingsPanel: byId('settings-panel'),
+            settingsClose: byId('settings-close'),
+            settingsProviders: byId('settings-providers'),
+            settingsAddBtn: byId('settings-add-btn'),
+            settingsResetBtn: byId('settings-reset-btn'),
+            settingsForm: byId('settings-form'),
+            settingsFormTitle: byId('settings-form-title'),
+            settingsTestBtn: byId('settings-test-btn'),
+            settingsRemoveBtn: byId('settings-remove-btn'),
+            settingsCancelBtn: byId('settings-cancel-btn'),
+            settingsStatus: byId('settings-status'),
+            searchToggle: byId('search-toggle'),
+            searchPanel: byId('search-panel'),
+            searchClose: byId('search-close'),
+            searchInput: byId('search-input'),
+            searchStatus: byId('search-status'),
+            searchResults: byId('search-results'),
+            indexStartInput: byId('index-start-input'),
+            indexEndInput: byId('index-end-input'),
+            indexBtn: byId('index-btn'),
+            indexProgress: byId('index-progress'),
+            mediaWrapper: byId('media-wrapper'),
+            lightbox: byId('lightbox'),
+            lightboxToolbar: byId('lightbox-toolbar'),
+            lightboxTitle: byId('lightbox-title'),
+            lightboxProgress: byId('lightbox-progress'),
+            lightboxZoom: byId('lightbox-zoom'),
+            lightboxFitBtn: byId('lightbox-fit'),
+            lightboxOriginal: byId('lightbox-original'),
+            lightboxStage: byId('lightbox-stage'),
+            lightboxImage: byId('lightbox-image'),
+            title: byId('picture-title'),
+            date: byId('picture-date'),
+            explanation: byId('picture-explanation'),
+            credit: byId('picture-credit'),
+            creditText: byId('credit-text'),
+            provider: byId('picture-provider'),
+            providerText: byId('provider-text'),
+            notice: byId('picture-notice')
         };
 
         // Validate all elements exist
@@ -461,38 +6073,206 @@ class AstronomyPictureApp {
     }
 
     initializeComponents() {
+        this.viewer = new HighResViewer({
+            dialog: this.elements.lightbox,
+            toolbar: this.elements.lightboxToolbar,
+            title: this.elements.lightboxTitle,
+            progress: this.elements.lightboxProgress,
+            zoomLabel: this.elements.lightboxZoom,
+            fitBtn: this.elements.lightboxFitBtn,
+            original: this.elements.lightboxOriginal,
+            stage: this.elements.lightboxStage,
+            image: this.elements.lightboxImage
+        });
+
         // Initialize all components with clean separation
         this.components = {
+            language: new LanguageComponent(this.elements.languageSelect, this.state, this.i18n),
             loading: new LoadingComponent(this.elements.loading, this.state),
             error: new ErrorComponent(this.elements.error, this.elements.errorMessage, this.state),
-            media: new MediaComponent(this.elements.mediaWrapper, this.state),
+            media: new MediaComponent(this.elements.mediaWrapper, this.state, {
+                viewer: this.viewer,
+                onReady: (detail) => this.events.emit('mediaReady', detail)
+            }),
             info: new InfoComponent({
                 container: this.elements.content,
                 title: this.elements.title,
                 date: this.elements.date,
                 explanation: this.elements.explanation,
                 credit: this.elements.credit,
-                creditText: this.elements.creditText
+                creditText: this.elements.creditText,
+                provider: this.elements.provider,
+                providerText: this.elements.providerText,
+                notice: this.elements.notice
+            }, this.state, {
+                getProviderLabel: (providerId) => this.apiService.getProviderLabel(providerId)
+            }),
+            gallery: new GalleryComponent({
+                container: this.elements.gallery,
+                title: this.elements.galleryTitle,
+                progress: this.elements.galleryProgress,
+                grid: this.elements.galleryGrid
             }, this.state),
+            favorites: new FavoritesComponent({
+                panel: this.elements.collectionsPanel,
+                toggleBtn: this.elements.collectionsToggle,
+                closeBtn: this.elements.collectionsClose,
+                favoriteBtn: this.elements.favoriteBtn,
+                collectionPicker: this.elements.collectionPicker,
+                list: this.elements.collectionsList,
+                createForm: this.elements.collectionCreateForm,
+                createInput: this.elements.collectionCreateInput,
+                exportBtn: this.elements.collectionsExportBtn,
+                importInput: this.elements.collectionsImportInput
+            }, this.state, this.favorites),
+            share: new ShareComponent({
+                menu: this.elements.shareMenu,
+                toggleBtn: this.elements.shareBtn,
+                copyLinkBtn: this.elements.shareCopyLinkBtn,
+                nativeBtn: this.elements.shareNativeBtn,
+                cardBtn: this.elements.shareCardBtn,
+                formatSelect: this.elements.shareFormatSelect,
+                citation: this.elements.shareCitation,
+                copyCitationBtn: this.elements.shareCopyCitationBtn,
+                status: this.elements.shareStatus
+            }, this.state, {
+                getShareUrl: (picture) => this.getShareUrl(picture)
+            }),
+            export: new ExportComponent({
+                panel: this.elements.exportPanel,
+                toggleBtn: this.elements.exportToggle,
+                closeBtn: this.elements.exportClose,
+                form: this.elements.exportForm,
+                sourceSelect: this.elements.exportSource,
+                rangeInputs: this.elements.exportRange,
+                startInput: this.elements.exportStartInput,
+                endInput: this.elements.exportEndInput,
+                collectionSelect: this.elements.exportCollection,
+                formatSelect: this.elements.exportFormat,
+                imagesInput: this.elements.exportImages,
+                hdInput: this.elements.exportHd,
+                submitBtn: this.elements.exportBtn,
+                status: this.elements.exportStatus
+            }, this.state, {
+                config: this.loadExportConfig(),
+                collectEntries: (source, options) => this.collectExportEntries(source, options)
+            }),
+            search: new SearchComponent({
+                panel: this.elements.searchPanel,
+                toggleBtn: this.elements.searchToggle,
+                closeBtn: this.elements.searchClose,
+                input: this.elements.searchInput,
+                status: this.elements.searchStatus,
+                results: this.elements.searchResults,
+                indexStartInput: this.elements.indexStartInput,
+                indexEndInput: this.elements.indexEndInput,
+                indexBtn: this.elements.indexBtn,
+                indexProgress: this.elements.indexProgress
+            }, this.state, this.search),
+            settings: new SettingsComponent({
+                panel: this.elements.settingsPanel,
+                toggleBtn: this.elements.settingsToggle,
+                closeBtn: this.elements.settingsClose,
+                providerList: this.elements.settingsProviders,
+                addBtn: this.elements.settingsAddBtn,
+                resetBtn: this.elements.settingsResetBtn,
+                form: this.elements.settingsForm,
+                formTitle: this.elements.settingsFormTitle,
+                testBtn: this.elements.settingsTestBtn,
+                removeBtn: this.elements.settingsRemoveBtn,
+                cancelBtn: this.elements.settingsCancelBtn,
+                status: this.elements.settingsStatus
+            }, this.state, this.settings, {
+                testDate: this.loadSettingsConfig().testDate,
+                getProviders: () => this.describeProviders(),
+                // Unknown ids (and null, for a new provider) get the standard APOD defaults
+                getProviderConfig: (providerId) => this.loadApiConfig(providerId),
+                getBaseConfig: (providerId) => (typeof API_CONFIGS !== 'undefined' && API_CONFIGS[providerId]
+                    ? this.loadApiConfig(providerId, { withSettings: false })
+                    : null),
+                onChange: () => this.applySettings(),
+                testConnection: (config, date) => this.testConnection(config, date)
+            }),
             controls: new ControlsComponent({
                 container: null, // Controls don't have a single container
                 dateInput: this.elements.dateInput,
                 fetchBtn: this.elements.fetchBtn,
-                todayBtn: this.elements.todayBtn
-            }, this.state, this.apiService)
+                todayBtn: this.elements.todayBtn,
+                randomBtn: this.elements.randomBtn,
+                prevBtn: this.elements.prevBtn,
+                nextBtn: this.elements.nextBtn,
+                quotaIndicator: this.elements.quotaIndicator,
+                offlineIndicator: this.elements.offlineIndicator,
+                offlineDatesList: this.elements.offlineDatesList,
+                galleryStartInput: this.elements.galleryStartInput,
+                galleryEndInput: this.elements.galleryEndInput,
+                galleryBtn: this.elements.galleryBtn
+            }, this.state, this.apiService, {
+                gallery: this.loadGalleryConfig(),
+                random: this.loadRandomConfig(),
+                // Embedded viewers only step through days while they have focus
+                keyTarget: this.options.standalone ? document : (this.host || document),
+                onRequest: (detail) => this.events.emit('pictureRequested', detail)
+            })
         };
 
+        this.components.calendar = new CalendarComponent({
+            container: this.elements.calendar,
+            toggleBtn: this.elements.calendarToggle,
+            prevBtn: this.elements.calendarPrev,
+            nextBtn: this.elements.calendarNext,
+            monthSelect: this.elements.calendarMonth,
+            yearSelect: this.elements.calendarYear,
+            grid: this.elements.calendarGrid,
+            status: this.elements.calendarStatus
+        }, this.state, this.apiService, {
+            // Same path as the date picker, so the URL, history and lifecycle events follow
+            onSelect: (date) => {
+                this.elements.dateInput.value = date;
+                return this.components.controls.loadPicture(date);
+            }
+        });
+
         console.log('🎨 All components initialized with glassmorphism design!');
     }
 
+    // Standalone apps link to their own picture view; embedded viewers don't own the page URL,
+    // so their links go to the entry's page on the APOD site
+    getShareUrl(picture) {
+        if (!this.router) return MediaResolver.getApodPageUrl(picture.date);
+        return new URL(this.router.buildUrl({ view: 'picture', date: picture.date }), window.location.href).href;
+    }
+
+    createRouter() {
+        const controls = this.components.controls;
+        return new AppRouter(this.state, {
+            loadToday: () => this.loadTodaysPicture(),
+            loadPicture: (date) => {
+                this.elements.dateInput.value = date;
+                return controls.loadPicture(date);
+            },
+            loadGallery: (startDate, endDate) => {
+                this.elements.galleryStartInput.value = startDate;
+                this.elements.galleryEndInput.value = endDate;
+                return controls.loadGallery(startDate, endDate);
+            },
+            loadRandom: (date) => {
+                if (!date) return controls.showNextRandom();
+                this.elements.dateInput.value = date;
+                return controls.loadPicture(date, { view: 'random' });
+            }
+        });
+    }
+
     async loadTodaysPicture() {
-        const today = new Date().toISOString().split('T')[0];
+        const today = ApodDate.today();
         this.elements.dateInput.value = today;
         await this.components.controls.loadPicture(today);
     }
 
     handleInitializationError(error) {
-        document.body.innerHTML = `
+        const root = this.root === document ? document.body : this.root;
+        root.innerHTML = `
             <div style="
                 display: flex;
                 justify-content: center;
@@ -511,8 +6291,8 @@ class AstronomyPictureApp {
                     backdrop-filter: blur(20px);
                     border: 1px solid rgba(255, 255, 255, 0.2);
                 ">
-                    <h1>🚨 App Initialization Failed</h1>
-                    <p style="margin: 20px 0; opacity: 0.8;">${error.message}</p>
+                    <h1>🚨 ${I18n.t('init.failed')}</h1>
+                    <p class="init-error-message" style="margin: 20px 0; opacity: 0.8;"></p>
                     <button onclick="location.reload()" style="
                         padding: 12px 24px;
                         background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
@@ -521,10 +6301,11 @@ class AstronomyPictureApp {
                         border-radius: 12px;
                         cursor: pointer;
                         font-weight: 600;
-                    ">Reload App</button>
+                    ">${I18n.t('init.reload')}</button>
                 </div>
             </div>
         `;
+        root.querySelector('.init-error-message').textContent = error.message;
     }
 
     // Public API for external access
@@ -532,32 +6313,759 @@ class AstronomyPictureApp {
         return this.state.getState();
     }
 
+    getProviderStatus() {
+        return this.apiService.getStatus();
+    }
+
+    // Saves changes to the primary provider (as the settings panel would) and applies them everywhere
     updateApiConfig(newConfig) {
-        this.apiConfig = { ...this.apiConfig, ...newConfig };
-        this.apiService = new AstronomyAPIService(this.apiConfig);
+        const primaryId = this.loadProviderChainConfig().providers[0];
+        this.settings.saveProvider(primaryId, { ...this.settings.getProvider(primaryId), ...newConfig });
+        this.applySettings();
+        this.components.settings.renderProviders();
         console.log('🔧 API configuration updated!');
     }
+
+    // Rebuilds the provider chain from config.js plus saved settings and hands it to every consumer
+    applySettings() {
+        this.apiConfig = this.loadApiConfig(this.loadProviderChainConfig().providers[0]);
+        this.setApiService(this.createProviderChain());
+        console.log(`🔧 Providers: ${this.apiService.services.map(service => service.providerId).join(' → ')}`);
+    }
+
+    // The response cache is shared between chains, so nothing already fetched is lost
+    setApiService(apiService) {
+        if (this.unsubscribeRateLimit) this.unsubscribeRateLimit();
+        this.apiService = apiService;
+        this.unsubscribeRateLimit = apiService.onRateLimitChange(quota => this.state.setState({ quota }));
+
+        this.prefetcher.setApiService(apiService);
+        this.offline.setApiService(apiService);
+        this.search.setApiService(apiService);
+        this.components.controls.setApiService(apiService);
+        this.components.calendar.setApiService(apiService);
+
+        // Quota and queued random picks belonged to the old providers
+        this.state.setState({
+            quota: { provider: null, remaining: null, limit: null, retryAt: null },
+            randomQueue: []
+        });
+        this.changeProvider(apiService.services[0].providerId, 'settings');
+    }
+
+    // Lifecycle events derived from state, so every way of showing a picture reports the same way
+    watchLifecycle() {
+        this.activeProvider = this.apiService.services[0].providerId;
+
+        this.state.select(['currentPicture'], ({ currentPicture }) => {
+            if (!currentPicture) return;
+            this.events.emit('pictureLoaded', { date: currentPicture.date, picture: currentPicture });
+
+            // Fallbacks and cache hits can come from a provider other than the first in the chain
+            if (currentPicture.provider && currentPicture.provider !== this.activeProvider) {
+                this.changeProvider(currentPicture.provider, 'picture');
+            }
+        });
+
+        this.state.select(['error'], ({ error }) => {
+            if (error) this.events.emit('error', { message: error });
+        });
+    }
+
+    changeProvider(provider, reason) {
+        const previousProvider = this.activeProvider;
+        this.activeProvider = provider;
+        this.events.emit('providerChanged', {
+            provider,
+            previousProvider,
+            reason,
+            providers: this.apiService.services.map(service => service.providerId)
+        });
+    }
+
+    // Programmatic navigation, as if the date had been picked - resolves with the picture shown
+    async loadDate(date) {
+        if (!AppUtils.dateUtils.isWithinApodRange(date)) {
+            throw new Error(`"${date}" is not an APOD date (YYYY-MM-DD from ${AppUtils.dateUtils.apodFirstDate} to today)`);
+        }
+
+        await this.ready;
+        this.elements.dateInput.value = date;
+        await this.components.controls.loadPicture(date);
+
+        const { currentPicture, error } = this.state.getState();
+        if (error) throw new Error(error);
+        return currentPicture;
+    }
+
+    // Plugins - { name, setup(api) }, where setup may return (or resolve to) a cleanup function.
+    // Returns an unregister function that also removes everything the plugin added through the api.
+    registerPlugin(plugin) {
+        const { name, setup } = plugin || {};
+        if (!name || typeof setup !== 'function') {
+            throw new Error('A plugin needs a name and a setup(api) function');
+        }
+        if (this.plugins.has(name)) {
+            throw new Error(`Plugin "${name}" is already registered`);
+        }
+
+        const cleanups = [];
+        const isRegistered = () => this.plugins.get(name) === unregister;
+        const unregister = () => {
+            if (!isRegistered()) return;
+            this.plugins.delete(name);
+            cleanups.splice(0).reverse().forEach(cleanup => {
+                try {
+                    cleanup();
+                } catch (error) {
+                    console.error(`❌ Plugin "${name}" cleanup failed:`, error);
+                }
+            });
+        };
+        this.plugins.set(name, unregister);
+
+        this.ready
+            .then(async () => {
+                if (!isRegistered()) return;
+                const cleanup = await setup(this.createPluginApi(cleanups));
+                if (typeof cleanup === 'function') cleanups.push(cleanup);
+                // Unregistered while an async setup was still running
+                if (!isRegistered()) cleanups.splice(0).reverse().forEach(remove => remove());
+                else console.log(`🧩 Plugin "${name}" started`);
+            })
+            .catch(error => {
+                console.error(`❌ Plugin "${name}" failed to start:`, error);
+                unregister();
+            });
+
+        return unregister;
+    }
+
+    // Everything added or subscribed through the api is tracked so unregistering can undo it
+    createPluginApi(cleanups) {
+        const track = (cleanup) => {
+            cleanups.push(cleanup);
+            return cleanup;
+        };
+
+        return {
+            on: (type, listener) => track(this.events.on(type, listener)),
+            select: (selector, callback, options) => track(this.state.select(selector, callback, options)),
+            getState: () => this.getState(),
+            loadDate: (date) => this.loadDate(date),
+            t: (key, params) => I18n.t(key, params),
+            addButton: (options) => this.addPluginButton(options, track),
+            addInfoSection: (options) => this.addPluginInfoSection(options, track),
+            addPanel: (options) => this.addPluginPanel(options, track)
+        };
+    }
+
+    // location 'controls' (next to Surprise Me) or 'header' (next to Settings)
+    addPluginButton({ label, icon = '🧩', title, onClick, location = 'controls' }, track) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'glass-btn secondary plugin-btn';
+        button.innerHTML = '<span class="btn-icon"></span><span></span>';
+        button.firstElementChild.textContent = icon;
+        button.lastElementChild.textContent = label;
+        if (title) button.title = title;
+        if (onClick) button.addEventListener('click', (event) => onClick(event, this.getState()));
+
+        (location === 'header' ? this.elements.headerActions : this.elements.pictureActions).appendChild(button);
+        track(() => button.remove());
+        return button;
+    }
+
+    // A section at the end of the info panel; render(body, picture) runs for every picture shown
+    addPluginInfoSection({ title, icon = '🧩', render }, track) {
+        const section = document.createElement('div');
+        section.className = 'description-section plugin-section';
+        section.innerHTML = `
+            <div class="section-header">
+                <span class="section-icon"></span>
+                <span class="section-title"></span>
+            </div>
+            <div class="plugin-section-body"></div>
+        `;
+        section.querySelector('.section-icon').textContent = icon;
+        section.querySelector('.section-title').textContent = title;
+        const body = section.querySelector('.plugin-section-body');
+        this.elements.infoContent.appendChild(section);
+        track(() => section.remove());
+
+        const update = ({ currentPicture }) => {
+            if (currentPicture) render(body, currentPicture);
+        };
+        track(this.state.select(['currentPicture', 'locale'], update));
+        update(this.getState());
+        return section;
+    }
+
+    // A side panel like Collections, opened from a header button; render(body) runs once
+    addPluginPanel({ title, icon = '🧩', render }, track) {
+        const panel = document.createElement('aside');
+        panel.className = 'side-panel glass-panel plugin-panel';
+        panel.id = `plugin-panel-${++this.pluginPanelCount}`;
+        panel.setAttribute('aria-hidden', 'true');
+        panel.setAttribute('aria-label', title);
+        panel.innerHTML = `
+            <div class="collections-header">
+                <div class="section-header">
+                    <span class="section-icon"></span>
+                    <span class="section-title"></span>
+                </div>
+                <button type="button" class="icon-btn">✕</button>
+            </div>
+            <div class="plugin-panel-body"></div>
+        `;
+        panel.querySelector('.section-icon').textContent = icon;
+        panel.querySelector('.section-title').textContent = title;
+        const body = panel.querySelector('.plugin-panel-body');
+
+        const toggle = (open = !panel.classList.contains('open')) => {
+            panel.classList.toggle('open', open);
+            panel.setAttribute('aria-hidden', String(!open));
+            button.setAttribute('aria-expanded', String(open));
+        };
+        const button = this.addPluginButton({ label: title, icon, location: 'header', onClick: () => toggle() }, track);
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-controls', panel.id);
+
+        const closeBtn = panel.querySelector('.icon-btn');
+        closeBtn.setAttribute('aria-label', I18n.t('plugins.closePanel', { title }));
+        closeBtn.addEventListener('click', () => toggle(false));
+
+        // Next to the built-in panels, so it lands in the viewer's shadow root
+        this.elements.settingsPanel.after(panel);
+        track(() => panel.remove());
+        if (render) render(body);
+        return { element: panel, body, open: () => toggle(true), close: () => toggle(false) };
+    }
+
+    // One uncached, unretried request, so the result reflects the provider as configured right now
+    async testConnection(config, date) {
+        const chainConfig = this.loadProviderChainConfig();
+        const service = new AstronomyAPIService({
+            timeoutMs: chainConfig.requestTimeoutMs,
+            ...config,
+            retry: { ...chainConfig.retry, attempts: 1 }
+        });
+        const started = Date.now();
+        const entry = await service.fetchPictureData(date);
+        return { entry, elapsedMs: Date.now() - started, rateLimit: service.rateLimit };
+    }
+
+    async getCacheStats() {
+        if (!this.cache) return { entries: 0, byProvider: {}, keys: [] };
+        return this.cache.stats();
+    }
+
+    async clearCache() {
+        if (this.cache) await this.cache.clear();
+        console.log('🧹 Response cache cleared!');
+    }
+}
+
+// Viewer Markup - the full app layout, stamped into each <apod-viewer>'s shadow root
+const APOD_VIEWER_TEMPLATE = `
+    <div class="app-container">
+        <header class="glass-panel header-panel">
+            <div class="header-content">
+                <h1 class="app-title">
+                    <span class="title-icon">🌌</span>
+                    <span class="title-text" data-i18n="app.title">Astronomy Picture of the Day</span>
+                </h1>
+                <p class="app-subtitle" data-i18n="app.subtitle">Discover the cosmos through daily astronomical imagery</p>
+            </div>
+            <div class="header-actions" id="header-actions">
+                <select id="language-select" class="glass-input language-select" aria-label="Language" data-i18n-attr="aria-label:app.language"></select>
+                <button id="search-toggle" class="glass-btn secondary" aria-expanded="false" aria-controls="search-panel">
+                    <span class="btn-icon">🔎</span>
+                    <span data-i18n="search.title">Search</span>
+                </button>
+                <button id="collections-toggle" class="glass-btn secondary" aria-expanded="false" aria-controls="collections-panel">
+                    <span class="btn-icon">⭐</span>
+                    <span data-i18n="collections.title">Collections</span>
+                </button>
+                <button id="export-toggle" class="glass-btn secondary" aria-expanded="false" aria-controls="export-panel">
+                    <span class="btn-icon">📦</span>
+                    <span data-i18n="export.title">Export</span>
+                </button>
+                <button id="settings-toggle" class="glass-btn secondary" aria-expanded="false" aria-controls="settings-panel">
+                    <span class="btn-icon">⚙️</span>
+                    <span data-i18n="settings.title">Settings</span>
+                </button>
+            </div>
+        </header>
+
+        <nav class="glass-panel controls-panel">
+            <div class="control-group">
+                <div class="date-selector">
+                    <label for="date-input" class="control-label" data-i18n="controls.selectDate">Select Date</label>
+                    <div class="day-stepper">
+                        <button id="prev-day-btn" class="glass-btn secondary step-btn" aria-label="Previous day" title="Previous day (←)" data-i18n-attr="aria-label:controls.previousDay, title:controls.previousDayHint">‹</button>
+                        <input type="date" id="date-input" class="glass-input" max="" />
+                        <datalist id="offline-dates"></datalist>
+                        <button id="next-day-btn" class="glass-btn secondary step-btn" aria-label="Next day" title="Next day (→)" data-i18n-attr="aria-label:controls.nextDay, title:controls.nextDayHint">›</button>
+                        <button id="calendar-toggle" class="glass-btn secondary step-btn" aria-expanded="false" aria-controls="calendar" aria-label="Month calendar" title="Month calendar" data-i18n-attr="aria-label:calendar.open, title:calendar.open">🗓️</button>
+                    </div>
+                </div>
+                <div class="action-buttons" id="picture-actions">
+                    <button id="fetch-btn" class="glass-btn primary">
+                        <span class="btn-icon">🔍</span>
+                        <span data-i18n="controls.getPicture">Get Picture</span>
+                    </button>
+                    <button id="today-btn" class="glass-btn secondary">
+                        <span class="btn-icon">📅</span>
+                        <span data-i18n="controls.today">Today</span>
+                    </button>
+                    <button id="random-btn" class="glass-btn secondary">
+                        <span class="btn-icon">🎲</span>
+                        <span data-i18n="controls.surpriseMe">Surprise Me</span>
+                    </button>
+                </div>
+            </div>
+            <div class="quota-indicator" id="quota-indicator" role="status" hidden></div>
+            <div class="offline-indicator" id="offline-indicator" role="status" hidden></div>
+            <div class="calendar" id="calendar" hidden>
+                <div class="calendar-header">
+                    <button id="calendar-prev" class="glass-btn secondary step-btn" aria-label="Previous month" title="Previous month (Page Up)" data-i18n-attr="aria-label:calendar.previousMonth, title:calendar.previousMonthHint">‹</button>
+                    <select id="calendar-month" class="glass-input calendar-select" aria-label="Month" data-i18n-attr="aria-label:calendar.month"></select>
+                    <select id="calendar-year" class="glass-input calendar-select" aria-label="Year" data-i18n-attr="aria-label:calendar.year"></select>
+                    <button id="calendar-next" class="glass-btn secondary step-btn" aria-label="Next month" title="Next month (Page Down)" data-i18n-attr="aria-label:calendar.nextMonth, title:calendar.nextMonthHint">›</button>
+                </div>
+                <div class="calendar-grid" id="calendar-grid">
+                    <!-- Weekday labels and day buttons are rendered here -->
+                </div>
+                <p class="calendar-status" id="calendar-status" role="status"></p>
+            </div>
+            <div class="control-group gallery-controls">
+                <div class="date-selector">
+                    <label for="gallery-start-input" class="control-label" data-i18n="controls.galleryRange">Gallery Range</label>
+                    <input type="date" id="gallery-start-input" class="glass-input" max="" />
+                    <span class="range-separator">→</span>
+                    <input type="date" id="gallery-end-input" class="glass-input" max="" aria-label="Gallery end date" data-i18n-attr="aria-label:controls.galleryEnd" />
+                </div>
+                <div class="action-buttons">
+                    <button id="gallery-btn" class="glass-btn secondary">
+                        <span class="btn-icon">🖼️</span>
+                        <span data-i18n="controls.loadGallery">Load Gallery</span>
+                    </button>
+                </div>
+            </div>
+        </nav>
+
+        <div class="loading-panel glass-panel" id="loading">
+            <div class="loading-content">
+                <div class="cosmic-spinner">
+                    <div class="spinner-ring"></div>
+                    <div class="spinner-ring"></div>
+                    <div class="spinner-ring"></div>
+                </div>
+                <p class="loading-text" data-i18n="loading.text">Loading cosmic imagery...</p>
+            </div>
+        </div>
+
+        <div class="error-panel glass-panel" id="error" style="display: none;">
+            <div class="error-content">
+                <div class="error-icon">⚠️</div>
+                <div class="error-message" id="error-message">Something went wrong</div>
+            </div>
+        </div>
+
+        <section class="gallery-panel glass-panel" id="gallery" style="display: none;">
+            <div class="gallery-header">
+                <div class="section-header">
+                    <span class="section-icon">🖼️</span>
+                    <span class="section-title" id="gallery-title">Gallery</span>
+                </div>
+                <span class="gallery-progress" id="gallery-progress"></span>
+            </div>
+            <div class="gallery-grid" id="gallery-grid">
+                <!-- Thumbnails are appended here as range chunks arrive -->
+            </div>
+        </section>
+
+        <main class="content-grid" id="content" style="display: none;">
+            <div class="media-panel glass-panel">
+                <div class="media-container">
+                    <div class="media-wrapper" id="media-wrapper">
+                        <!-- Image or video will be inserted here -->
+                    </div>
+                </div>
+            </div>
+            
+            <div class="info-panel glass-panel">
+                <div class="info-content" id="info-content">
+                    <div class="title-section">
+                        <h2 class="picture-title" id="picture-title">Title</h2>
+                        <div class="date-badge">
+                            <span class="date-icon">📅</span>
+                            <span class="picture-date" id="picture-date">Date</span>
+                        </div>
+                        <div class="provider-badge" id="picture-provider" style="display: none;">
+                            <span class="provider-icon">🛰️</span>
+                            <span class="provider-text" id="provider-text"></span>
+                        </div>
+                        <p class="picture-notice" id="picture-notice" role="status" hidden></p>
+                        <div class="favorite-actions">
+                            <button id="favorite-btn" class="glass-btn secondary" aria-pressed="false">
+                                <span class="btn-icon">☆</span>
+                                <span data-i18n="info.favorite">Favorite</span>
+                            </button>
+                            <select id="collection-picker" class="glass-input collection-picker" aria-label="Add to collection" data-i18n-attr="aria-label:collections.addTo"></select>
+                            <div class="share-wrapper">
+                                <button id="share-btn" class="glass-btn secondary" aria-haspopup="true" aria-expanded="false" aria-controls="share-menu">
+                                    <span class="btn-icon">🔗</span>
+                                    <span data-i18n="share.button">Share</span>
+                                </button>
+                                <div class="share-menu glass-panel" id="share-menu" hidden>
+                                    <div class="share-actions">
+                                        <button id="share-copy-link" class="glass-btn secondary">
+                                            <span class="btn-icon">🔗</span>
+                                            <span data-i18n="share.copyLink">Copy link</span>
+                                        </button>
+                                        <button id="share-native" class="glass-btn secondary" hidden>
+                                            <span class="btn-icon">📤</span>
+                                            <span data-i18n="share.native">Share…</span>
+                                        </button>
+                                        <button id="share-card-btn" class="glass-btn secondary">
+                                            <span class="btn-icon">🖼️</span>
+                                            <span data-i18n="share.card">Download share card</span>
+                                        </button>
+                                    </div>
+                                    <label class="share-label" for="share-citation-format" data-i18n="share.citeAs">Cite as</label>
+                                    <select id="share-citation-format" class="glass-input share-format">
+                                        <option value="apa">APA</option>
+                                        <option value="mla">MLA</option>
+                                        <option value="bibtex">BibTeX</option>
+                                        <option value="plain" data-i18n="share.plain">Plain attribution</option>
+                                    </select>
+                                    <textarea id="share-citation" class="glass-input share-citation" rows="5" readonly aria-label="Citation" data-i18n-attr="aria-label:share.citation"></textarea>
+                                    <button id="share-copy-citation" class="glass-btn secondary">
+                                        <span class="btn-icon">📋</span>
+                                        <span data-i18n="share.copyCitation">Copy citation</span>
+                                    </button>
+                                    <p class="share-status" id="share-status" role="status"></p>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="description-section">
+                        <div class="section-header">
+                            <span class="section-icon">📖</span>
+                            <span class="section-title" data-i18n="info.description">Description</span>
+                        </div>
+                        <p class="picture-explanation" id="picture-explanation">Description</p>
+                    </div>
+                    
+                    <div class="credit-section" id="picture-credit" style="display: none;">
+                        <div class="section-header">
+                            <span class="section-icon">📷</span>
+                            <span class="section-title" data-i18n="info.credit">Credit</span>
+                        </div>
+                        <p class="credit-text" id="credit-text"></p>
+                    </div>
+                </div>
+            </div>
+        </main>
+
+        <footer class="glass-panel footer-panel">
+            <div class="footer-content">
+                <p class="footer-text">
+                    <span class="footer-icon">🚀</span>
+                    <span data-i18n="app.footer">Powered by NASA's Astronomy Picture of the Day API</span>
+                </p>
+            </div>
+        </footer>
+    </div>
+
+    <aside class="side-panel search-panel glass-panel" id="search-panel" aria-hidden="true" aria-label="Search">
+        <div class="collections-header">
+            <div class="section-header">
+                <span class="section-icon">🔎</span>
+                <span class="section-title" data-i18n="search.title">Search</span>
+            </div>
+            <button id="search-close" class="icon-btn" aria-label="Close search" data-i18n-attr="aria-label:search.close">✕</button>
+        </div>
+        <input type="search" id="search-input" class="glass-input" placeholder="Horsehead, Saturn rings…" aria-label="Search pictures" data-i18n-attr="placeholder:search.placeholder, aria-label:search.inputLabel" autocomplete="off" />
+        <p class="search-status" id="search-status" role="status"></p>
+        <ol class="search-results" id="search-results">
+            <!-- Ranked results are rendered here -->
+        </ol>
+        <details class="search-archive">
+            <summary data-i18n="search.archive">Index the archive for offline search</summary>
+            <div class="search-archive-range">
+                <input type="date" id="index-start-input" class="glass-input" aria-label="Index from" data-i18n-attr="aria-label:search.indexFrom" />
+                <span class="range-separator">→</span>
+                <input type="date" id="index-end-input" class="glass-input" aria-label="Index until" data-i18n-attr="aria-label:search.indexUntil" />
+            </div>
+            <button id="index-btn" class="glass-btn secondary">
+                <span class="btn-icon">🗂️</span>
+                <span>Index Range</span>
+            </button>
+            <p class="search-status" id="index-progress" role="status"></p>
+        </details>
+    </aside>
+
+    <aside class="side-panel collections-panel glass-panel" id="collections-panel" aria-hidden="true" aria-label="Collections">
+        <div class="collections-header">
+            <div class="section-header">
+                <span class="section-icon">⭐</span>
+                <span class="section-title" data-i18n="collections.title">Collections</span>
+            </div>
+            <button id="collections-close" class="icon-btn" aria-label="Close collections" data-i18n-attr="aria-label:collections.close">✕</button>
+        </div>
+        <form class="collection-create" id="collection-create-form">
+            <input type="text" id="collection-create-input" class="glass-input" placeholder="New collection name" aria-label="New collection name" data-i18n-attr="placeholder:collections.newName, aria-label:collections.newName" />
+            <button type="submit" class="glass-btn secondary">
+                <span class="btn-icon">➕</span>
+                <span data-i18n="collections.create">Create</span>
+            </button>
+        </form>
+        <div class="collections-list" id="collections-list">
+            <!-- Collections are rendered here -->
+        </div>
+        <div class="collections-transfer">
+            <button id="collections-export-btn" class="glass-btn secondary">
+                <span class="btn-icon">📤</span>
+                <span data-i18n="collections.export">Export</span>
+            </button>
+            <label class="glass-btn secondary" for="collections-import-input">
+                <span class="btn-icon">📥</span>
+                <span data-i18n="collections.import">Import</span>
+            </label>
+            <input type="file" id="collections-import-input" accept="application/json,.json" hidden />
+        </div>
+    </aside>
+
+    <aside class="side-panel export-panel glass-panel" id="export-panel" aria-hidden="true" aria-label="Export" data-i18n-attr="aria-label:export.title">
+        <div class="collections-header">
+            <div class="section-header">
+                <span class="section-icon">📦</span>
+                <span class="section-title" data-i18n="export.title">Export</span>
+            </div>
+            <button id="export-close" class="icon-btn" aria-label="Close export" data-i18n-attr="aria-label:export.close">✕</button>
+        </div>
+        <p class="settings-hint" data-i18n="export.hint">Save pictures for offline use: the entries as JSON, CSV or a Markdown document, optionally zipped with their images.</p>
+        <form class="export-form" id="export-form">
+            <label class="settings-field">
+                <span data-i18n="export.source">What to export</span>
+                <select id="export-source" class="glass-input">
+                    <option value="range" data-i18n="export.sourceRange">A date range</option>
+                    <option value="collection" data-i18n="export.sourceCollection">A collection</option>
+                    <option value="cached" data-i18n="export.sourceCached">Everything cached on this device</option>
+                </select>
+            </label>
+            <div class="search-archive-range" id="export-range">
+                <input type="date" id="export-start-input" class="glass-input" aria-label="Export from" data-i18n-attr="aria-label:export.from" />
+                <span class="range-separator">→</span>
+                <input type="date" id="export-end-input" class="glass-input" aria-label="Export until" data-i18n-attr="aria-label:export.until" />
+            </div>
+            <select id="export-collection" class="glass-input" aria-label="Collection" data-i18n-attr="aria-label:export.collection" hidden></select>
+            <label class="settings-field">
+                <span data-i18n="export.format">Format</span>
+                <select id="export-format" class="glass-input">
+                    <option value="json">JSON</option>
+                    <option value="csv">CSV</option>
+                    <option value="markdown">Markdown</option>
+                </select>
+            </label>
+            <label class="export-option">
+                <input type="checkbox" id="export-images" />
+                <span data-i18n="export.includeImages">Bundle the images into a zip file</span>
+            </label>
+            <label class="export-option">
+                <input type="checkbox" id="export-hd" />
+                <span data-i18n="export.hdImages">Use high-resolution images where available</span>
+            </label>
+            <button type="submit" id="export-btn" class="glass-btn primary">
+                <span class="btn-icon">📦</span>
+                <span data-i18n="export.start">Export</span>
+            </button>
+        </form>
+        <p class="search-status" id="export-status" role="status"></p>
+    </aside>
+
+    <aside class="side-panel settings-panel glass-panel" id="settings-panel" aria-hidden="true" aria-label="Settings" data-i18n-attr="aria-label:settings.title">
+        <div class="collections-header">
+            <div class="section-header">
+                <span class="section-icon">⚙️</span>
+                <span class="section-title" data-i18n="settings.title">Settings</span>
+            </div>
+            <button id="settings-close" class="icon-btn" aria-label="Close settings" data-i18n-attr="aria-label:settings.close">✕</button>
+        </div>
+        <p class="settings-hint" data-i18n="settings.intro">Changes apply straight away and are saved in this browser. API keys are stored unencrypted, so avoid entering them on shared computers.</p>
+
+        <h3 class="settings-heading" data-i18n="settings.providers">Providers</h3>
+        <p class="settings-hint" data-i18n="settings.providersHint">Ticked providers are tried from the top down; the first one that answers is used.</p>
+        <ol class="settings-providers" id="settings-providers">
+            <!-- Providers are rendered here -->
+        </ol>
+        <div class="settings-actions">
+            <button id="settings-add-btn" class="glass-btn secondary">
+                <span class="btn-icon">➕</span>
+                <span data-i18n="settings.add">Add provider</span>
+            </button>
+            <button id="settings-reset-btn" class="glass-btn secondary">
+                <span class="btn-icon">↺</span>
+                <span data-i18n="settings.resetAll">Reset to config.js</span>
+            </button>
+        </div>
+
+        <form class="settings-form" id="settings-form" hidden>
+            <h3 class="settings-heading" id="settings-form-title"></h3>
+            <label class="settings-field">
+                <span data-i18n="settings.fieldId">ID</span>
+                <input name="providerId" class="glass-input" required pattern="[a-z0-9][a-z0-9_\\-]*" autocomplete="off" />
+            </label>
+            <label class="settings-field">
+                <span data-i18n="settings.fieldLabel">Name</span>
+                <input name="label" class="glass-input" autocomplete="off" />
+            </label>
+            <label class="settings-field">
+                <span data-i18n="settings.fieldBaseUrl">Base URL</span>
+                <input name="baseUrl" class="glass-input" required autocomplete="off" placeholder="https://api.nasa.gov/planetary/apod" />
+            </label>
+            <label class="settings-field">
+                <span data-i18n="settings.fieldApiKey">API key</span>
+                <input name="apiKey" type="password" class="glass-input" autocomplete="off" />
+            </label>
+            <details class="settings-details">
+                <summary data-i18n="settings.params">Parameter names</summary>
+                <label class="settings-field">
+                    <span data-i18n="settings.fieldApiKeyParam">API key</span>
+                    <input name="apiKeyParam" class="glass-input" autocomplete="off" />
+                </label>
+                <label class="settings-field">
+                    <span data-i18n="settings.fieldDateParam">Date</span>
+                    <input name="dateParam" class="glass-input" autocomplete="off" />
+                </label>
+                <label class="settings-field">
+                    <span data-i18n="settings.fieldStartDateParam">Range start</span>
+                    <input name="startDateParam" class="glass-input" autocomplete="off" />
+                </label>
+                <label class="settings-field">
+                    <span data-i18n="settings.fieldEndDateParam">Range end</span>
+                    <input name="endDateParam" class="glass-input" autocomplete="off" />
+                </label>
+                <label class="settings-field">
+                    <span data-i18n="settings.fieldCountParam">Random count</span>
+                    <input name="countParam" class="glass-input" autocomplete="off" />
+                </label>
+                <label class="settings-field">
+                    <span data-i18n="settings.fieldThumbsParam">Video thumbnails</span>
+                    <input name="thumbsParam" class="glass-input" autocomplete="off" />
+                </label>
+            </details>
+            <details class="settings-details">
+                <summary data-i18n="settings.mapping">Response mapping (JSON)</summary>
+                <p class="settings-hint" data-i18n="settings.mappingHint">Paths such as "media.images[0].src", or {"path": …, "default": …, "format": "DD/MM/YYYY"}. Functions set in config.js are kept unless you edit this.</p>
+                <textarea name="responseMapping" class="glass-input settings-mapping" rows="10" spellcheck="false"></textarea>
+            </details>
+            <div class="settings-actions">
+                <button type="submit" class="glass-btn primary" data-i18n="settings.save">Save</button>
+                <button type="button" id="settings-test-btn" class="glass-btn secondary" data-i18n="settings.test">Test connection</button>
+                <button type="button" id="settings-cancel-btn" class="glass-btn secondary" data-i18n="settings.cancel">Cancel</button>
+                <button type="button" id="settings-remove-btn" class="glass-btn secondary"></button>
+            </div>
+        </form>
+        <p class="search-status settings-status" id="settings-status" role="status"></p>
+    </aside>
+
+    <dialog class="lightbox" id="lightbox" aria-label="High resolution viewer" data-i18n-attr="aria-label:viewer.label">
+        <div class="lightbox-toolbar" id="lightbox-toolbar">
+            <span class="lightbox-title" id="lightbox-title"></span>
+            <div class="lightbox-progress" id="lightbox-progress" role="progressbar" aria-label="HD download" data-i18n-attr="aria-label:viewer.download" aria-valuemin="0" aria-valuemax="100" hidden>
+                <span class="lightbox-progress-bar"></span>
+                <span class="lightbox-progress-text"></span>
+            </div>
+            <div class="lightbox-actions">
+                <button class="icon-btn" data-action="zoom-out" aria-label="Zoom out" title="Zoom out (-)" data-i18n-attr="aria-label:viewer.zoomOut, title:viewer.zoomOutHint">➖</button>
+                <span class="lightbox-zoom" id="lightbox-zoom" aria-live="polite">100%</span>
+                <button class="icon-btn" data-action="zoom-in" aria-label="Zoom in" title="Zoom in (+)" data-i18n-attr="aria-label:viewer.zoomIn, title:viewer.zoomInHint">➕</button>
+                <button class="glass-btn secondary" id="lightbox-fit" data-action="toggle-fit" title="Fit (0) / actual size (1)" data-i18n-attr="title:viewer.fitHint">100%</button>
+                <button class="icon-btn" data-action="fullscreen" aria-label="Full screen" title="Full screen (F)" data-i18n-attr="aria-label:viewer.fullscreen, title:viewer.fullscreenHint">⛶</button>
+                <a class="icon-btn" id="lightbox-original" target="_blank" rel="noopener" aria-label="Open original file" title="Open original file" data-i18n-attr="aria-label:viewer.original, title:viewer.original">↗</a>
+                <button class="icon-btn" data-action="close" aria-label="Close viewer" title="Close (Esc)" data-i18n-attr="aria-label:viewer.close, title:viewer.closeHint">✕</button>
+            </div>
+        </div>
+        <div class="lightbox-stage" id="lightbox-stage">
+            <img class="lightbox-image" id="lightbox-image" alt="" draggable="false" />
+        </div>
+        <p class="lightbox-hint" data-i18n="viewer.hint">Scroll or pinch to zoom · drag to pan · double-click to switch between fit and 100%</p>
+    </dialog>
+`;
+
+// Embeddable Viewer - <apod-viewer date="2020-01-01" provider="nasa" compact>
+// Each element runs its own AstronomyPictureApp with its own AppState inside its own shadow root;
+// the response cache and the language are shared by every viewer on the page.
+// Outside a browser there is no HTMLElement, so the class is only usable where the DOM exists.
+class ApodViewerElement extends (globalThis.HTMLElement || class {}) {
+    static get observedAttributes() {
+        return ['date', 'provider'];
+    }
+
+    constructor() {
+        super();
+        this.app = null;
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `<link rel="stylesheet" href="${AppUtils.assetUrl('styles.css')}">${APOD_VIEWER_TEMPLATE}`;
+        AppInitializer.addAnimationStyles(root);
+    }
+
+    // The app is created once; moving the element around the page keeps it
+    connectedCallback() {
+        if (this.app) return;
+        if (!FeatureDetection.hasBackdropFilter()) this.classList.add('no-backdrop-filter');
+
+        this.app = new AstronomyPictureApp({
+            root: this.shadowRoot,
+            host: this,
+            date: this.getAttribute('date'),
+            provider: this.getAttribute('provider'),
+            standalone: this.hasAttribute('standalone')
+        });
+        AppInitializer.exposeApp(this.app);
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (!this.app || previous === value) return;
+
+        this.app.ready.then(() => {
+            if (name === 'date') {
+                this.app.options.date = value;
+                this.app.loadInitialPicture();
+            } else if (name === 'provider') {
+                this.app.setPreferredProvider(value);
+            }
+        });
+    }
+
+    get events() {
+        return this.app ? this.app.events : null;
+    }
+
+    loadDate(date) {
+        return this.app.loadDate(date);
+    }
+
+    registerPlugin(plugin) {
+        return this.app.registerPlugin(plugin);
+    }
 }
 
 // Modern App Initialization with Error Handling
 class AppInitializer {
     static async initialize() {
         try {
-            // Wait for DOM to be ready
+            // Wait for the DOM, and for the rest of this script to define its helpers
             await AppInitializer.waitForDOM();
             
-            // Add CSS animations for components
-            AppInitializer.addAnimationStyles();
-            
-            // Initialize the main app
-            const app = new AstronomyPictureApp();
-            
-            // Make available globally for debugging
-            window.astronomyApp = app;
-            
-            // Add development helpers
-            if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-                AppInitializer.addDevelopmentHelpers(app);
+            // Registering the element upgrades every <apod-viewer> already on the page
+            if (!customElements.get('apod-viewer')) {
+                customElements.define('apod-viewer', ApodViewerElement);
             }
             
         } catch (error) {
@@ -565,6 +7073,17 @@ class AppInitializer {
         }
     }
 
+    // The first viewer on the page becomes window.astronomyApp, as the full app always was
+    static exposeApp(app) {
+        if (window.astronomyApp) return;
+        window.astronomyApp = app;
+        
+        // Add development helpers
+        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+            AppInitializer.addDevelopmentHelpers(app);
+        }
+    }
+
     static waitForDOM() {
         return new Promise((resolve) => {
             if (document.readyState === 'loading') {
@@ -575,7 +7094,8 @@ class AppInitializer {
         });
     }
 
-    static addAnimationStyles() {
+    // Added to each viewer's shadow root, which page-level styles cannot reach
+    static addAnimationStyles(parent = document.head) {
         const style = document.createElement('style');
         style.textContent = `
             .animate-in {
@@ -620,10 +7140,12 @@ class AppInitializer {
                 transform: scale(1);
             }
         `;
-        document.head.appendChild(style);
+        parent.appendChild(style);
     }
 
     static addDevelopmentHelpers(app) {
+        app.history = new StateHistory(app.state, { limit: app.loadStateConfig().historyLimit });
+
         console.log(`
 🌌 Futuristic Astronomy Picture App - Developer Console
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -631,6 +7153,14 @@ class AppInitializer {
 🔧 Available Commands:
   astronomyApp.getState()           - Get current app state
   astronomyApp.updateApiConfig({})  - Update API configuration
+  astronomyApp.getProviderStatus()  - Provider chain health and cooldowns
+  astronomyApp.getCacheStats()      - Inspect cached API responses
+  astronomyApp.clearCache()         - Clear cached API responses
+  astronomyApp.history.list()       - State updates so far (undo(), redo(), jumpTo(index))
+  astronomyApp.state.use((update, next) => next(update)) - Add state middleware
+  astronomyApp.events.on('pictureLoaded', fn) - Listen for app events (see PLUGIN_API.md)
+  astronomyApp.loadDate('2021-07-04') - Show a date
+  MockApodProvider.shared.simulate({ status: 429 }) - Fake errors/latency (mock provider)
   
 🎨 Features:
   ✅ Component-based architecture
@@ -638,14 +7168,17 @@ class AppInitializer {
   ✅ Modern glassmorphism design
   ✅ Smooth animations
   ✅ Error handling with fallbacks
+  ✅ Persistent response cache
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
         `);
     }
 }
 
-// Initialize the app
-AppInitializer.initialize();
+// Initialize the app - only in a browser; under Node (e.g. the tests) app.js just provides its classes
+if (typeof document !== 'undefined') {
+    AppInitializer.initialize();
+}
 
 // Utility Functions for Modern Development
 const AppUtils = {
@@ -663,24 +7196,37 @@ const AppUtils = {
         end: (label) => console.timeEnd(`🚀 ${label}`)
     },
 
+    // Styles and catalogs load from next to app.js, so a viewer embedded on another site finds them
+    assetBase: typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null,
+
+    assetUrl: (path) => (AppUtils.assetBase ? new URL(path, AppUtils.assetBase).href : path),
+
     // Modern date formatting utilities
+    // Date helpers - shorthands for ApodDate, which defines the APOD day
     dateUtils: {
+        apodFirstDate: ApodDate.FIRST_DATE,
+        today: () => ApodDate.today(),
+        isCalendarDate: (dateString) => ApodDate.isCalendarDate(dateString),
+        isWithinApodRange: (dateString) => ApodDate.isInArchive(dateString),
+
         formatRelative: (dateString) => {
-            const date = new Date(dateString);
-            const now = new Date();
-            const diffTime = Math.abs(now - date);
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+            const date = ApodDate.toUTCDate(dateString);
+            const diffDays = Math.abs(ApodDate.daysBetween(dateString, ApodDate.today()));
             
             if (diffDays === 0) return 'Today';
             if (diffDays === 1) return 'Yesterday';
             if (diffDays < 7) return `${diffDays} days ago`;
-            return date.toLocaleDateString();
+            return date.toLocaleDateString(undefined, { timeZone: 'UTC' });
         },
         
         isValidDate: (dateString) => {
             const date = new Date(dateString);
             return date instanceof Date && !isNaN(date);
-        }
+        },
+
+        addDays: (dateString, days) => ApodDate.addDays(dateString, days),
+        daysBetween: (startDate, endDate) => ApodDate.daysBetween(startDate, endDate),
+        listDates: (startDate, endDate) => ApodDate.listDates(startDate, endDate)
     },
 
     // Enhanced error handling
@@ -697,11 +7243,37 @@ const AppUtils = {
         }
     },
 
-    // API response validation
-    validateApiResponse: (response, requiredFields = ['title', 'url']) => {
-        const missing = requiredFields.filter(field => !response[field]);
-        if (missing.length > 0) {
-            throw new Error(`Invalid API response: missing fields ${missing.join(', ')}`);
+    // API response validation - `schema` is a list of required fields or a map of field rules
+    // ({ required, type, validate }); `required` may be a function of the whole response.
+    // The thrown error names the first offending field in `field` and why in `reason`.
+    validateApiResponse: (response, schema = ['title', 'url']) => {
+        const rules = Array.isArray(schema)
+            ? Object.fromEntries(schema.map(field => [field, { required: true }]))
+            : schema;
+        const problems = [];
+
+        Object.entries(rules).forEach(([field, rule]) => {
+            const value = response ? response[field] : undefined;
+            const required = typeof rule.required === 'function' ? rule.required(response || {}) : rule.required;
+
+            if (value === undefined || value === null || value === '') {
+                if (required) problems.push({ field, reason: 'missing' });
+            } else if ((rule.type && typeof value !== rule.type) || (rule.validate && !rule.validate(value))) {
+                problems.push({ field, reason: 'invalid' });
+            }
+        });
+
+        if (problems.length > 0) {
+            const describe = reason => problems.filter(problem => problem.reason === reason).map(problem => problem.field);
+            const details = [
+                describe('missing').length ? `missing fields ${describe('missing').join(', ')}` : null,
+                describe('invalid').length ? `invalid fields ${describe('invalid').join(', ')}` : null
+            ].filter(Boolean);
+            const error = new Error(`Invalid API response: ${details.join('; ')}`);
+            error.field = problems[0].field;
+            error.reason = problems[0].reason;
+            error.problems = problems;
+            throw error;
         }
         return true;
     }
@@ -711,9 +7283,36 @@ const AppUtils = {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         AstronomyPictureApp,
+        ApodViewerElement,
+        ApodDate,
         AppState,
+        StateHistory,
+        AppEvents,
+        I18n,
         AstronomyAPIService,
+        ApiError,
+        MappingError,
+        ResponseMapper,
+        MediaResolver,
+        ProviderChainService,
+        ResponseCache,
+        MemoryCacheStore,
+        FileCacheStore,
+        IndexedDBCacheStore,
         Component,
+        GalleryComponent,
+        CalendarComponent,
+        FavoritesStore,
+        FavoritesComponent,
+        CitationFormatter,
+        ShareComponent,
+        ZipArchive,
+        ArchiveExporter,
+        AppRouter,
+        PrefetchService,
+        OfflineService,
+        SearchIndex,
+        SearchService,
         AppUtils
     };
 }
@@ -742,4 +7341,6 @@ const FeatureDetection = {
 };
 
 // Initialize feature detection
-FeatureDetection.init();
\ No newline at end of file
+if (typeof document !== 'undefined') {
+    FeatureDetection.init();
+}
\ No newline at end of file
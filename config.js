@@ -4,10 +4,15 @@
 const API_CONFIGS = {
     // NASA APOD API (default)
     nasa: {
+        label: 'NASA APOD',
         baseUrl: 'https://api.nasa.gov/planetary/apod',
         apiKey: 'DEMO_KEY', // Replace with your free NASA API key from https://api.nasa.gov/
         dateParam: 'date',
+        startDateParam: 'start_date', // Range requests (gallery mode)
+        endDateParam: 'end_date',
+        countParam: 'count',          // Random entries ("Surprise me")
         apiKeyParam: 'api_key',
+        thumbsParam: 'thumbs',        // Ask for thumbnail_url on video entries
         
         // Response field mapping
         responseMapping: {
@@ -17,26 +22,94 @@ const API_CONFIGS = {
             url: 'url',
             hdurl: 'hdurl',
             mediaType: 'media_type',
-            copyright: 'copyright'
+            copyright: 'copyright',
+            thumbnailUrl: 'thumbnail_url'
         }
     },
 
+    // Local proxy served by `node server.js` - the server adds the API key,
+    // so nothing secret ships to the browser
+    proxy: {
+        label: 'Local proxy',
+        baseUrl: '/api/apod',
+        apiKey: '',                   // Leave empty: the proxy supplies the key
+        dateParam: 'date',
+        startDateParam: 'start_date',
+        endDateParam: 'end_date',
+        countParam: 'count',
+        apiKeyParam: 'api_key',
+        thumbsParam: 'thumbs',
+
+        responseMapping: {
+            title: 'title',
+            date: 'date',
+            explanation: 'explanation',
+            url: 'url',
+            hdurl: 'hdurl',
+            mediaType: 'media_type',
+            copyright: 'copyright',
+            thumbnailUrl: 'thumbnail_url'
+        }
+    },
+
+    // Offline fixture provider from mock-apod.js - no network, no quota.
+    // Simulate errors from the console: MockApodProvider.shared.simulate({ status: 500 })
+    mock: {
+        label: 'Offline fixtures',
+        baseUrl: 'mock://apod',
+        transport: 'mock',
+        apiKey: 'MOCK_KEY',
+        dateParam: 'date',
+        startDateParam: 'start_date',
+        endDateParam: 'end_date',
+        countParam: 'count',
+        apiKeyParam: 'api_key',
+        thumbsParam: 'thumbs',
+
+        responseMapping: {
+            title: 'title',
+            date: 'date',
+            explanation: 'explanation',
+            url: 'url',
+            hdurl: 'hdurl',
+            mediaType: 'media_type',
+            copyright: 'copyright',
+            thumbnailUrl: 'thumbnail_url'
+        }
+    },
+
+    // Bundled demo sample - a last resort when every real provider is unavailable
+    demo: {
+        label: 'Demo sample',
+        baseUrl: 'demo://apod',
+        transport: 'demo',
+        apiKey: '',
+        cacheable: false              // Never let the sample shadow real cached pictures
+    },
+
     // Example custom API configuration
     custom: {
+        label: 'Custom API',
         baseUrl: 'https://your-api.com/astronomy',
         apiKey: 'your-api-key-here',
         dateParam: 'date',
+        startDateParam: 'from',       // If your API supports range requests
+        endDateParam: 'to',
+        countParam: 'count',          // If your API can return random entries
         apiKeyParam: 'key',
         
-        // Map your API response fields to expected format
+        // Map your API response fields to expected format. Each field takes a path
+        // ('picture.title', 'images[0].src'), a function of the raw entry, or
+        // { path, default, transform, format } - `format` parses the date field.
+        // Unmapped fields are left empty; entries without a title, date or url are rejected.
         responseMapping: {
-            title: 'picture_title',        // If your API uses 'picture_title'
-            date: 'picture_date',          // If your API uses 'picture_date'
-            explanation: 'description',    // If your API uses 'description'
-            url: 'image_url',             // If your API uses 'image_url'
-            hdurl: 'high_res_url',        // If your API uses 'high_res_url'
-            mediaType: 'type',            // If your API uses 'type'
-            copyright: 'credit'           // If your API uses 'credit'
+            title: 'picture_title',                                // If your API uses 'picture_title'
+            date: { path: 'published', format: 'DD/MM/YYYY' },      // Also 'iso', 'unix', 'unix-ms' or a function
+            explanation: { path: 'description', default: '' },
+            url: 'media.images[0].src',                            // Nested objects and arrays
+            hdurl: 'media.hd.src',
+            mediaType: { path: 'type', transform: type => type.toLowerCase() },
+            copyright: entry => (entry.credits || []).join(', ')   // Computed from the whole entry
         }
     },
 
@@ -45,11 +118,106 @@ const API_CONFIGS = {
 };
 
 // Active configuration - change this to switch APIs
-const ACTIVE_API = 'nasa'; // Change to 'custom' or add your own
+const ACTIVE_API = 'nasa'; // 'proxy' with `node server.js`, 'mock' for offline fixtures, 'custom', or your own
+
+// Provider fallback chain - tried in order on rate limits, server errors and timeouts.
+// Providers that fail `failureThreshold` times in a row are skipped for `cooldownMinutes`.
+// Example: providers: ['nasa', 'proxy', 'demo']
+const PROVIDER_CHAIN = {
+    providers: [ACTIVE_API, 'demo'],
+    failureThreshold: 2,
+    cooldownMinutes: 5,
+    requestTimeoutMs: 15000 // abandon (and retry) a request after this long
+};
+
+// Retries for transient failures (429, 5xx, network errors, timeouts)
+const RETRY_CONFIG = {
+    attempts: 3,              // Total tries per provider, including the first
+    baseDelayMs: 500,         // Backoff doubles from here, with random jitter
+    maxDelayMs: 8000,         // Longer Retry-After waits are reported instead of retried
+    rateLimitWaitSeconds: 60  // Assumed wait after a 429 that has no Retry-After header
+};
+
+// Response cache settings
+const CACHE_CONFIG = {
+    enabled: true,
+    todayTtlMinutes: 60,                 // Today's entry may still change, so it expires
+    databaseName: 'astronomy-apod-cache', // IndexedDB database used in the browser
+    filePath: '.apod-cache.json'          // Cache file used when running under Node
+};
+
+// Gallery mode settings
+const GALLERY_CONFIG = {
+    chunkDays: 7,       // Days per range request; the grid fills in chunk by chunk
+    maxRangeDays: 366   // Largest range a single gallery may cover
+};
+
+// Random discovery ("Surprise me") settings
+const RANDOM_CONFIG = {
+    batchSize: 10,      // Entries fetched per count request
+    refillThreshold: 3  // Top the queue up in the background at or below this many entries
+};
+
+// Adjacent-day prefetching (previous/next day navigation)
+const PREFETCH_CONFIG = {
+    enabled: true,
+    maxRequestsPerSession: 20, // Network requests prefetching may spend per page load
+    minRemainingQuota: 10,     // Stop when the provider reports this many requests left or fewer
+    preloadImages: true
+};
+
+// Offline support - a service worker (sw.js) caches the app and recently viewed pictures.
+// Runtime caches are capped; the least recently used entries are evicted first.
+const OFFLINE_CONFIG = {
+    enabled: true,
+    serviceWorkerUrl: 'sw.js',
+    maxDataEntries: 200,     // APOD JSON responses kept for offline use
+    maxImageEntries: 60,     // Pictures kept for offline use...
+    maxImageMegabytes: 150   // ...within this much storage (where the size is known)
+};
+
+// Full-text search over every entry seen or cached on this device
+const SEARCH_CONFIG = {
+    maxResults: 50,
+    bulkChunkDays: 30,     // Days per range request when indexing the archive
+    bulkDelayMs: 500,      // Pause between those requests
+    minRemainingQuota: 10  // Stop indexing when the provider reports this many requests left or fewer
+};
+
+// Archive export - the Export panel and `node export.js`. Date ranges are loaded through the
+// provider chain, so days already cached cost no API quota.
+const EXPORT_CONFIG = {
+    chunkDays: 31,       // Days per range request
+    maxRangeDays: 366,   // Largest range a single export may cover
+    hdImages: false      // Bundle hdurl rather than url pictures by default
+};
+
+// Languages - each code needs a catalog at <path><code>.js (see locales/en.js for the keys).
+// 'auto' picks the first browser language with a catalog; a choice made in the app is remembered.
+const I18N_CONFIG = {
+    defaultLocale: 'auto',
+    fallbackLocale: 'en',   // Used for any message missing from the active catalog
+    locales: ['en', 'es', 'de'],
+    path: 'locales/'
+};
+
+// Settings panel - providers edited in the app are saved in the browser and layered over the
+// configs above; "Reset to config.js" in the panel discards them.
+const SETTINGS_CONFIG = {
+    testDate: '2021-07-04'  // Date requested by "Test connection"; any published date works
+};
+
+// App state - top-level state keys listed here are saved in the browser and restored on reload
+// (e.g. ['randomQueue'] to keep unseen random picks). On localhost the developer console keeps
+// the last historyLimit updates for astronomyApp.history.undo()/redo()/jumpTo().
+const STATE_CONFIG = {
+    persistKeys: [],
+    historyLimit: 100
+};
 
 // Export for use in main app
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { API_CONFIGS, ACTIVE_API };
+    module.exports = { API_CONFIGS, ACTIVE_API, PROVIDER_CHAIN, RETRY_CONFIG, CACHE_CONFIG, GALLERY_CONFIG, RANDOM_CONFIG, PREFETCH_CONFIG, OFFLINE_CONFIG, SEARCH_CONFIG, EXPORT_CONFIG, I18N_CONFIG, SETTINGS_CONFIG, STATE_CONFIG };
 }
 
 // Instructions for using this config:
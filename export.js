@@ -0,0 +1,182 @@
+// Archive Export Command - saves APOD entries as JSON, CSV or Markdown, optionally zipped with their images
+// Reuses AstronomyAPIService, ResponseCache and ArchiveExporter from app.js, so entries are mapped
+// exactly as in the app, and fetched days are kept in the same Node cache file for next time.
+//
+// Usage: node export.js --start 2021-07-01 --end 2021-07-31 [--format json|csv|markdown] [--images] [--hd] [--out FILE]
+//        node export.js --collection apod-collections.json [--name Favorites] [...]
+//        node export.js --cached [...]
+// Options: --provider nasa, --key YOUR_KEY, --lang en, --cache-file .apod-cache.json
+// Environment: APOD_PROVIDER, APOD_API_KEY, APOD_CACHE_FILE
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config.js');
+const { MockApodProvider } = require('./mock-apod.js');
+const { parseArgs } = require('./server.js');
+
+// app.js looks these up as page globals, the way it finds them in the browser
+globalThis.I18N_CONFIG = config.I18N_CONFIG;
+globalThis.MockApodProvider = MockApodProvider;
+config.I18N_CONFIG.locales.forEach(code => require(`./locales/${code}.js`));
+
+const {
+    AstronomyAPIService,
+    ResponseCache,
+    FileCacheStore,
+    FavoritesStore,
+    ArchiveExporter,
+    I18n,
+    AppUtils
+} = require('./app.js');
+
+const { API_CONFIGS, ACTIVE_API, PROVIDER_CHAIN, RETRY_CONFIG, CACHE_CONFIG, EXPORT_CONFIG } = config;
+
+// Relative base URLs (the local proxy) only make sense inside a page
+function isUsableProvider(providerConfig) {
+    return Boolean(providerConfig) && (Boolean(providerConfig.transport) || /^https?:\/\//.test(providerConfig.baseUrl));
+}
+
+// Configuration - CLI flags win over environment variables, which win over config.js
+function loadExportOptions(argv = process.argv.slice(2), env = process.env) {
+    const args = parseArgs(argv);
+    const provider = args.provider || env.APOD_PROVIDER ||
+        (isUsableProvider(API_CONFIGS[ACTIVE_API]) ? ACTIVE_API : 'nasa');
+    const providerConfig = API_CONFIGS[provider];
+
+    if (!isUsableProvider(providerConfig)) {
+        throw new Error(`Unknown or page-only provider "${provider}". Choose one of: ${
+            Object.keys(API_CONFIGS).filter(name => isUsableProvider(API_CONFIGS[name])).join(', ')
+        }`);
+    }
+
+    const format = args.format || 'json';
+    if (!ArchiveExporter.FORMATS[format]) {
+        throw new Error(`Unknown format "${format}". Choose one of: ${Object.keys(ArchiveExporter.FORMATS).join(', ')}`);
+    }
+
+    const lang = args.lang || config.I18N_CONFIG.fallbackLocale;
+    if (!config.I18N_CONFIG.locales.includes(lang)) {
+        throw new Error(`Unknown language "${lang}". Choose one of: ${config.I18N_CONFIG.locales.join(', ')}`);
+    }
+
+    return {
+        provider,
+        providerConfig,
+        apiKey: args.key || env.APOD_API_KEY || providerConfig.apiKey,
+        source: readSource(args),
+        format,
+        includeImages: Boolean(args.images),
+        hd: args.hd !== undefined ? Boolean(args.hd) : Boolean(EXPORT_CONFIG.hdImages),
+        out: typeof args.out === 'string' ? args.out : null,
+        lang,
+        cacheFile: path.resolve(args['cache-file'] || env.APOD_CACHE_FILE || CACHE_CONFIG.filePath)
+    };
+}
+
+function readSource(args) {
+    if (args.cached) return { type: 'cached' };
+
+    if (args.collection) {
+        return { type: 'collection', file: path.resolve(String(args.collection)), name: typeof args.name === 'string' ? args.name : null };
+    }
+
+    if (typeof args.start === 'string') {
+        const source = { type: 'range', start: args.start, end: typeof args.end === 'string' ? args.end : args.start };
+        const { isWithinApodRange, daysBetween, apodFirstDate } = AppUtils.dateUtils;
+        const invalid = [source.start, source.end].find(date => !isWithinApodRange(date));
+        if (invalid) throw new Error(`Invalid date "${invalid}": use YYYY-MM-DD between ${apodFirstDate} and today`);
+        if (source.start > source.end) throw new Error('--start must be on or before --end');
+        if (daysBetween(source.start, source.end) + 1 > EXPORT_CONFIG.maxRangeDays) {
+            throw new Error(`Export at most ${EXPORT_CONFIG.maxRangeDays} days at a time (EXPORT_CONFIG.maxRangeDays)`);
+        }
+        return source;
+    }
+
+    throw new Error('Choose what to export: --start/--end, --collection FILE or --cached');
+}
+
+function createApiService(options, cache) {
+    return new AstronomyAPIService({
+        timeoutMs: PROVIDER_CHAIN.requestTimeoutMs,
+        ...options.providerConfig,
+        id: options.provider,
+        apiKey: options.apiKey,
+        retry: { ...RETRY_CONFIG }
+    }, cache);
+}
+
+// Collections come from a file written by the app's Collections > Export button
+function readCollection(source) {
+    const store = new FavoritesStore(null);
+    store.importData(JSON.parse(fs.readFileSync(source.file, 'utf8')));
+
+    const wanted = (source.name || FavoritesStore.DEFAULT_COLLECTION_ID).toLowerCase();
+    const collection = store.getCollections()
+        .find(candidate => candidate.id === wanted || candidate.name.toLowerCase() === wanted);
+    if (!collection) {
+        throw new Error(`No collection named "${source.name}" in ${source.file}. It has: ${
+            store.getCollections().map(candidate => candidate.name).join(', ')
+        }`);
+    }
+    return { entries: collection.entries, name: collection.name };
+}
+
+async function collectEntries(options, cache) {
+    const { source } = options;
+
+    if (source.type === 'cached') return cache.entries();
+
+    if (source.type === 'collection') {
+        const { entries, name } = readCollection(source);
+        source.name = name;
+        return entries;
+    }
+
+    const total = AppUtils.dateUtils.daysBetween(source.start, source.end) + 1;
+    return createApiService(options, cache).fetchPictureRange(source.start, source.end, {
+        chunkDays: EXPORT_CONFIG.chunkDays,
+        onChunk: (chunk, entries) => console.log(`📡 ${entries.length} / ${total} days loaded`)
+    });
+}
+
+async function runExport(options) {
+    await I18n.shared.setLocale(options.lang, { persist: false });
+
+    const cache = new ResponseCache(new FileCacheStore(options.cacheFile), {
+        todayTtlMinutes: CACHE_CONFIG.todayTtlMinutes
+    });
+    const entries = await collectEntries(options, cache);
+    if (entries.length === 0) throw new Error('Nothing to export');
+
+    const { file, ...source } = options.source;
+    const result = await new ArchiveExporter().export(entries, {
+        format: options.format,
+        source,
+        includeImages: options.includeImages,
+        hd: options.hd,
+        onProgress: (done, total) => console.log(`🖼️  ${done} / ${total} entries checked for images`)
+    });
+
+    const out = path.resolve(options.out || result.filename);
+    fs.writeFileSync(out, typeof result.data === 'string' ? result.data : Buffer.from(result.data));
+    return { out, count: ArchiveExporter.prepare(entries).length, missing: result.missing };
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const options = loadExportOptions();
+            const { out, count, missing } = await runExport(options);
+            const summary = missing.length
+                ? I18n.t('export.doneMissing', { count, missing: missing.length })
+                : I18n.t('export.done', { count });
+            console.log(`✅ ${summary}: ${out}`);
+            if (missing.length > 0) console.warn(`⚠️ ${missing.join(', ')}`);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = { loadExportOptions, runExport };
@@ -0,0 +1,254 @@
+// German catalog - keys missing here fall back to the English catalog
+(globalThis.APOD_LOCALES = globalThis.APOD_LOCALES || {}).de = {
+    messages: {
+        'app.title': 'Astronomiebild des Tages',
+        'app.subtitle': 'Entdecke den Kosmos in täglichen Astronomiebildern',
+        'app.language': 'Sprache',
+        'app.footer': 'Bereitgestellt über die Astronomy Picture of the Day API der NASA',
+
+        'init.failed': 'Die App konnte nicht gestartet werden',
+        'init.reload': 'Neu laden',
+
+        'controls.selectDate': 'Datum wählen',
+        'controls.previousDay': 'Vorheriger Tag',
+        'controls.previousDayHint': 'Vorheriger Tag (←)',
+        'controls.nextDay': 'Nächster Tag',
+        'controls.nextDayHint': 'Nächster Tag (→)',
+        'controls.getPicture': 'Bild laden',
+        'controls.today': 'Heute',
+        'controls.surpriseMe': 'Überrasch mich',
+        'controls.galleryRange': 'Galerie-Zeitraum',
+        'controls.galleryEnd': 'Enddatum der Galerie',
+        'controls.loadGallery': 'Galerie laden',
+        'controls.outOfRange': 'Für den {date} gibt es kein APOD. Das Archiv reicht vom {first} bis heute.',
+        'calendar.open': 'Monatskalender',
+        'calendar.month': 'Monat',
+        'calendar.year': 'Jahr',
+        'calendar.previousMonth': 'Vorheriger Monat',
+        'calendar.previousMonthHint': 'Vorheriger Monat (Bild ↑)',
+        'calendar.nextMonth': 'Nächster Monat',
+        'calendar.nextMonthHint': 'Nächster Monat (Bild ↓)',
+        'calendar.loading': 'Monat wird geladen…',
+        'calendar.loadFailed': 'Dieser Monat konnte nicht geladen werden. Tage ohne Vorschaubild lassen sich trotzdem öffnen.',
+        'calendar.video': 'Video',
+        'calendar.favorite': 'In den Favoriten',
+
+        'loading.text': 'Kosmische Bilder werden geladen...',
+
+        'errors.malformed': 'Die API hat eine fehlerhafte Antwort geliefert. Bitte später erneut versuchen',
+        'errors.timeout': 'Die API hat nicht innerhalb von {seconds} s geantwortet',
+        'errors.network': 'Netzwerkfehler: Die API ist nicht erreichbar. Bitte Verbindung prüfen und erneut versuchen',
+        'errors.http400': 'Die API hat die Anfrage abgelehnt. Bitte das gewählte Datum prüfen',
+        'errors.http403': 'API-Zugriff verweigert. Bitte den API-Schlüssel in config.js prüfen',
+        'errors.http404': 'Für das gewählte Datum wurde kein Bild gefunden',
+        'errors.http429': 'Anfragelimit überschritten. Einen kostenlosen NASA-API-Schlüssel gibt es unter: https://api.nasa.gov/',
+        'errors.http500': 'Serverfehler der API. Bitte später erneut versuchen',
+        'errors.httpOther': 'API-Anfrage fehlgeschlagen: {status} {statusText}',
+        'errors.allowedAgain': '✅ Anfragen sind wieder möglich - einfach noch einmal versuchen.',
+        'errors.allowedIn': '⏳ Anfragen wieder möglich in {time}',
+        'errors.tryDemo': 'Beispielbild ansehen',
+
+        'quota.rateLimited': '⛔ Limit erreicht - Anfragen pausiert',
+        'quota.left': { one: 'Noch {remaining} Anfrage', other: 'Noch {remaining} Anfragen' },
+        'quota.leftOfLimit': 'Noch {remaining} / {limit} Anfragen',
+        'quota.runningLow': 'wird knapp',
+
+        'offline.indicator': { one: '📴 Offline - {count} gespeichertes Datum verfügbar', other: '📴 Offline - {count} gespeicherte Daten verfügbar' },
+        'offline.notAvailable': 'Offline nicht verfügbar',
+        'offline.pictureMissing': 'Das Bild vom {date} ist auf diesem Gerät nicht gespeichert und kann offline nicht angezeigt werden. Offline verfügbare Daten stehen in der Datumsauswahl.',
+        'offline.randomUnavailable': '„Überrasch mich“ braucht eine Verbindung, bis Bilder auf diesem Gerät gespeichert sind',
+        'offline.galleryEmpty': 'Keines der Bilder in diesem Zeitraum ist auf diesem Gerät gespeichert, daher können sie offline nicht angezeigt werden.',
+
+        'random.none': 'Gerade sind keine Zufallsbilder verfügbar',
+
+        'gallery.title': 'Galerie: {start} → {end}',
+        'gallery.loading': '{loaded} / {total} werden geladen...',
+        'gallery.count': { one: '{count} Bild', other: '{count} Bilder' },
+        'gallery.invalidRange': 'Das Startdatum der Galerie muss vor dem Enddatum liegen oder ihm entsprechen',
+        'gallery.tooLong': 'Galerien dürfen höchstens {days} Tage umfassen',
+
+        'route.dateRange': 'APOD-Daten reichen vom {first} bis heute.',
+        'route.unknownView': 'Dieser Link verlangt eine Ansicht, die es nicht gibt.',
+        'route.galleryNeedsDates': 'Galerie-Links brauchen ein Start- und ein Enddatum.',
+        'route.invalidDate': 'Ein Datum in diesem Link ist ungültig. {range}',
+        'route.galleryReversed': 'Das Startdatum der Galerie in diesem Link liegt nach dem Enddatum.',
+        'date.notPublished': 'Das Bild vom {date} ist noch nicht erschienen. APOD veröffentlicht jeden Tag nach Mitternacht US-Ostküstenzeit ein neues, daher siehst du hier das neueste.',
+        'embed.invalidDate': 'Das Datum dieses Viewers ist ungültig. {range}',
+
+        'media.untitled': 'Ohne Titel',
+        'media.pictureAlt': 'Astronomiebild',
+        'media.videoTitle': 'Astronomievideo',
+        'media.interactiveTitle': 'Interaktive Astronomieseite',
+        'media.viewHighRes': 'Klicken, um das Bild in hoher Auflösung anzusehen',
+        'media.cannotShow': 'Dieser Eintrag kann hier nicht angezeigt werden.',
+        'media.pictureFailed': 'Dieses Bild konnte nicht geladen werden.',
+        'media.videoOffline': 'Für dieses Video wird eine Internetverbindung benötigt.',
+        'media.videoUnsupported': 'Dieses Video kann in deinem Browser nicht abgespielt werden.',
+        'media.interactiveOffline': 'Für diese interaktive Seite wird eine Internetverbindung benötigt.',
+        'media.openInteractive': 'Interaktive Seite öffnen ↗',
+        'media.openOriginal': 'Auf der Originalseite öffnen ↗',
+
+        'info.description': 'Beschreibung',
+        'info.noDescription': 'Keine Beschreibung verfügbar.',
+        'info.credit': 'Bildnachweis',
+        'info.servedBy': 'Geliefert von {provider}',
+        'info.favorite': 'Favorit',
+
+        'share.button': 'Teilen',
+        'share.copyLink': 'Link kopieren',
+        'share.native': 'Teilen…',
+        'share.card': 'Teilkarte herunterladen',
+        'share.citeAs': 'Zitieren als',
+        'share.plain': 'Einfache Quellenangabe',
+        'share.citation': 'Zitat',
+        'share.copyCitation': 'Zitat kopieren',
+        'share.linkCopied': 'Link in die Zwischenablage kopiert',
+        'share.copyLinkManually': 'Diesen Link kopieren: {url}',
+        'share.citationCopied': 'Zitat in die Zwischenablage kopiert',
+        'share.copyFailed': 'Kopieren nicht möglich - das Zitat ist markiert, damit du es selbst kopieren kannst',
+        'share.shareFailed': 'Das Teilen-Menü konnte nicht geöffnet werden',
+        'share.cardRendering': 'Teilkarte wird erstellt…',
+        'share.cardReady': 'Teilkarte heruntergeladen',
+        'share.cardWithoutPicture': 'Teilkarte ohne Bild heruntergeladen - der Server des Bildes erlaubt keine Weiterverwendung auf anderen Seiten',
+        'share.cardFailed': 'Die Teilkarte konnte nicht erstellt werden',
+        'share.cardCredit': 'Bildnachweis: {credit} · {source}',
+
+        'viewer.label': 'Hochauflösende Ansicht',
+        'viewer.download': 'HD-Download',
+        'viewer.progress': 'HD {percent} %',
+        'viewer.loading': 'HD wird geladen…',
+        'viewer.zoomIn': 'Vergrößern',
+        'viewer.zoomInHint': 'Vergrößern (+)',
+        'viewer.zoomOut': 'Verkleinern',
+        'viewer.zoomOutHint': 'Verkleinern (-)',
+        'viewer.fit': 'Einpassen',
+        'viewer.actualSize': '100 %',
+        'viewer.fitHint': 'Einpassen (0) / Originalgröße (1)',
+        'viewer.fullscreen': 'Vollbild',
+        'viewer.fullscreenHint': 'Vollbild (F)',
+        'viewer.original': 'Originaldatei öffnen',
+        'viewer.close': 'Ansicht schließen',
+        'viewer.closeHint': 'Schließen (Esc)',
+        'viewer.hint': 'Scrollen oder zwei Finger zum Zoomen · ziehen zum Verschieben · Doppelklick wechselt zwischen Einpassen und 100 %',
+
+        'collections.title': 'Sammlungen',
+        'collections.close': 'Sammlungen schließen',
+        'collections.favorites': 'Favoriten',
+        'collections.addTo': 'Zu einer Sammlung hinzufügen',
+        'collections.addToPrompt': 'Zu einer Sammlung hinzufügen…',
+        'collections.newName': 'Name der neuen Sammlung',
+        'collections.create': 'Erstellen',
+        'collections.export': 'Exportieren',
+        'collections.import': 'Importieren',
+        'collections.delete': '{name} löschen',
+        'collections.remove': 'Aus {name} entfernen',
+        'collections.empty': 'Noch keine Bilder',
+        'collections.nameRequired': 'Der Name der Sammlung darf nicht leer sein',
+        'collections.favoritesUndeletable': 'Die Sammlung Favoriten kann nicht gelöscht werden',
+        'collections.unknown': 'Unbekannte Sammlung: {id}',
+        'collections.notAnExport': 'Diese Datei ist kein Export von Astronomie-Sammlungen',
+        'collections.unsupportedVersion': 'Diese Sammlungsdatei stammt aus einer neueren oder unbekannten Version der App.',
+        'collections.missingList': 'In der Sammlungsdatei fehlt die Liste der Sammlungen',
+        'collections.importFailed': 'Sammlungen konnten nicht importiert werden: {message}',
+
+        'export.title': 'Export',
+        'export.close': 'Export schließen',
+        'export.hint': 'Bilder für die Offline-Nutzung speichern: die Einträge als JSON, CSV oder Markdown-Dokument, auf Wunsch als Zip mit den Bildern.',
+        'export.source': 'Was exportieren',
+        'export.sourceRange': 'Einen Datumsbereich',
+        'export.sourceCollection': 'Eine Sammlung',
+        'export.sourceCached': 'Alles, was auf diesem Gerät gespeichert ist',
+        'export.from': 'Exportieren ab',
+        'export.until': 'Exportieren bis',
+        'export.collection': 'Sammlung',
+        'export.format': 'Format',
+        'export.includeImages': 'Bilder in eine Zip-Datei packen',
+        'export.hdImages': 'Hochauflösende Bilder verwenden, wo vorhanden',
+        'export.start': 'Exportieren',
+        'export.cancel': 'Abbrechen',
+        'export.noCollection': 'Wähle eine Sammlung zum Exportieren',
+        'export.invalidRange': 'Wähle ein Start- und Enddatum zwischen 1995-06-16 und heute, den Start zuerst',
+        'export.rangeTooLong': 'Exportiere höchstens {days} Tage auf einmal',
+        'export.collecting': 'Einträge werden gesammelt…',
+        'export.fetching': 'Einträge werden geladen… {done} / {total} Tage',
+        'export.downloading': 'Bilder werden heruntergeladen… {done} / {total}',
+        'export.empty': 'Es gibt noch nichts zu exportieren',
+        'export.unavailable': 'Keiner dieser Tage konnte gerade geladen werden. Bitte später erneut versuchen',
+        'export.done': { one: '{count} Eintrag exportiert', other: '{count} Einträge exportiert' },
+        'export.doneMissing': { one: '{count} Eintrag exportiert; {missing} Bild(er) konnten nicht heruntergeladen werden und behalten ihren Weblink', other: '{count} Einträge exportiert; {missing} Bild(er) konnten nicht heruntergeladen werden und behalten ihren Weblink' },
+        'export.cancelled': 'Export abgebrochen',
+        'export.skipped': { one: '{count} Tag konnte gerade nicht geladen werden und fehlt', other: '{count} Tage konnten gerade nicht geladen werden und fehlen' },
+        'export.failed': 'Export fehlgeschlagen: {message}',
+        'export.documentTitle': 'Astronomiebild des Tages: {source}',
+        'export.documentSummary': { one: '{count} Eintrag, exportiert am {date}', other: '{count} Einträge, exportiert am {date}' },
+        'export.apodPage': 'APOD-Seite',
+        'export.fullResolution': 'Volle Auflösung',
+        'export.openOriginal': 'Original öffnen',
+
+        'search.title': 'Suche',
+        'search.close': 'Suche schließen',
+        'search.placeholder': 'Pferdekopf, Saturnringe…',
+        'search.inputLabel': 'Bilder durchsuchen',
+        'search.status': { one: '{count} Eintrag auf diesem Gerät durchsuchbar', other: '{count} Einträge auf diesem Gerät durchsuchbar' },
+        'search.noMatches': 'Kein Eintrag auf diesem Gerät passt zu „{query}“',
+        'search.archive': 'Archiv für die Offline-Suche indexieren',
+        'search.indexFrom': 'Indexieren ab',
+        'search.indexUntil': 'Indexieren bis',
+        'search.indexRange': 'Zeitraum indexieren',
+        'search.cancel': 'Abbrechen',
+        'search.indexing': 'Indexierung… {done} / {total} Tage',
+        'search.invalidRange': 'Das Startdatum muss vor dem Enddatum liegen oder ihm entsprechen',
+        'search.quotaPause': 'Pausiert, um API-Kontingent zu sparen - später erneut starten, um fortzufahren',
+        'search.noProvider': 'Angehalten: Gerade antwortet kein echter Anbieter',
+        'search.indexed': 'Indexiert: {start} → {end}',
+        'search.indexCancelled': 'Indexierung abgebrochen',
+        'search.indexStopped': 'Indexierung angehalten: {message}',
+
+        'settings.title': 'Einstellungen',
+        'settings.close': 'Einstellungen schließen',
+        'settings.intro': 'Änderungen gelten sofort und werden in diesem Browser gespeichert. API-Schlüssel werden unverschlüsselt gespeichert - auf gemeinsam genutzten Computern besser nicht eingeben.',
+        'settings.providers': 'Anbieter',
+        'settings.providersHint': 'Angehakte Anbieter werden von oben nach unten versucht; der erste, der antwortet, wird verwendet.',
+        'settings.add': 'Anbieter hinzufügen',
+        'settings.resetAll': 'Auf config.js zurücksetzen',
+        'settings.fieldId': 'ID',
+        'settings.fieldLabel': 'Name',
+        'settings.fieldBaseUrl': 'Basis-URL',
+        'settings.fieldApiKey': 'API-Schlüssel',
+        'settings.params': 'Parameternamen',
+        'settings.fieldApiKeyParam': 'API-Schlüssel',
+        'settings.fieldDateParam': 'Datum',
+        'settings.fieldStartDateParam': 'Zeitraumbeginn',
+        'settings.fieldEndDateParam': 'Zeitraumende',
+        'settings.fieldCountParam': 'Zufallsanzahl',
+        'settings.fieldThumbsParam': 'Video-Vorschaubilder',
+        'settings.mapping': 'Antwort-Zuordnung (JSON)',
+        'settings.mappingHint': 'Pfade wie "media.images[0].src" oder {"path": …, "default": …, "format": "DD/MM/YYYY"}. Funktionen aus config.js bleiben erhalten, solange dieses Feld nicht bearbeitet wird.',
+        'settings.save': 'Speichern',
+        'settings.test': 'Verbindung testen',
+        'settings.cancel': 'Abbrechen',
+        'settings.remove': 'Anbieter entfernen',
+        'settings.restore': 'Werte aus config.js wiederherstellen',
+        'settings.useProvider': '{name} verwenden',
+        'settings.moveUp': '{name} nach oben',
+        'settings.moveDown': '{name} nach unten',
+        'settings.edit': '{name} bearbeiten',
+        'settings.customized': 'In diesem Browser geändert',
+        'settings.newProvider': 'Neuer Anbieter',
+        'settings.saved': 'Gespeichert - {name} ist überall aktualisiert',
+        'settings.removed': '{name} entfernt',
+        'settings.restored': '{name} verwendet wieder die Werte aus config.js',
+        'settings.resetDone': 'Einstellungen auf config.js zurückgesetzt',
+        'settings.testing': '{name} wird nach dem {date} gefragt…',
+        'settings.testPassed': '✅ {name} hat in {ms} ms geantwortet: „{title}“ ({date})',
+        'settings.testFailed': '❌ {message}',
+        'settings.needsProvider': 'Mindestens ein Anbieter muss aktiv bleiben',
+        'settings.invalidId': 'IDs dürfen nur Kleinbuchstaben, Ziffern, „-“ und „_“ enthalten',
+        'settings.duplicateId': 'Es gibt bereits einen Anbieter namens „{id}“',
+        'settings.baseUrlRequired': 'Eine Basis-URL ist erforderlich',
+        'settings.invalidMapping': 'Die Antwort-Zuordnung ist kein gültiges JSON: {message}',
+        'settings.mappingNotObject': 'Die Antwort-Zuordnung muss ein JSON-Objekt sein',
+
+        'plugins.closePanel': '{title} schließen'
+    }
+};
@@ -0,0 +1,256 @@
+// English catalog - the fallback for every other language, so it must define every key.
+// {name} placeholders are filled in by I18n.t(); a message given as an object is a plural,
+// picked by its {count} with Intl.PluralRules ('one', 'other', and 'few'/'many' where a language has them).
+(globalThis.APOD_LOCALES = globalThis.APOD_LOCALES || {}).en = {
+    messages: {
+        'app.title': 'Astronomy Picture of the Day',
+        'app.subtitle': 'Discover the cosmos through daily astronomical imagery',
+        'app.language': 'Language',
+        'app.footer': 'Powered by NASA\'s Astronomy Picture of the Day API',
+
+        'init.failed': 'App Initialization Failed',
+        'init.reload': 'Reload App',
+
+        'controls.selectDate': 'Select Date',
+        'controls.previousDay': 'Previous day',
+        'controls.previousDayHint': 'Previous day (←)',
+        'controls.nextDay': 'Next day',
+        'controls.nextDayHint': 'Next day (→)',
+        'controls.getPicture': 'Get Picture',
+        'controls.today': 'Today',
+        'controls.surpriseMe': 'Surprise Me',
+        'controls.galleryRange': 'Gallery Range',
+        'controls.galleryEnd': 'Gallery end date',
+        'controls.loadGallery': 'Load Gallery',
+        'controls.outOfRange': 'There is no APOD for {date}. The archive runs from {first} to today.',
+        'calendar.open': 'Month calendar',
+        'calendar.month': 'Month',
+        'calendar.year': 'Year',
+        'calendar.previousMonth': 'Previous month',
+        'calendar.previousMonthHint': 'Previous month (Page Up)',
+        'calendar.nextMonth': 'Next month',
+        'calendar.nextMonthHint': 'Next month (Page Down)',
+        'calendar.loading': 'Loading this month…',
+        'calendar.loadFailed': 'This month could not be loaded. Days without a thumbnail can still be opened.',
+        'calendar.video': 'Video',
+        'calendar.favorite': 'In Favorites',
+
+        'loading.text': 'Loading cosmic imagery...',
+
+        'errors.malformed': 'The API returned a malformed response. Please try again later',
+        'errors.timeout': 'The API did not respond within {seconds}s',
+        'errors.network': 'Network error: could not reach the API. Check your connection and try again',
+        'errors.http400': 'The API rejected the request. Please check the selected date',
+        'errors.http403': 'API access forbidden. Please check your API key in config.js',
+        'errors.http404': 'Picture not found for the selected date',
+        'errors.http429': 'Rate limit exceeded. Get your free NASA API key at: https://api.nasa.gov/',
+        'errors.http500': 'API server error. Please try again later',
+        'errors.httpOther': 'API request failed: {status} {statusText}',
+        'errors.allowedAgain': '✅ Requests are allowed again - try once more.',
+        'errors.allowedIn': '⏳ Requests allowed again in {time}',
+        'errors.tryDemo': 'Try Demo Sample',
+
+        'quota.rateLimited': '⛔ Rate limited - requests paused',
+        'quota.left': { one: '{remaining} request left', other: '{remaining} requests left' },
+        'quota.leftOfLimit': '{remaining} / {limit} requests left',
+        'quota.runningLow': 'running low',
+
+        'offline.indicator': { one: '📴 Offline - {count} saved date available', other: '📴 Offline - {count} saved dates available' },
+        'offline.notAvailable': 'Not available offline',
+        'offline.pictureMissing': 'The picture for {date} isn\'t saved on this device, so it can\'t be shown offline. Dates that work offline are listed in the date picker.',
+        'offline.randomUnavailable': 'Surprise Me needs a connection until some pictures are saved on this device',
+        'offline.galleryEmpty': 'None of the pictures in this range are saved on this device, so they can\'t be shown offline.',
+
+        'random.none': 'No random pictures are available right now',
+
+        'gallery.title': 'Gallery: {start} → {end}',
+        'gallery.loading': 'Loading {loaded} / {total}...',
+        'gallery.count': { one: '{count} picture', other: '{count} pictures' },
+        'gallery.invalidRange': 'The gallery start date must be on or before the end date',
+        'gallery.tooLong': 'Gallery ranges are limited to {days} days',
+
+        'route.dateRange': 'APOD dates run from {first} to today.',
+        'route.unknownView': 'This link asks for a view that doesn\'t exist.',
+        'route.galleryNeedsDates': 'Gallery links need both a start and an end date.',
+        'route.invalidDate': 'A date in this link is not valid. {range}',
+        'route.galleryReversed': 'The gallery start date in this link is after its end date.',
+        'date.notPublished': 'The picture for {date} isn\'t published yet. APOD posts a new one each day after midnight US Eastern time, so this is the latest one.',
+        'embed.invalidDate': 'The date set on this viewer is not valid. {range}',
+
+        'media.untitled': 'Untitled',
+        'media.pictureAlt': 'Astronomy picture',
+        'media.videoTitle': 'Astronomy video',
+        'media.interactiveTitle': 'Interactive astronomy page',
+        'media.viewHighRes': 'Click to view high resolution image',
+        'media.cannotShow': 'This entry can\'t be shown here.',
+        'media.pictureFailed': 'This picture couldn\'t be loaded.',
+        'media.videoOffline': 'This video needs an internet connection.',
+        'media.videoUnsupported': 'This video can\'t be played in your browser.',
+        'media.interactiveOffline': 'This interactive page needs an internet connection.',
+        'media.openInteractive': 'Open interactive page ↗',
+        'media.openOriginal': 'Open on the original site ↗',
+
+        'info.description': 'Description',
+        'info.noDescription': 'No description available.',
+        'info.credit': 'Credit',
+        'info.servedBy': 'Served by {provider}',
+        'info.favorite': 'Favorite',
+
+        'share.button': 'Share',
+        'share.copyLink': 'Copy link',
+        'share.native': 'Share…',
+        'share.card': 'Download share card',
+        'share.citeAs': 'Cite as',
+        'share.plain': 'Plain attribution',
+        'share.citation': 'Citation',
+        'share.copyCitation': 'Copy citation',
+        'share.linkCopied': 'Link copied to the clipboard',
+        'share.copyLinkManually': 'Copy this link: {url}',
+        'share.citationCopied': 'Citation copied to the clipboard',
+        'share.copyFailed': 'Could not copy - the citation is selected so you can copy it yourself',
+        'share.shareFailed': 'Could not open the share sheet',
+        'share.cardRendering': 'Rendering share card…',
+        'share.cardReady': 'Share card downloaded',
+        'share.cardWithoutPicture': 'Share card downloaded without the picture - its host does not allow reuse in other pages',
+        'share.cardFailed': 'Could not create the share card',
+        'share.cardCredit': 'Credit: {credit} · {source}',
+
+        'viewer.label': 'High resolution viewer',
+        'viewer.download': 'HD download',
+        'viewer.progress': 'HD {percent}%',
+        'viewer.loading': 'Loading HD…',
+        'viewer.zoomIn': 'Zoom in',
+        'viewer.zoomInHint': 'Zoom in (+)',
+        'viewer.zoomOut': 'Zoom out',
+        'viewer.zoomOutHint': 'Zoom out (-)',
+        'viewer.fit': 'Fit',
+        'viewer.actualSize': '100%',
+        'viewer.fitHint': 'Fit (0) / actual size (1)',
+        'viewer.fullscreen': 'Full screen',
+        'viewer.fullscreenHint': 'Full screen (F)',
+        'viewer.original': 'Open original file',
+        'viewer.close': 'Close viewer',
+        'viewer.closeHint': 'Close (Esc)',
+        'viewer.hint': 'Scroll or pinch to zoom · drag to pan · double-click to switch between fit and 100%',
+
+        'collections.title': 'Collections',
+        'collections.close': 'Close collections',
+        'collections.favorites': 'Favorites',
+        'collections.addTo': 'Add to collection',
+        'collections.addToPrompt': 'Add to collection…',
+        'collections.newName': 'New collection name',
+        'collections.create': 'Create',
+        'collections.export': 'Export',
+        'collections.import': 'Import',
+        'collections.delete': 'Delete {name}',
+        'collections.remove': 'Remove from {name}',
+        'collections.empty': 'No pictures yet',
+        'collections.nameRequired': 'Collection name cannot be empty',
+        'collections.favoritesUndeletable': 'The Favorites collection cannot be deleted',
+        'collections.unknown': 'Unknown collection: {id}',
+        'collections.notAnExport': 'This file is not an astronomy collections export',
+        'collections.unsupportedVersion': 'This collections file comes from a newer or unknown version of the app.',
+        'collections.missingList': 'Collections file is missing its collections list',
+        'collections.importFailed': 'Could not import collections: {message}',
+
+        'export.title': 'Export',
+        'export.close': 'Close export',
+        'export.hint': 'Save pictures for offline use: the entries as JSON, CSV or a Markdown document, optionally zipped with their images.',
+        'export.source': 'What to export',
+        'export.sourceRange': 'A date range',
+        'export.sourceCollection': 'A collection',
+        'export.sourceCached': 'Everything cached on this device',
+        'export.from': 'Export from',
+        'export.until': 'Export until',
+        'export.collection': 'Collection',
+        'export.format': 'Format',
+        'export.includeImages': 'Bundle the images into a zip file',
+        'export.hdImages': 'Use high-resolution images where available',
+        'export.start': 'Export',
+        'export.cancel': 'Cancel',
+        'export.noCollection': 'Choose a collection to export',
+        'export.invalidRange': 'Choose a start and end date between 1995-06-16 and today, with the start first',
+        'export.rangeTooLong': 'Export at most {days} days at a time',
+        'export.collecting': 'Collecting entries…',
+        'export.fetching': 'Loading entries… {done} / {total} days',
+        'export.downloading': 'Downloading images… {done} / {total}',
+        'export.empty': 'There is nothing to export yet',
+        'export.unavailable': 'None of these days could be loaded right now. Please try again later',
+        'export.done': { one: 'Exported {count} entry', other: 'Exported {count} entries' },
+        'export.doneMissing': { one: 'Exported {count} entry; {missing} image(s) could not be downloaded and keep their web links', other: 'Exported {count} entries; {missing} image(s) could not be downloaded and keep their web links' },
+        'export.cancelled': 'Export cancelled',
+        'export.skipped': { one: '{count} day could not be loaded right now and was left out', other: '{count} days could not be loaded right now and were left out' },
+        'export.failed': 'Export failed: {message}',
+        'export.documentTitle': 'Astronomy Picture of the Day: {source}',
+        'export.documentSummary': { one: '{count} entry, exported {date}', other: '{count} entries, exported {date}' },
+        'export.apodPage': 'APOD page',
+        'export.fullResolution': 'Full resolution',
+        'export.openOriginal': 'Open the original',
+
+        'search.title': 'Search',
+        'search.close': 'Close search',
+        'search.placeholder': 'Horsehead, Saturn rings…',
+        'search.inputLabel': 'Search pictures',
+        'search.status': { one: '{count} entry searchable on this device', other: '{count} entries searchable on this device' },
+        'search.noMatches': 'No entries on this device match "{query}"',
+        'search.archive': 'Index the archive for offline search',
+        'search.indexFrom': 'Index from',
+        'search.indexUntil': 'Index until',
+        'search.indexRange': 'Index Range',
+        'search.cancel': 'Cancel',
+        'search.indexing': 'Indexing… {done} / {total} days',
+        'search.invalidRange': 'The start date must be on or before the end date',
+        'search.quotaPause': 'Paused to save API quota - run it again later to continue',
+        'search.noProvider': 'Stopped: no real provider is answering right now',
+        'search.indexed': 'Indexed {start} → {end}',
+        'search.indexCancelled': 'Indexing cancelled',
+        'search.indexStopped': 'Indexing stopped: {message}',
+
+        'settings.title': 'Settings',
+        'settings.close': 'Close settings',
+        'settings.intro': 'Changes apply straight away and are saved in this browser. API keys are stored unencrypted, so avoid entering them on shared computers.',
+        'settings.providers': 'Providers',
+        'settings.providersHint': 'Ticked providers are tried from the top down; the first one that answers is used.',
+        'settings.add': 'Add provider',
+        'settings.resetAll': 'Reset to config.js',
+        'settings.fieldId': 'ID',
+        'settings.fieldLabel': 'Name',
+        'settings.fieldBaseUrl': 'Base URL',
+        'settings.fieldApiKey': 'API key',
+        'settings.params': 'Parameter names',
+        'settings.fieldApiKeyParam': 'API key',
+        'settings.fieldDateParam': 'Date',
+        'settings.fieldStartDateParam': 'Range start',
+        'settings.fieldEndDateParam': 'Range end',
+        'settings.fieldCountParam': 'Random count',
+        'settings.fieldThumbsParam': 'Video thumbnails',
+        'settings.mapping': 'Response mapping (JSON)',
+        'settings.mappingHint': 'Paths such as "media.images[0].src", or {"path": …, "default": …, "format": "DD/MM/YYYY"}. Functions set in config.js are kept unless you edit this.',
+        'settings.save': 'Save',
+        'settings.test': 'Test connection',
+        'settings.cancel': 'Cancel',
+        'settings.remove': 'Remove provider',
+        'settings.restore': 'Restore config.js values',
+        'settings.useProvider': 'Use {name}',
+        'settings.moveUp': 'Move {name} up',
+        'settings.moveDown': 'Move {name} down',
+        'settings.edit': 'Edit {name}',
+        'settings.customized': 'Changed in this browser',
+        'settings.newProvider': 'New provider',
+        'settings.saved': 'Saved - {name} is updated everywhere',
+        'settings.removed': '{name} removed',
+        'settings.restored': '{name} is back to its config.js values',
+        'settings.resetDone': 'Settings reset to config.js',
+        'settings.testing': 'Asking {name} for {date}…',
+        'settings.testPassed': '✅ {name} answered in {ms} ms: "{title}" ({date})',
+        'settings.testFailed': '❌ {message}',
+        'settings.needsProvider': 'At least one provider must stay in use',
+        'settings.invalidId': 'IDs may only contain lowercase letters, digits, "-" and "_"',
+        'settings.duplicateId': 'There is already a provider called "{id}"',
+        'settings.baseUrlRequired': 'A base URL is required',
+        'settings.invalidMapping': 'The response mapping is not valid JSON: {message}',
+        'settings.mappingNotObject': 'The response mapping must be a JSON object',
+
+        'plugins.closePanel': 'Close {title}'
+    }
+};
@@ -0,0 +1,254 @@
+// Spanish catalog - keys missing here fall back to the English catalog
+(globalThis.APOD_LOCALES = globalThis.APOD_LOCALES || {}).es = {
+    messages: {
+        'app.title': 'Imagen Astronómica del Día',
+        'app.subtitle': 'Descubre el cosmos a través de imágenes astronómicas diarias',
+        'app.language': 'Idioma',
+        'app.footer': 'Con la tecnología de la API Astronomy Picture of the Day de la NASA',
+
+        'init.failed': 'No se pudo iniciar la aplicación',
+        'init.reload': 'Recargar',
+
+        'controls.selectDate': 'Elegir fecha',
+        'controls.previousDay': 'Día anterior',
+        'controls.previousDayHint': 'Día anterior (←)',
+        'controls.nextDay': 'Día siguiente',
+        'controls.nextDayHint': 'Día siguiente (→)',
+        'controls.getPicture': 'Ver imagen',
+        'controls.today': 'Hoy',
+        'controls.surpriseMe': 'Sorpréndeme',
+        'controls.galleryRange': 'Rango de la galería',
+        'controls.galleryEnd': 'Fecha final de la galería',
+        'controls.loadGallery': 'Cargar galería',
+        'controls.outOfRange': 'No hay APOD para el {date}. El archivo va del {first} hasta hoy.',
+        'calendar.open': 'Calendario del mes',
+        'calendar.month': 'Mes',
+        'calendar.year': 'Año',
+        'calendar.previousMonth': 'Mes anterior',
+        'calendar.previousMonthHint': 'Mes anterior (Re Pág)',
+        'calendar.nextMonth': 'Mes siguiente',
+        'calendar.nextMonthHint': 'Mes siguiente (Av Pág)',
+        'calendar.loading': 'Cargando este mes…',
+        'calendar.loadFailed': 'No se pudo cargar este mes. Los días sin miniatura se pueden abrir igualmente.',
+        'calendar.video': 'Vídeo',
+        'calendar.favorite': 'En Favoritos',
+
+        'loading.text': 'Cargando imágenes del cosmos...',
+
+        'errors.malformed': 'La API devolvió una respuesta no válida. Inténtalo de nuevo más tarde',
+        'errors.timeout': 'La API no respondió en {seconds} s',
+        'errors.network': 'Error de red: no se pudo contactar con la API. Comprueba tu conexión e inténtalo de nuevo',
+        'errors.http400': 'La API rechazó la solicitud. Comprueba la fecha elegida',
+        'errors.http403': 'Acceso a la API denegado. Comprueba tu clave de API en config.js',
+        'errors.http404': 'No hay imagen para la fecha elegida',
+        'errors.http429': 'Límite de solicitudes superado. Consigue tu clave gratuita de la NASA en: https://api.nasa.gov/',
+        'errors.http500': 'Error del servidor de la API. Inténtalo de nuevo más tarde',
+        'errors.httpOther': 'La solicitud a la API falló: {status} {statusText}',
+        'errors.allowedAgain': '✅ Ya se pueden hacer solicitudes: inténtalo otra vez.',
+        'errors.allowedIn': '⏳ Se podrán hacer solicitudes dentro de {time}',
+        'errors.tryDemo': 'Ver imagen de ejemplo',
+
+        'quota.rateLimited': '⛔ Límite alcanzado: solicitudes en pausa',
+        'quota.left': { one: 'Queda {remaining} solicitud', other: 'Quedan {remaining} solicitudes' },
+        'quota.leftOfLimit': 'Quedan {remaining} / {limit} solicitudes',
+        'quota.runningLow': 'quedan pocas',
+
+        'offline.indicator': { one: '📴 Sin conexión: {count} fecha guardada disponible', other: '📴 Sin conexión: {count} fechas guardadas disponibles' },
+        'offline.notAvailable': 'No disponible sin conexión',
+        'offline.pictureMissing': 'La imagen del {date} no está guardada en este dispositivo, así que no se puede mostrar sin conexión. Las fechas disponibles sin conexión aparecen en el selector de fecha.',
+        'offline.randomUnavailable': 'Sorpréndeme necesita conexión hasta que haya imágenes guardadas en este dispositivo',
+        'offline.galleryEmpty': 'Ninguna imagen de este rango está guardada en este dispositivo, así que no se pueden mostrar sin conexión.',
+
+        'random.none': 'No hay imágenes aleatorias disponibles en este momento',
+
+        'gallery.title': 'Galería: {start} → {end}',
+        'gallery.loading': 'Cargando {loaded} / {total}...',
+        'gallery.count': { one: '{count} imagen', other: '{count} imágenes' },
+        'gallery.invalidRange': 'La fecha inicial de la galería debe ser igual o anterior a la final',
+        'gallery.tooLong': 'Las galerías pueden abarcar como máximo {days} días',
+
+        'route.dateRange': 'Las fechas de APOD van del {first} hasta hoy.',
+        'route.unknownView': 'Este enlace pide una vista que no existe.',
+        'route.galleryNeedsDates': 'Los enlaces de galería necesitan una fecha inicial y una final.',
+        'route.invalidDate': 'Una fecha de este enlace no es válida. {range}',
+        'route.galleryReversed': 'La fecha inicial de la galería en este enlace es posterior a la final.',
+        'date.notPublished': 'La imagen del {date} todavía no se ha publicado. APOD publica una nueva cada día después de la medianoche de la hora del este de EE. UU., así que esta es la más reciente.',
+        'embed.invalidDate': 'La fecha indicada en este visor no es válida. {range}',
+
+        'media.untitled': 'Sin título',
+        'media.pictureAlt': 'Imagen astronómica',
+        'media.videoTitle': 'Vídeo astronómico',
+        'media.interactiveTitle': 'Página astronómica interactiva',
+        'media.viewHighRes': 'Haz clic para ver la imagen en alta resolución',
+        'media.cannotShow': 'Esta entrada no se puede mostrar aquí.',
+        'media.pictureFailed': 'No se pudo cargar esta imagen.',
+        'media.videoOffline': 'Este vídeo necesita conexión a internet.',
+        'media.videoUnsupported': 'Tu navegador no puede reproducir este vídeo.',
+        'media.interactiveOffline': 'Esta página interactiva necesita conexión a internet.',
+        'media.openInteractive': 'Abrir página interactiva ↗',
+        'media.openOriginal': 'Abrir en el sitio original ↗',
+
+        'info.description': 'Descripción',
+        'info.noDescription': 'No hay descripción disponible.',
+        'info.credit': 'Créditos',
+        'info.servedBy': 'Servido por {provider}',
+        'info.favorite': 'Favorito',
+
+        'share.button': 'Compartir',
+        'share.copyLink': 'Copiar enlace',
+        'share.native': 'Compartir…',
+        'share.card': 'Descargar tarjeta para compartir',
+        'share.citeAs': 'Citar como',
+        'share.plain': 'Atribución simple',
+        'share.citation': 'Cita',
+        'share.copyCitation': 'Copiar cita',
+        'share.linkCopied': 'Enlace copiado al portapapeles',
+        'share.copyLinkManually': 'Copia este enlace: {url}',
+        'share.citationCopied': 'Cita copiada al portapapeles',
+        'share.copyFailed': 'No se pudo copiar: la cita está seleccionada para que la copies tú',
+        'share.shareFailed': 'No se pudo abrir el menú para compartir',
+        'share.cardRendering': 'Creando la tarjeta…',
+        'share.cardReady': 'Tarjeta descargada',
+        'share.cardWithoutPicture': 'Tarjeta descargada sin la imagen: su servidor no permite reutilizarla en otras páginas',
+        'share.cardFailed': 'No se pudo crear la tarjeta',
+        'share.cardCredit': 'Crédito: {credit} · {source}',
+
+        'viewer.label': 'Visor de alta resolución',
+        'viewer.download': 'Descarga HD',
+        'viewer.progress': 'HD {percent} %',
+        'viewer.loading': 'Cargando HD…',
+        'viewer.zoomIn': 'Acercar',
+        'viewer.zoomInHint': 'Acercar (+)',
+        'viewer.zoomOut': 'Alejar',
+        'viewer.zoomOutHint': 'Alejar (-)',
+        'viewer.fit': 'Ajustar',
+        'viewer.actualSize': '100 %',
+        'viewer.fitHint': 'Ajustar (0) / tamaño real (1)',
+        'viewer.fullscreen': 'Pantalla completa',
+        'viewer.fullscreenHint': 'Pantalla completa (F)',
+        'viewer.original': 'Abrir archivo original',
+        'viewer.close': 'Cerrar visor',
+        'viewer.closeHint': 'Cerrar (Esc)',
+        'viewer.hint': 'Desplaza o pellizca para hacer zoom · arrastra para moverte · doble clic para alternar entre ajustar y 100 %',
+
+        'collections.title': 'Colecciones',
+        'collections.close': 'Cerrar colecciones',
+        'collections.favorites': 'Favoritos',
+        'collections.addTo': 'Añadir a una colección',
+        'collections.addToPrompt': 'Añadir a una colección…',
+        'collections.newName': 'Nombre de la nueva colección',
+        'collections.create': 'Crear',
+        'collections.export': 'Exportar',
+        'collections.import': 'Importar',
+        'collections.delete': 'Eliminar {name}',
+        'collections.remove': 'Quitar de {name}',
+        'collections.empty': 'Todavía no hay imágenes',
+        'collections.nameRequired': 'El nombre de la colección no puede estar vacío',
+        'collections.favoritesUndeletable': 'La colección Favoritos no se puede eliminar',
+        'collections.unknown': 'Colección desconocida: {id}',
+        'collections.notAnExport': 'Este archivo no es una exportación de colecciones astronómicas',
+        'collections.unsupportedVersion': 'Este archivo de colecciones viene de una versión más nueva o desconocida de la app.',
+        'collections.missingList': 'Al archivo de colecciones le falta la lista de colecciones',
+        'collections.importFailed': 'No se pudieron importar las colecciones: {message}',
+
+        'export.title': 'Exportar',
+        'export.close': 'Cerrar exportación',
+        'export.hint': 'Guarda imágenes para usarlas sin conexión: las entradas en JSON, CSV o un documento Markdown, opcionalmente en un zip con sus imágenes.',
+        'export.source': 'Qué exportar',
+        'export.sourceRange': 'Un rango de fechas',
+        'export.sourceCollection': 'Una colección',
+        'export.sourceCached': 'Todo lo guardado en este dispositivo',
+        'export.from': 'Exportar desde',
+        'export.until': 'Exportar hasta',
+        'export.collection': 'Colección',
+        'export.format': 'Formato',
+        'export.includeImages': 'Incluir las imágenes en un archivo zip',
+        'export.hdImages': 'Usar imágenes de alta resolución cuando existan',
+        'export.start': 'Exportar',
+        'export.cancel': 'Cancelar',
+        'export.noCollection': 'Elige una colección para exportar',
+        'export.invalidRange': 'Elige una fecha de inicio y de fin entre el 1995-06-16 y hoy, con el inicio primero',
+        'export.rangeTooLong': 'Exporta como máximo {days} días cada vez',
+        'export.collecting': 'Reuniendo entradas…',
+        'export.fetching': 'Cargando entradas… {done} / {total} días',
+        'export.downloading': 'Descargando imágenes… {done} / {total}',
+        'export.empty': 'Todavía no hay nada que exportar',
+        'export.unavailable': 'Ninguno de estos días se pudo cargar ahora. Inténtalo de nuevo más tarde',
+        'export.done': { one: '{count} entrada exportada', other: '{count} entradas exportadas' },
+        'export.doneMissing': { one: '{count} entrada exportada; {missing} imagen(es) no se pudieron descargar y conservan su enlace web', other: '{count} entradas exportadas; {missing} imagen(es) no se pudieron descargar y conservan su enlace web' },
+        'export.cancelled': 'Exportación cancelada',
+        'export.skipped': { one: '{count} día no se pudo cargar ahora y se ha omitido', other: '{count} días no se pudieron cargar ahora y se han omitido' },
+        'export.failed': 'La exportación falló: {message}',
+        'export.documentTitle': 'Imagen astronómica del día: {source}',
+        'export.documentSummary': { one: '{count} entrada, exportada el {date}', other: '{count} entradas, exportadas el {date}' },
+        'export.apodPage': 'Página de APOD',
+        'export.fullResolution': 'Resolución completa',
+        'export.openOriginal': 'Abrir el original',
+
+        'search.title': 'Buscar',
+        'search.close': 'Cerrar búsqueda',
+        'search.placeholder': 'Cabeza de Caballo, anillos de Saturno…',
+        'search.inputLabel': 'Buscar imágenes',
+        'search.status': { one: '{count} entrada disponible para buscar en este dispositivo', other: '{count} entradas disponibles para buscar en este dispositivo' },
+        'search.noMatches': 'Ninguna entrada de este dispositivo coincide con «{query}»',
+        'search.archive': 'Indexar el archivo para buscar sin conexión',
+        'search.indexFrom': 'Indexar desde',
+        'search.indexUntil': 'Indexar hasta',
+        'search.indexRange': 'Indexar rango',
+        'search.cancel': 'Cancelar',
+        'search.indexing': 'Indexando… {done} / {total} días',
+        'search.invalidRange': 'La fecha inicial debe ser igual o anterior a la final',
+        'search.quotaPause': 'En pausa para ahorrar cuota de la API: vuelve a ejecutarlo más tarde para continuar',
+        'search.noProvider': 'Detenido: ningún proveedor real responde en este momento',
+        'search.indexed': 'Indexado {start} → {end}',
+        'search.indexCancelled': 'Indexación cancelada',
+        'search.indexStopped': 'Indexación detenida: {message}',
+
+        'settings.title': 'Ajustes',
+        'settings.close': 'Cerrar ajustes',
+        'settings.intro': 'Los cambios se aplican al momento y se guardan en este navegador. Las claves de API se guardan sin cifrar, así que evita introducirlas en ordenadores compartidos.',
+        'settings.providers': 'Proveedores',
+        'settings.providersHint': 'Los proveedores marcados se prueban de arriba abajo; se usa el primero que responde.',
+        'settings.add': 'Añadir proveedor',
+        'settings.resetAll': 'Restablecer config.js',
+        'settings.fieldId': 'ID',
+        'settings.fieldLabel': 'Nombre',
+        'settings.fieldBaseUrl': 'URL base',
+        'settings.fieldApiKey': 'Clave de API',
+        'settings.params': 'Nombres de parámetros',
+        'settings.fieldApiKeyParam': 'Clave de API',
+        'settings.fieldDateParam': 'Fecha',
+        'settings.fieldStartDateParam': 'Inicio del rango',
+        'settings.fieldEndDateParam': 'Fin del rango',
+        'settings.fieldCountParam': 'Cantidad aleatoria',
+        'settings.fieldThumbsParam': 'Miniaturas de vídeo',
+        'settings.mapping': 'Mapeo de la respuesta (JSON)',
+        'settings.mappingHint': 'Rutas como "media.images[0].src", o {"path": …, "default": …, "format": "DD/MM/YYYY"}. Las funciones definidas en config.js se conservan salvo que edites esto.',
+        'settings.save': 'Guardar',
+        'settings.test': 'Probar conexión',
+        'settings.cancel': 'Cancelar',
+        'settings.remove': 'Eliminar proveedor',
+        'settings.restore': 'Restaurar valores de config.js',
+        'settings.useProvider': 'Usar {name}',
+        'settings.moveUp': 'Subir {name}',
+        'settings.moveDown': 'Bajar {name}',
+        'settings.edit': 'Editar {name}',
+        'settings.customized': 'Modificado en este navegador',
+        'settings.newProvider': 'Nuevo proveedor',
+        'settings.saved': 'Guardado: {name} se ha actualizado en toda la aplicación',
+        'settings.removed': '{name} eliminado',
+        'settings.restored': '{name} vuelve a tener los valores de config.js',
+        'settings.resetDone': 'Ajustes restablecidos a config.js',
+        'settings.testing': 'Pidiendo a {name} la imagen del {date}…',
+        'settings.testPassed': '✅ {name} respondió en {ms} ms: «{title}» ({date})',
+        'settings.testFailed': '❌ {message}',
+        'settings.needsProvider': 'Debe quedar al menos un proveedor en uso',
+        'settings.invalidId': 'El ID solo puede contener minúsculas, números, «-» y «_»',
+        'settings.duplicateId': 'Ya existe un proveedor llamado «{id}»',
+        'settings.baseUrlRequired': 'La URL base es obligatoria',
+        'settings.invalidMapping': 'El mapeo de la respuesta no es JSON válido: {message}',
+        'settings.mappingNotObject': 'El mapeo de la respuesta debe ser un objeto JSON',
+
+        'plugins.closePanel': 'Cerrar {title}'
+    }
+};
@@ -0,0 +1,302 @@
+// Mock APOD Provider - fixture-backed stand-in for offline development
+// Select it with ACTIVE_API = 'mock' in config.js. Error paths, latency and broken
+// payloads can be triggered on demand from the console:
+//   MockApodProvider.shared.simulate({ status: 429, retryAfter: 30 })
+//   MockApodProvider.shared.simulate({ latency: 2000, times: 3 })
+//   MockApodProvider.shared.simulate({ malformed: 'json' })   // or 'fields'
+//   MockApodProvider.shared.simulate({ unpublished: true })   // today's entry isn't posted yet
+
+// Offline-friendly placeholder artwork so fixture images render without a network
+function createMockImage(label, hue) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="960" height="640" viewBox="0 0 960 640">` +
+        `<defs><radialGradient id="g" cx="50%" cy="55%" r="70%">` +
+        `<stop offset="0%" stop-color="hsl(${hue},70%,45%)"/><stop offset="100%" stop-color="#0f0f23"/>` +
+        `</radialGradient></defs><rect width="960" height="640" fill="url(#g)"/>` +
+        `<text x="480" y="330" font-family="sans-serif" font-size="40" fill="white" text-anchor="middle">${label}</text>` +
+        `</svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Fixture templates - cycled across dates so ranges and counts are always complete
+const MOCK_APOD_FIXTURES = [
+    {
+        title: 'Fixture: Dark Horse Nebula',
+        explanation: 'A mock image entry with a high-resolution version and a credit line. Use it to check the standard image layout, the HD viewer and the credit section.',
+        url: createMockImage('Dark Horse Nebula', 260),
+        hdurl: createMockImage('Dark Horse Nebula (HD)', 260),
+        media_type: 'image',
+        copyright: 'Mock Observatory Team'
+    },
+    {
+        title: 'Fixture: Ringed Planet at Opposition',
+        explanation: 'A mock image entry without a copyright field, as published for public-domain NASA images. The credit section should stay hidden.',
+        url: createMockImage('Ringed Planet', 40),
+        hdurl: createMockImage('Ringed Planet (HD)', 40),
+        media_type: 'image'
+    },
+    {
+        title: 'Fixture: Eclipse Timelapse (YouTube)',
+        explanation: 'A mock video entry that embeds a YouTube player, the most common APOD video format.',
+        url: 'https://www.youtube.com/embed/dQw4w9WgXcQ?rel=0',
+        thumbnail_url: createMockImage('Eclipse Timelapse', 200),
+        media_type: 'video',
+        copyright: 'Mock Eclipse Chasers'
+    },
+    {
+        title: 'Fixture: Aurora over the Fjord (Vimeo)',
+        explanation: 'A mock video entry hosted on Vimeo.',
+        url: 'https://player.vimeo.com/video/76979871',
+        thumbnail_url: createMockImage('Aurora', 140),
+        media_type: 'video'
+    },
+    {
+        title: 'Fixture: Spiral Galaxy Mosaic',
+        explanation: 'A mock image entry whose standard and HD URLs are identical, so no HD click-through should be offered.',
+        url: createMockImage('Spiral Galaxy', 300),
+        hdurl: createMockImage('Spiral Galaxy', 300),
+        media_type: 'image',
+        copyright: 'Mock Deep Sky Survey'
+    },
+    {
+        title: 'Fixture: Comet Flyby (MP4)',
+        explanation: 'A mock video entry that links straight to an MP4 file rather than a video site, played with a native video element.',
+        url: 'https://apod.nasa.gov/apod/image/mock/comet_flyby.mp4',
+        thumbnail_url: createMockImage('Comet Flyby', 180),
+        media_type: 'video'
+    },
+    {
+        title: 'Fixture: Solar Prominence (watch URL)',
+        explanation: 'A mock video entry using a watch-style YouTube link, which has to be turned into an embed URL before it can be framed.',
+        url: 'https://youtu.be/dQw4w9WgXcQ?t=42',
+        thumbnail_url: createMockImage('Solar Prominence', 20),
+        media_type: 'video',
+        copyright: 'Mock Solar Observatory'
+    },
+    {
+        title: 'Fixture: Interactive Sky Map',
+        explanation: 'A mock entry with media_type "other", used by APOD for interactive pages and unusual formats.',
+        url: 'https://apod.nasa.gov/apod/astropix.html',
+        media_type: 'other'
+    }
+];
+
+class MockApodProvider {
+    constructor(fixtures = MOCK_APOD_FIXTURES, options = {}) {
+        this.fixtures = fixtures;
+        this.options = {
+            apiKey: 'MOCK_KEY',
+            dateParam: 'date',
+            startDateParam: 'start_date',
+            endDateParam: 'end_date',
+            countParam: 'count',
+            apiKeyParam: 'api_key',
+            thumbsParam: 'thumbs',
+            firstDate: '1995-06-16',
+            rateLimit: 1000,
+            ...options
+        };
+        this.scenarios = [];
+        this.requestsServed = 0;
+    }
+
+    static get shared() {
+        if (!MockApodProvider.sharedInstance) {
+            MockApodProvider.sharedInstance = new MockApodProvider();
+        }
+        return MockApodProvider.sharedInstance;
+    }
+
+    // Queue a scenario for the next `times` requests (default 1; use Infinity to keep it on)
+    simulate(scenario) {
+        this.scenarios.push({ times: 1, ...scenario });
+        return this;
+    }
+
+    reset() {
+        this.scenarios = [];
+        this.requestsServed = 0;
+        return this;
+    }
+
+    takeScenario() {
+        const scenario = this.scenarios[0];
+        if (!scenario) return {};
+
+        scenario.times--;
+        if (scenario.times <= 0) this.scenarios.shift();
+        return scenario;
+    }
+
+    // fetch()-compatible entry point used by AstronomyAPIService's mock transport
+    // Honours options.signal like fetch() does, so simulated latency can be cancelled
+    async fetch(url, options = {}) {
+        const { signal } = options;
+        const aborted = () => new DOMException('The operation was aborted.', 'AbortError');
+        // An already-aborted request never reaches the server, so it uses up no scenario
+        if (signal && signal.aborted) throw aborted();
+
+        const { status, body, headers, latency } = this.handle(new URL(url, 'http://mock.local').searchParams);
+        if (latency) {
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(aborted());
+                };
+                const timer = setTimeout(() => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve();
+                }, latency);
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+        if (signal && signal.aborted) throw aborted();
+        return new Response(body, { status, headers });
+    }
+
+    // Pure request handler shared by the in-page shim and the /mock/apod server route
+    handle(searchParams) {
+        const scenario = this.takeScenario();
+        this.requestsServed++;
+
+        const remaining = Math.max(0, this.options.rateLimit - this.requestsServed);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-RateLimit-Limit': String(this.options.rateLimit),
+            'X-RateLimit-Remaining': String(scenario.remaining ?? remaining)
+        };
+        const respond = (status, payload) => ({
+            status,
+            headers,
+            latency: scenario.latency || 0,
+            body: typeof payload === 'string' ? payload : JSON.stringify(payload)
+        });
+
+        if (scenario.status) {
+            if (scenario.retryAfter !== undefined) headers['Retry-After'] = String(scenario.retryAfter);
+            if (scenario.status === 429) headers['X-RateLimit-Remaining'] = '0';
+            return respond(scenario.status, {
+                error: { code: `MOCK_${scenario.status}`, message: `Simulated ${scenario.status} response` }
+            });
+        }
+
+        const key = searchParams.get(this.options.apiKeyParam);
+        if (key !== this.options.apiKey) {
+            return respond(403, { error: { code: 'API_KEY_INVALID', message: 'An invalid api_key was supplied' } });
+        }
+
+        let result;
+        try {
+            result = this.resolveQuery(searchParams, scenario);
+        } catch (error) {
+            return respond(error.status || 400, { code: error.status || 400, msg: error.message });
+        }
+
+        // Like the real API, thumbnails are only included on request
+        if (searchParams.get(this.options.thumbsParam) !== 'true') {
+            const withoutThumbnail = ({ thumbnail_url, ...rest }) => rest;
+            result = Array.isArray(result) ? result.map(withoutThumbnail) : withoutThumbnail(result);
+        }
+
+        if (scenario.malformed === 'json') {
+            return respond(200, JSON.stringify(result).slice(0, 40));
+        }
+        if (scenario.malformed === 'fields') {
+            const strip = ({ title, url, ...rest }) => rest;
+            return respond(200, Array.isArray(result) ? result.map(strip) : strip(result));
+        }
+        return respond(200, result);
+    }
+
+    resolveQuery(searchParams, scenario = {}) {
+        const { dateParam, startDateParam, endDateParam, countParam } = this.options;
+        const today = MockApodProvider.today();
+        // Like the real API in the hours before the day's entry is posted
+        const latest = scenario.unpublished ? MockApodProvider.addDays(today, -1) : today;
+
+        if (searchParams.has(countParam)) {
+            const count = parseInt(searchParams.get(countParam), 10);
+            if (!(count > 0 && count <= 100)) throw MockApodProvider.badRequest('Count must be positive and cannot exceed 100');
+
+            const span = MockApodProvider.daysBetween(this.options.firstDate, latest);
+            return Array.from({ length: count }, () => this.entryFor(
+                MockApodProvider.addDays(this.options.firstDate, Math.floor(Math.random() * (span + 1)))
+            ));
+        }
+
+        if (searchParams.has(startDateParam)) {
+            const startDate = searchParams.get(startDateParam);
+            const endDate = searchParams.get(endDateParam) || today;
+            this.assertDate(startDate, today);
+            this.assertDate(endDate, today);
+            if (startDate > endDate) throw MockApodProvider.badRequest('start_date cannot be after end_date');
+
+            const entries = [];
+            for (let date = startDate; date <= endDate && date <= latest; date = MockApodProvider.addDays(date, 1)) {
+                entries.push(this.entryFor(date));
+            }
+            return entries;
+        }
+
+        const date = searchParams.get(dateParam) || latest;
+        this.assertDate(date, today);
+        if (date > latest) throw MockApodProvider.notFound(`No data available for date: ${date}`);
+        return this.entryFor(date);
+    }
+
+    assertDate(date, today) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`))) {
+            throw MockApodProvider.badRequest(`time data '${date}' does not match format '%Y-%m-%d'`);
+        }
+        if (date < this.options.firstDate || date > today) {
+            throw MockApodProvider.badRequest(`Date must be between ${this.options.firstDate} and ${today}.`);
+        }
+    }
+
+    entryFor(date) {
+        const index = MockApodProvider.daysBetween(this.options.firstDate, date) % this.fixtures.length;
+        return { date, service_version: 'v1', ...this.fixtures[index] };
+    }
+
+    static badRequest(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    static notFound(message) {
+        const error = new Error(message);
+        error.status = 404;
+        return error;
+    }
+
+    // APOD's day runs on US Eastern time (ApodDate.today() in app.js)
+    static today(now = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: 'America/New_York',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(now);
+        const part = (type) => parts.find(candidate => candidate.type === type).value;
+        return `${part('year')}-${part('month')}-${part('day')}`;
+    }
+
+    static toDateString(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    static addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return MockApodProvider.toDateString(date);
+    }
+
+    static daysBetween(startDate, endDate) {
+        return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000);
+    }
+}
+
+// Export for use in server.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MockApodProvider, MOCK_APOD_FIXTURES };
+}
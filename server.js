@@ -0,0 +1,364 @@
+// Cross-platform Development Server with APOD Proxy
+// Serves the static app and forwards /api/apod to the configured provider,
+// adding the API key on the server so it never reaches the browser.
+//
+// Usage: node server.js [--port 8080] [--provider nasa] [--key YOUR_KEY] [--trust-proxy 127.0.0.1]
+// Environment: PORT, APOD_PROVIDER, APOD_API_KEY, APOD_CACHE_DIR, APOD_RATE_LIMIT, APOD_TRUST_PROXY
+//
+// /mock/apod serves the fixtures from mock-apod.js. Add mock_status, mock_latency,
+// mock_retry_after or mock_malformed (json|fields) to a request to simulate failures.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { API_CONFIGS, ACTIVE_API } = require('./config.js');
+const { MockApodProvider } = require('./mock-apod.js');
+const { ApodDate } = require('./app.js');
+
+const ROOT_DIR = __dirname;
+const PROXY_ROUTE = '/api/apod';
+const MOCK_ROUTE = '/mock/apod';
+const TODAY_TTL = 60 * 60 * 1000;
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const UPSTREAM_TIMEOUT = 15000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Configuration - CLI flags win over environment variables, which win over config.js
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) continue;
+
+        if (match[2] !== undefined) {
+            args[match[1]] = match[2];
+        } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+            args[match[1]] = argv[++i];
+        } else {
+            args[match[1]] = true;
+        }
+    }
+    return args;
+}
+
+function isUpstreamProvider(providerConfig) {
+    return Boolean(providerConfig) && /^https?:\/\//.test(providerConfig.baseUrl);
+}
+
+function loadServerOptions(argv = process.argv.slice(2), env = process.env) {
+    const args = parseArgs(argv);
+    const provider = args.provider || env.APOD_PROVIDER ||
+        (isUpstreamProvider(API_CONFIGS[ACTIVE_API]) ? ACTIVE_API : 'nasa');
+    const providerConfig = API_CONFIGS[provider];
+
+    if (!isUpstreamProvider(providerConfig)) {
+        throw new Error(`Unknown or non-upstream provider "${provider}". Choose one of: ${
+            Object.keys(API_CONFIGS).filter(name => isUpstreamProvider(API_CONFIGS[name])).join(', ')
+        }`);
+    }
+
+    return {
+        port: Number(args.port || env.PORT || 8080),
+        provider,
+        providerConfig,
+        apiKey: args.key || env.APOD_API_KEY || providerConfig.apiKey,
+        cacheDir: path.resolve(ROOT_DIR, args['cache-dir'] || env.APOD_CACHE_DIR || '.cache/apod'),
+        rateLimit: Number(args['rate-limit'] || env.APOD_RATE_LIMIT || 60),
+        trustedProxies: String(args['trust-proxy'] || env.APOD_TRUST_PROXY || '')
+            .split(',')
+            .map(address => normalizeAddress(address))
+            .filter(Boolean)
+    };
+}
+
+// Disk Cache - past dates are stored permanently, anything touching today expires
+class DiskCache {
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(key) {
+        return path.join(this.directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    }
+
+    get(key) {
+        try {
+            const record = JSON.parse(fs.readFileSync(this.filePath(key), 'utf8'));
+            if (record.expiresAt && record.expiresAt <= Date.now()) return null;
+            return record;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set(key, body, ttl) {
+        const record = { body, storedAt: Date.now(), expiresAt: ttl ? Date.now() + ttl : null };
+        fs.writeFile(this.filePath(key), JSON.stringify(record), (error) => {
+            if (error) console.warn(`⚠️ Could not write proxy cache: ${error.message}`);
+        });
+    }
+}
+
+// Rate Limiter - fixed one-minute window per client address
+class ClientRateLimiter {
+    constructor(limit, windowMs = RATE_LIMIT_WINDOW) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.clients = new Map();
+    }
+
+    take(clientId) {
+        const now = Date.now();
+        let bucket = this.clients.get(clientId);
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + this.windowMs };
+            this.clients.set(clientId, bucket);
+        }
+
+        bucket.count++;
+        return {
+            allowed: bucket.count <= this.limit,
+            remaining: Math.max(0, this.limit - bucket.count),
+            retryAfter: Math.ceil((bucket.resetAt - now) / 1000)
+        };
+    }
+
+    prune() {
+        const now = Date.now();
+        this.clients.forEach((bucket, clientId) => {
+            if (bucket.resetAt <= now) this.clients.delete(clientId);
+        });
+    }
+}
+
+// IPv4 clients of a dual-stack socket show up as ::ffff:1.2.3.4
+function normalizeAddress(address) {
+    return String(address || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// Clients are told apart by their socket address. X-Forwarded-For is written by the client, so it
+// only counts when the request arrives from a trusted proxy; its entries are then read right to
+// left, skipping our own proxies, and the first address we don't trust is the client
+function getClientId(req, trustedProxies = []) {
+    let clientId = normalizeAddress(req.socket.remoteAddress) || 'unknown';
+    const forwarded = req.headers['x-forwarded-for'];
+    if (!forwarded || !trustedProxies.includes(clientId)) return clientId;
+
+    const hops = forwarded.split(',').map(normalizeAddress).filter(Boolean);
+    while (hops.length > 0 && trustedProxies.includes(clientId)) {
+        clientId = hops.pop();
+    }
+    return clientId;
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+// Proxy Route - forwards the browser's query to the provider with the server-side key
+function buildUpstreamUrl(options, searchParams) {
+    const { providerConfig, apiKey } = options;
+    const params = new URLSearchParams(searchParams);
+    params.delete(providerConfig.apiKeyParam);
+    if (apiKey) params.set(providerConfig.apiKeyParam, apiKey);
+    return `${providerConfig.baseUrl}?${params.toString()}`;
+}
+
+function getCachePolicy(options, searchParams) {
+    const { providerConfig } = options;
+    const today = ApodDate.today();
+
+    // Random picks must stay random, so count requests are never cached
+    if (searchParams.has(providerConfig.countParam || 'count')) return { cacheable: false };
+
+    const date = searchParams.get(providerConfig.dateParam);
+    const startDate = searchParams.get(providerConfig.startDateParam || 'start_date');
+    const endDate = searchParams.get(providerConfig.endDateParam || 'end_date');
+    const lastDate = startDate ? (endDate || today) : (date || today);
+
+    return { cacheable: true, ttl: lastDate >= today ? TODAY_TTL : null };
+}
+
+async function handleProxy(req, res, url, context) {
+    const { options, cache, limiter } = context;
+    const quota = limiter.take(getClientId(req, options.trustedProxies));
+    const limitHeaders = {
+        'X-RateLimit-Limit': String(limiter.limit),
+        'X-RateLimit-Remaining': String(quota.remaining)
+    };
+
+    if (!quota.allowed) {
+        sendJson(res, 429, { error: 'Too many requests. Please slow down.' }, {
+            ...limitHeaders,
+            'Retry-After': String(quota.retryAfter)
+        });
+        return;
+    }
+
+    const query = new URLSearchParams(url.searchParams);
+    query.delete(options.providerConfig.apiKeyParam);
+    query.sort();
+    const cacheKey = `${options.provider}?${query.toString()}`;
+    const policy = getCachePolicy(options, query);
+
+    const cached = policy.cacheable ? cache.get(cacheKey) : null;
+    if (cached) {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'], 'X-Cache': 'HIT', ...limitHeaders });
+        res.end(cached.body);
+        return;
+    }
+
+    try {
+        const upstream = await fetch(buildUpstreamUrl(options, query), {
+            signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+        });
+        const body = await upstream.text();
+
+        if (upstream.ok && policy.cacheable) {
+            cache.set(cacheKey, body, policy.ttl);
+        }
+
+        const headers = { 'Content-Type': CONTENT_TYPES['.json'], 'X-Cache': 'MISS', ...limitHeaders };
+        ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'].forEach(name => {
+            // The browser sees the tighter of the two quotas: its own or the shared upstream key's
+            const value = upstream.headers.get(name);
+            if (value !== null && (name === 'Retry-After' || Number(value) < Number(headers[name]))) {
+                headers[name] = value;
+            }
+        });
+
+        res.writeHead(upstream.status, headers);
+        res.end(body);
+    } catch (error) {
+        console.error(`❌ Upstream request failed: ${error.message}`);
+        const timedOut = error.name === 'TimeoutError';
+        sendJson(res, timedOut ? 504 : 502, {
+            error: timedOut ? 'Upstream provider timed out' : 'Upstream provider unreachable'
+        }, limitHeaders);
+    }
+}
+
+// Mock Route - fixture responses with on-demand failure simulation via query parameters
+async function handleMock(req, res, url, context) {
+    const params = new URLSearchParams(url.searchParams);
+    const scenario = {};
+    if (params.has('mock_status')) scenario.status = Number(params.get('mock_status'));
+    if (params.has('mock_latency')) scenario.latency = Number(params.get('mock_latency'));
+    if (params.has('mock_retry_after')) scenario.retryAfter = Number(params.get('mock_retry_after'));
+    if (params.has('mock_malformed')) scenario.malformed = params.get('mock_malformed');
+    ['mock_status', 'mock_latency', 'mock_retry_after', 'mock_malformed'].forEach(name => params.delete(name));
+
+    if (Object.keys(scenario).length > 0) context.mock.simulate(scenario);
+    const { status, headers, body, latency } = context.mock.handle(params);
+
+    if (latency) await new Promise(resolve => setTimeout(resolve, latency));
+    res.writeHead(status, headers);
+    res.end(body);
+}
+
+// Static Files - everything in the project folder except dotfiles and the cache
+function serveStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('400 - Bad Request');
+        return;
+    }
+    if (pathname === '/') pathname = '/index.html';
+
+    const filePath = path.normalize(path.join(ROOT_DIR, pathname));
+    const relative = path.relative(ROOT_DIR, filePath);
+    const hidden = relative.split(path.sep).some(segment => segment.startsWith('.'));
+
+    if (relative.startsWith('..') || path.isAbsolute(relative) || hidden) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('404 - File Not Found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            const notFound = error.code === 'ENOENT' || error.code === 'EISDIR';
+            res.writeHead(notFound ? 404 : 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(notFound ? '404 - File Not Found' : '500 - Internal Server Error');
+            return;
+        }
+
+        const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': content.length });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+function createServer(options) {
+    const context = {
+        options,
+        cache: new DiskCache(options.cacheDir),
+        limiter: new ClientRateLimiter(options.rateLimit),
+        mock: new MockApodProvider()
+    };
+    const pruneTimer = setInterval(() => context.limiter.prune(), RATE_LIMIT_WINDOW);
+    pruneTimer.unref();
+
+    return http.createServer((req, res) => {
+        // Only the path and query matter; the Host header is client input and never part of the URL.
+        // A scheme-relative target such as "//a b" can still fail to parse, so that gets a 400.
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (error) {
+            sendJson(res, 400, { error: 'Bad request' });
+            return;
+        }
+        console.log(`${new Date().toLocaleTimeString()} - ${req.method} ${url.pathname}`);
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+        } else if (url.pathname === PROXY_ROUTE) {
+            handleProxy(req, res, url, context);
+        } else if (url.pathname === MOCK_ROUTE) {
+            handleMock(req, res, url, context);
+        } else {
+            serveStatic(req, res, url);
+        }
+    });
+}
+
+if (require.main === module) {
+    try {
+        const options = loadServerOptions();
+        createServer(options).listen(options.port, () => {
+            console.log(`🚀 Astronomy app running at http://localhost:${options.port}`);
+            console.log(`🛰️  Proxying ${PROXY_ROUTE} to "${options.provider}" (${options.providerConfig.baseUrl})`);
+            console.log(`💾 Proxy cache: ${options.cacheDir}`);
+            console.log(`🧪 Fixture provider: ${MOCK_ROUTE}?api_key=MOCK_KEY`);
+            if (options.apiKey === 'DEMO_KEY') {
+                console.warn('⚠️ Using DEMO_KEY - set APOD_API_KEY or --key for a higher rate limit');
+            }
+            console.log('Press Ctrl+C to stop the server');
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { createServer, loadServerOptions, parseArgs, getClientId, DiskCache, ClientRateLimiter };
@@ -1,12 +1,15 @@
 @echo off
 echo Starting Astronomy Picture of the Day Web App Server...
 echo.
-echo This will start a local web server for testing your app.
+echo This will start a local web server (with the /api/apod proxy) for testing your app.
 echo Once started, open your browser and go to: http://localhost:8080
 echo.
+echo Set APOD_API_KEY before running to keep your key out of config.js, e.g.:
+echo     set APOD_API_KEY=your-key-here
+echo.
 echo Press Ctrl+C to stop the server when done.
 echo.
 pause
 
-powershell -ExecutionPolicy Bypass -File "start-server.ps1"
+node "%~dp0server.js" %*
 pause
\ No newline at end of file
@@ -0,0 +1,226 @@
+// Service Worker - keeps the app usable without a connection
+// Precaches the app shell and keeps capped, least-recently-used caches of APOD JSON and images.
+// Provider URLs and cache limits come from config.js, so there is nothing to keep in sync here.
+
+try {
+    importScripts('config.js');
+} catch (error) {
+    console.warn('⚠️ Service worker could not load config.js, using defaults:', error);
+}
+
+const SHELL_VERSION = 'v2';
+const SHELL_CACHE = `apod-shell-${SHELL_VERSION}`;
+const DATA_CACHE = 'apod-data';
+const IMAGE_CACHE = 'apod-images';
+const INDEX_CACHE = 'apod-cache-index';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'config.js',
+    'mock-apod.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    // Every configured language, so switching works offline too
+    ...(typeof I18N_CONFIG !== 'undefined'
+        ? I18N_CONFIG.locales.map(code => `${I18N_CONFIG.path}${code}.js`)
+        : ['locales/en.js'])
+];
+
+const OFFLINE_LIMITS = {
+    maxDataEntries: 200,
+    maxImageEntries: 60,
+    maxImageMegabytes: 150,
+    ...(typeof OFFLINE_CONFIG !== 'undefined' ? OFFLINE_CONFIG : {})
+};
+
+// LRU Cache - a Cache Storage bucket with an access-time index so the oldest entries go first
+class LruCache {
+    constructor(name, limits = {}) {
+        this.name = name;
+        this.maxEntries = limits.maxEntries || Infinity;
+        this.maxBytes = limits.maxBytes || Infinity;
+        this.indexPromise = null;
+        this.saving = Promise.resolve();
+    }
+
+    get indexKey() {
+        return `/__cache-index__/${this.name}`;
+    }
+
+    // Rebuilt from the cache contents if the index itself was lost
+    loadIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = (async () => {
+                const stored = await (await caches.open(INDEX_CACHE)).match(this.indexKey);
+                if (stored) return stored.json();
+
+                const requests = await (await caches.open(this.name)).keys();
+                return Object.fromEntries(requests.map(request => [request.url, { used: 0, size: 0 }]));
+            })().catch(() => ({}));
+        }
+        return this.indexPromise;
+    }
+
+    saveIndex(index) {
+        this.saving = this.saving
+            .then(async () => {
+                const indexCache = await caches.open(INDEX_CACHE);
+                await indexCache.put(this.indexKey, new Response(JSON.stringify(index), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+            })
+            .catch(error => console.warn('⚠️ Could not save cache index:', error));
+        return this.saving;
+    }
+
+    async match(request) {
+        const response = await (await caches.open(this.name)).match(request);
+        if (response) {
+            const index = await this.loadIndex();
+            index[request.url] = { size: 0, ...index[request.url], used: Date.now() };
+            await this.saveIndex(index);
+        }
+        return response;
+    }
+
+    async put(request, response) {
+        const cache = await caches.open(this.name);
+        await cache.put(request, response);
+
+        // Opaque (cross-origin) responses hide their size, so only the entry cap applies to them
+        const index = await this.loadIndex();
+        index[request.url] = {
+            used: Date.now(),
+            size: Number(response.headers.get('Content-Length')) || 0
+        };
+        await this.evict(cache, index);
+        await this.saveIndex(index);
+    }
+
+    async evict(cache, index) {
+        const entries = Object.entries(index).sort(([, a], [, b]) => a.used - b.used);
+        let bytes = entries.reduce((total, [, entry]) => total + entry.size, 0);
+        let count = entries.length;
+
+        for (const [url, entry] of entries) {
+            if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+            await cache.delete(url);
+            delete index[url];
+            count--;
+            bytes -= entry.size;
+        }
+    }
+}
+
+const dataCache = new LruCache(DATA_CACHE, { maxEntries: OFFLINE_LIMITS.maxDataEntries });
+const imageCache = new LruCache(IMAGE_CACHE, {
+    maxEntries: OFFLINE_LIMITS.maxImageEntries,
+    maxBytes: OFFLINE_LIMITS.maxImageMegabytes * 1024 * 1024
+});
+
+// APOD JSON requests - any configured http(s) or same-origin provider, plus the dev server routes
+function isApodRequest(url) {
+    const configs = typeof API_CONFIGS !== 'undefined' ? Object.values(API_CONFIGS) : [];
+    const endpoints = configs
+        .filter(config => config.baseUrl && !config.transport)
+        .map(config => {
+            try {
+                return new URL(config.baseUrl, self.location.href);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(endpoint => endpoint && /^https?:$/.test(endpoint.protocol));
+
+    if (endpoints.some(endpoint => endpoint.origin === url.origin && endpoint.pathname === url.pathname)) {
+        return true;
+    }
+    return url.origin === self.location.origin && ['/api/apod', '/mock/apod'].includes(url.pathname);
+}
+
+// Random (count) responses are different every time, so caching them only wastes space
+function isRandomRequest(url) {
+    const configs = typeof API_CONFIGS !== 'undefined' ? Object.values(API_CONFIGS) : [];
+    const countParams = new Set(['count', ...configs.map(config => config.countParam).filter(Boolean)]);
+    return [...countParams].some(param => url.searchParams.has(param));
+}
+
+async function networkFirst(request, lruCache, event) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) event.waitUntil(lruCache.put(request, response.clone()));
+        return response;
+    } catch (error) {
+        const cached = await lruCache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request, lruCache, event) {
+    const cached = await lruCache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        event.waitUntil(lruCache.put(request, response.clone()));
+    }
+    return response;
+}
+
+// App shell and fonts - answer from cache at once, refresh in the background for next time
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => null));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('apod-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isApodRequest(url)) {
+        if (isRandomRequest(url)) return;
+        event.respondWith(networkFirst(request, dataCache, event));
+    } else if (request.destination === 'image' && /^https?:$/.test(url.protocol)) {
+        event.respondWith(cacheFirst(request, imageCache, event));
+    } else if (url.origin === self.location.origin || ['font', 'style'].includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
@@ -0,0 +1,266 @@
+// AstronomyAPIService against the mock provider: fixtures, caching, and every simulated failure
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    AstronomyAPIService, ApiError, MappingError, ProviderChainService, ApodDate, I18n, config, createMockService,
+    MockApodProvider
+} = require('./helpers/app.js');
+
+describe('AstronomyAPIService', () => {
+    let service;
+
+    beforeEach(() => {
+        MockApodProvider.shared.reset();
+        service = createMockService();
+        // Failures are logged by design; keep the test output readable
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    describe('fixtures', () => {
+        it('maps a single date', async () => {
+            const entry = await service.fetchPictureData('2021-07-04');
+            const fixture = MockApodProvider.shared.entryFor('2021-07-04');
+
+            assert.equal(entry.date, '2021-07-04');
+            assert.equal(entry.title, fixture.title);
+            assert.equal(entry.media_type, fixture.media_type);
+            assert.equal(MockApodProvider.shared.requestsServed, 1);
+        });
+
+        it('returns one entry per day of a range, a chunk per request', async () => {
+            const chunks = [];
+            const entries = await service.fetchPictureRange('2021-07-01', '2021-07-17', {
+                chunkDays: 7,
+                onChunk: (chunk) => chunks.push(chunk.length)
+            });
+
+            assert.deepEqual(entries.map(entry => entry.date).slice(0, 2), ['2021-07-01', '2021-07-02']);
+            assert.equal(entries.length, 17);
+            assert.deepEqual(chunks, [7, 7, 3]);
+            assert.equal(MockApodProvider.shared.requestsServed, 3);
+        });
+
+        it('returns random entries for a count', async () => {
+            const entries = await service.fetchRandomPictures(5);
+            assert.equal(entries.length, 5);
+            entries.forEach(entry => assert.ok(entry.title && entry.date));
+        });
+
+        it('keeps video thumbnails', async () => {
+            const entries = await service.fetchPictureRange('2021-07-01', '2021-07-10');
+            const video = entries.find(entry => entry.media_type === 'video');
+            assert.ok(video, 'the fixtures include a video');
+            assert.ok(video.thumbnail_url);
+        });
+
+        it('serves repeated dates and ranges from the cache', async () => {
+            await service.fetchPictureRange('2021-07-01', '2021-07-07', { chunkDays: 7 });
+            await service.fetchPictureData('2021-07-03');
+            await service.fetchPictureRange('2021-07-02', '2021-07-05', { chunkDays: 7 });
+
+            assert.equal(MockApodProvider.shared.requestsServed, 1);
+        });
+    });
+
+    describe('simulated failures', () => {
+        it('retries a 429 whose Retry-After fits the backoff ceiling', async () => {
+            MockApodProvider.shared.simulate({ status: 429, retryAfter: 0 });
+            const quotas = [];
+            service.onRateLimitChange(quota => quotas.push(quota));
+
+            const entry = await service.fetchPictureData('2021-07-04');
+            assert.equal(entry.date, '2021-07-04');
+            assert.equal(MockApodProvider.shared.requestsServed, 2);
+            assert.ok(quotas.some(quota => quota.remaining === 0), 'the 429 reported an empty quota');
+        });
+
+        it('reports a long 429 with its retry time instead of waiting', async () => {
+            MockApodProvider.shared.simulate({ status: 429, retryAfter: 120 });
+
+            await assert.rejects(service.fetchPictureData('2021-07-04'), (error) => {
+                assert.ok(error instanceof ApiError);
+                assert.equal(error.code, 'http_429');
+                assert.equal(error.message, I18n.t('errors.http429'));
+                assert.ok(error.retryAt > Date.now() + 100 * 1000);
+                return true;
+            });
+            assert.equal(MockApodProvider.shared.requestsServed, 1);
+            assert.ok(service.rateLimit.retryAt > Date.now());
+        });
+
+        it('does not retry a 403, but lets the chain move on to another provider', async () => {
+            MockApodProvider.shared.simulate({ status: 403, times: Infinity });
+
+            await assert.rejects(service.fetchPictureData('2021-07-04'), (error) => {
+                assert.equal(error.status, 403);
+                assert.equal(error.message, I18n.t('errors.http403'));
+                assert.equal(error.retryable, true);
+                assert.equal(error.transient, false);
+                return true;
+            });
+            assert.equal(MockApodProvider.shared.requestsServed, 1);
+        });
+
+        it('treats a 404 as a problem with the request', async () => {
+            MockApodProvider.shared.simulate({ status: 404 });
+
+            await assert.rejects(service.fetchPictureData('2021-07-04'), (error) => {
+                assert.equal(error.code, 'http_404');
+                assert.equal(error.message, I18n.t('errors.http404'));
+                assert.equal(error.retryable, false);
+                return true;
+            });
+        });
+
+        it('answers a wrong key with a 403', async () => {
+            service = createMockService({ apiKey: 'WRONG' });
+            await assert.rejects(service.fetchPictureData('2021-07-04'), { status: 403 });
+        });
+
+        it('retries a 500 and recovers', async () => {
+            MockApodProvider.shared.simulate({ status: 500, times: 2 });
+
+            const entry = await service.fetchPictureData('2021-07-04');
+            assert.equal(entry.date, '2021-07-04');
+            assert.equal(MockApodProvider.shared.requestsServed, 3);
+        });
+
+        it('gives up on a 500 after the configured attempts', async () => {
+            MockApodProvider.shared.simulate({ status: 500, times: Infinity });
+
+            await assert.rejects(service.fetchPictureData('2021-07-04'), { code: 'http_500' });
+            assert.equal(MockApodProvider.shared.requestsServed, 3);
+        });
+
+        it('times out slow responses', async () => {
+            service = createMockService({ retry: { attempts: 1 } });
+            MockApodProvider.shared.simulate({ latency: 5000 });
+
+            const started = Date.now();
+            await assert.rejects(service.fetchPictureData('2021-07-04'), { code: 'timeout' });
+            assert.ok(Date.now() - started < 1000);
+        });
+
+        it('cancels a slow response when the caller aborts', async () => {
+            MockApodProvider.shared.simulate({ latency: 5000 });
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 20);
+
+            const started = Date.now();
+            await assert.rejects(
+                service.fetchPictureData('2021-07-04', { signal: controller.signal }),
+                (error) => error.aborted === true
+            );
+            assert.ok(Date.now() - started < 1000);
+        });
+
+        it('rejects an already-aborted request before its simulated latency', async () => {
+            MockApodProvider.shared.simulate({ latency: 5000 });
+            const controller = new AbortController();
+            controller.abort();
+
+            const started = Date.now();
+            await assert.rejects(
+                MockApodProvider.shared.fetch('/apod?date=2021-07-04', { signal: controller.signal }),
+                { name: 'AbortError' }
+            );
+            assert.ok(Date.now() - started < 1000);
+            assert.equal(MockApodProvider.shared.requestsServed, 0);
+        });
+
+        it('delays responses by the simulated latency', async () => {
+            MockApodProvider.shared.simulate({ latency: 100 });
+
+            const started = Date.now();
+            await service.fetchPictureData('2021-07-04');
+            assert.ok(Date.now() - started >= 90);
+        });
+
+        it('reports truncated JSON as malformed', async () => {
+            MockApodProvider.shared.simulate({ malformed: 'json' });
+            await assert.rejects(service.fetchPictureData('2021-07-04'), /malformed response/);
+        });
+
+        it('reports entries without required fields as a mapping error', async () => {
+            MockApodProvider.shared.simulate({ malformed: 'fields' });
+
+            await assert.rejects(service.fetchPictureData('2021-07-04'), (error) => {
+                assert.ok(error instanceof MappingError);
+                assert.equal(error.code, 'mapping');
+                return true;
+            });
+        });
+
+        it('answers 404 for today until its entry is published', async () => {
+            MockApodProvider.shared.simulate({ unpublished: true });
+
+            await assert.rejects(service.fetchPictureData(ApodDate.today()), (error) => {
+                assert.ok(ApodDate.isUnpublished(ApodDate.today(), error));
+                return true;
+            });
+        });
+    });
+
+    describe('ProviderChainService', () => {
+        let chain;
+
+        beforeEach(() => {
+            const demo = createMockService({ ...config.API_CONFIGS.demo, id: 'demo' });
+            chain = new ProviderChainService([service, demo], { failureThreshold: 2, cooldownMinutes: 5 });
+        });
+
+        it('answers from the first provider and labels the entry with it', async () => {
+            const entry = await chain.fetchPictureData('2021-07-04');
+            assert.equal(entry.provider, 'mock');
+        });
+
+        it('moves on to the next provider on a rate limit', async () => {
+            MockApodProvider.shared.simulate({ status: 429 });
+
+            const entry = await chain.fetchPictureData('2021-07-04');
+            assert.equal(entry.provider, 'demo');
+        });
+
+        it('skips a provider that keeps failing until its cooldown is over', async () => {
+            MockApodProvider.shared.simulate({ status: 500, times: Infinity });
+            await chain.fetchPictureData('2021-07-04');
+            await chain.fetchPictureData('2021-07-05');
+            MockApodProvider.shared.reset();
+
+            const served = MockApodProvider.shared.requestsServed;
+            const entry = await chain.fetchPictureData('2021-07-06');
+            assert.equal(entry.provider, 'demo');
+            assert.equal(MockApodProvider.shared.requestsServed, served);
+            assert.ok(chain.getStatus()[0].coolingDownFor > 0);
+        });
+
+        it('does not hide a request problem behind another provider', async () => {
+            MockApodProvider.shared.simulate({ status: 404 });
+            await assert.rejects(chain.fetchPictureData('2021-07-04'), { message: I18n.t('errors.http404') });
+        });
+    });
+
+    describe('sleep', () => {
+        it('unhooks from the signal once the delay is over', async () => {
+            const { signal } = new AbortController();
+            const added = mock.method(signal, 'addEventListener');
+            const removed = mock.method(signal, 'removeEventListener');
+
+            await AstronomyAPIService.sleep(1, signal);
+            assert.equal(added.mock.callCount(), 1);
+            assert.equal(removed.mock.callCount(), 1);
+            assert.equal(removed.mock.calls[0].arguments[1], added.mock.calls[0].arguments[1]);
+        });
+
+        it('rejects at once when the signal is already aborted', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            const started = Date.now();
+            await assert.rejects(AstronomyAPIService.sleep(5000, controller.signal), (error) => error.aborted === true);
+            assert.ok(Date.now() - started < 1000);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+// AppState: updates, selective subscriptions, middleware and persistence
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AppState, ApodDate } = require('./helpers/app.js');
+
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+describe('AppState', () => {
+    it('starts on the current APOD day', () => {
+        const state = new AppState().getState();
+        assert.equal(state.selectedDate, ApodDate.today());
+        assert.equal(state.view, 'picture');
+    });
+
+    it('merges updates and notifies subscribers with the previous state', () => {
+        const state = new AppState();
+        const calls = [];
+        state.subscribe((current, previous) => calls.push([current.loading, previous.loading]));
+
+        state.setState({ loading: true });
+        assert.equal(state.getState().loading, true);
+        assert.equal(state.getState().view, 'picture');
+        assert.deepEqual(calls, [[true, false]]);
+    });
+
+    it('only calls selective subscribers when their keys change', () => {
+        const state = new AppState();
+        const calls = [];
+        state.select(['view'], (selected, previous) => calls.push([previous.view, selected.view]));
+
+        state.setState({ loading: true });
+        state.setState({ view: 'gallery' });
+        state.setState({ view: 'gallery' });
+        assert.deepEqual(calls, [['picture', 'gallery']]);
+    });
+
+    it('stops notifying after unsubscribe', () => {
+        const state = new AppState();
+        let calls = 0;
+        const unsubscribe = state.subscribe(() => calls++);
+
+        state.setState({ loading: true });
+        unsubscribe();
+        state.setState({ loading: false });
+        assert.equal(calls, 1);
+    });
+
+    it('lets middleware change or drop updates', () => {
+        const state = new AppState();
+        state.use((update, next) => {
+            if (update.changes.view === 'blocked') return;
+            next({ ...update, changes: { ...update.changes, locale: 'de' } });
+        });
+
+        state.setState({ view: 'blocked' });
+        assert.equal(state.getState().view, 'picture');
+
+        state.setState({ view: 'random' }, 'pick random');
+        assert.equal(state.getState().view, 'random');
+        assert.equal(state.getState().locale, 'de');
+    });
+
+    it('persists only the configured keys', () => {
+        const storage = createStorage();
+        const state = new AppState({ storage, persistKeys: ['view'] });
+        state.setState({ view: 'gallery', loading: true });
+
+        assert.deepEqual(JSON.parse(storage.items.get('astronomy-apod-state')), { view: 'gallery' });
+        assert.equal(new AppState({ storage, persistKeys: ['view'] }).getState().view, 'gallery');
+        assert.equal(new AppState({ storage, persistKeys: ['view'] }).getState().loading, false);
+    });
+
+    it('hands out copies of the state', () => {
+        const state = new AppState();
+        state.getState().view = 'gallery';
+        assert.equal(state.getState().view, 'picture');
+    });
+
+    it('does not let a new error inherit the previous error code', () => {
+        const state = new AppState();
+        state.setState({ error: 'Rate limit exceeded', errorCode: 'http_429' });
+        state.setState({ quota: { ...state.getState().quota, remaining: 0 } });
+        assert.equal(state.getState().errorCode, 'http_429');
+
+        state.setState({ error: 'Not a valid date' });
+        assert.equal(state.getState().errorCode, null);
+    });
+});
@@ -0,0 +1,296 @@
+// Components under jsdom: a real <apod-viewer> on the mock provider, driven the way a visitor would
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, waitFor } = require('./helpers/dom.js');
+
+describe('<apod-viewer> components', () => {
+    let viewer;
+
+    beforeEach(async () => {
+        viewer = await createViewer({ date: '2021-07-04' });
+    });
+
+    afterEach(() => {
+        assert.deepEqual(viewer.errors, []);
+        viewer.close();
+    });
+
+    const t = (key, params) => viewer.window.eval('I18n').t(key, params);
+    const errorShown = () => viewer.byId('error').style.display !== 'none';
+
+    async function switchLanguage(code) {
+        const select = viewer.byId('language-select');
+        select.value = code;
+        select.dispatchEvent(new viewer.window.Event('change'));
+        await waitFor(() => viewer.state().locale === code);
+    }
+
+    // Loads through the date input, as the Get Picture button does, and waits for the outcome
+    async function pickDate(date) {
+        viewer.byId('date-input').value = date;
+        viewer.byId('fetch-btn').click();
+        await viewer.settled();
+    }
+
+    describe('InfoComponent and MediaComponent', () => {
+        it('shows the entry for the viewer\'s date on that calendar day', () => {
+            const entry = viewer.mock.entryFor('2021-07-04');
+
+            assert.equal(viewer.byId('picture-title').textContent, entry.title);
+            assert.equal(viewer.byId('picture-explanation').textContent, entry.explanation);
+            assert.equal(viewer.byId('picture-date').textContent, 'Sunday, July 4, 2021');
+        });
+
+        it('embeds video entries in a sandboxed frame', () => {
+            assert.equal(viewer.mock.entryFor('2021-07-04').media_type, 'video');
+            const frame = viewer.byId('media-wrapper').querySelector('iframe');
+            assert.ok(frame);
+            assert.match(frame.src, /player\.vimeo\.com/);
+            assert.ok(frame.getAttribute('sandbox'));
+        });
+
+        it('plays video files natively and turns watch links into embeds', async () => {
+            await pickDate('2021-07-06');
+            assert.match(viewer.byId('media-wrapper').querySelector('video source').src, /\.mp4$/);
+
+            await pickDate('2021-07-07');
+            assert.match(viewer.byId('media-wrapper').querySelector('iframe').src, /\/embed\/dQw4w9WgXcQ/);
+        });
+
+        it('shows pictures with their title as alt text', async () => {
+            await pickDate('2021-07-05');
+            assert.equal(viewer.byId('media-wrapper').querySelector('img').alt, viewer.mock.entryFor('2021-07-05').title);
+        });
+    });
+
+    describe('MediaComponent and language changes', () => {
+        it('keeps a playing video when the language changes', async () => {
+            const frame = viewer.byId('media-wrapper').querySelector('iframe');
+            await switchLanguage('de');
+            assert.equal(viewer.byId('media-wrapper').querySelector('iframe'), frame);
+        });
+
+        it('retranslates fallback text in place', async () => {
+            const date = ['2021-07-01', '2021-07-02', '2021-07-03', '2021-07-05', '2021-07-06']
+                .find(candidate => {
+                    const entry = viewer.mock.entryFor(candidate);
+                    return entry.media_type === 'image' && entry.hdurl && entry.hdurl !== entry.url;
+                });
+            await pickDate(date);
+            const img = viewer.byId('media-wrapper').querySelector('img');
+            const english = img.title;
+            assert.equal(english, t('media.viewHighRes'));
+
+            await switchLanguage('de');
+            assert.equal(viewer.byId('media-wrapper').querySelector('img'), img);
+            assert.equal(img.title, t('media.viewHighRes'));
+            assert.notEqual(img.title, english);
+        });
+    });
+
+    describe('LanguageComponent', () => {
+        it('translates the viewer and its dates when the language changes', async () => {
+            await switchLanguage('de');
+
+            assert.equal(viewer.root.host.lang, 'de');
+            assert.equal(viewer.root.querySelector('.title-text').textContent, 'Astronomiebild des Tages');
+            assert.equal(viewer.byId('picture-date').textContent, 'Sonntag, 4. Juli 2021');
+        });
+    });
+
+    describe('ControlsComponent', () => {
+        it('loads the picked date', async () => {
+            await pickDate('2021-07-05');
+
+            assert.equal(viewer.state().selectedDate, '2021-07-05');
+            assert.equal(viewer.byId('picture-title').textContent, viewer.mock.entryFor('2021-07-05').title);
+        });
+
+        it('rejects typed dates outside the archive without a request', async () => {
+            const served = viewer.mock.requestsServed;
+            await pickDate('1990-01-01');
+
+            assert.ok(errorShown());
+            assert.match(viewer.byId('error-message').textContent, /1995/);
+            assert.equal(viewer.mock.requestsServed, served);
+        });
+
+        it('lets the last of several slow loads win', async () => {
+            viewer.mock.simulate({ latency: 300 });
+            viewer.byId('date-input').value = '2021-07-06';
+            viewer.byId('fetch-btn').click();
+            await pickDate('2021-07-07');
+
+            await new Promise(resolve => setTimeout(resolve, 400));
+            assert.equal(viewer.state().currentPicture.date, '2021-07-07');
+        });
+
+        it('falls back to the latest entry with a notice while today\'s is unpublished', async () => {
+            const today = viewer.ApodDate.today();
+            viewer.mock.simulate({ unpublished: true, times: Infinity });
+            viewer.byId('today-btn').click();
+            await waitFor(() => viewer.state().notice);
+
+            const latest = viewer.ApodDate.addDays(today, -1);
+            assert.equal(viewer.state().currentPicture.date, latest);
+            assert.equal(viewer.byId('date-input').value, latest);
+            assert.equal(viewer.byId('picture-notice').hidden, false);
+            assert.ok(!errorShown());
+
+            await pickDate('2021-07-05');
+            assert.equal(viewer.byId('picture-notice').hidden, true);
+        });
+
+        it('steps to the previous day', async () => {
+            viewer.byId('prev-day-btn').click();
+            await waitFor(() => viewer.state().currentPicture.date === '2021-07-03');
+        });
+    });
+
+    describe('GalleryComponent', () => {
+        it('fills the grid a chunk at a time', async () => {
+            const served = viewer.mock.requestsServed;
+            const chunkDays = viewer.window.eval('GALLERY_CONFIG.chunkDays');
+
+            viewer.byId('gallery-start-input').value = '2021-07-01';
+            viewer.byId('gallery-end-input').value = '2021-07-17';
+            viewer.byId('gallery-btn').click();
+            await waitFor(() => !viewer.state().gallery.loading);
+
+            assert.equal(viewer.byId('gallery-grid').querySelectorAll('.gallery-tile').length, 17);
+            assert.equal(viewer.mock.requestsServed - served, Math.ceil(17 / chunkDays));
+        });
+    });
+
+    describe('ErrorComponent', () => {
+        it('shows a 404 without the rate-limit countdown', async () => {
+            viewer.mock.simulate({ status: 404 });
+            await pickDate('2021-07-05');
+
+            assert.ok(errorShown());
+            assert.equal(viewer.byId('error-message').textContent, t('errors.http404'));
+            assert.equal(viewer.root.querySelector('.error-countdown'), null);
+            assert.equal(viewer.byId('retry-btn'), null);
+        });
+
+        it('counts down and offers the demo after a 429', async () => {
+            viewer.mock.simulate({ status: 429, retryAfter: 120 });
+            await pickDate('2021-07-05');
+
+            assert.equal(viewer.byId('error-message').textContent, t('errors.http429'));
+            assert.match(viewer.root.querySelector('.error-countdown').textContent, /1:5\d|2:00/);
+            assert.equal(viewer.byId('quota-indicator').textContent, t('quota.rateLimited'));
+
+            viewer.byId('retry-btn').click();
+            assert.ok(!errorShown());
+            assert.match(viewer.byId('picture-title').textContent, /Demo Sample/);
+        });
+
+        it('drops the countdown for a later error while the rate limit still runs', async () => {
+            viewer.mock.simulate({ status: 429, retryAfter: 120 });
+            await pickDate('2021-07-05');
+            viewer.mock.simulate({ status: 404 });
+            await pickDate('2021-07-06');
+
+            assert.equal(viewer.byId('error-message').textContent, t('errors.http404'));
+            assert.equal(viewer.root.querySelector('.error-countdown'), null);
+            assert.equal(viewer.byId('retry-btn'), null);
+        });
+
+        it('reports a 403, a persistent 500 and malformed payloads', async () => {
+            const cases = [
+                [{ status: 403 }, t('errors.http403')],
+                [{ status: 500, times: Infinity }, t('errors.http500')],
+                [{ malformed: 'json', times: Infinity }, t('errors.malformed')]
+            ];
+            for (const [scenario, message] of cases) {
+                viewer.mock.reset().simulate(scenario);
+                await pickDate('2021-07-08');
+                assert.equal(viewer.byId('error-message').textContent, message, JSON.stringify(scenario));
+            }
+
+            viewer.mock.reset().simulate({ malformed: 'fields' });
+            await pickDate('2021-07-09');
+            assert.match(viewer.byId('error-message').textContent, /title/);
+        });
+
+        it('leaves an invalid date attribute out of the message', async () => {
+            viewer.close();
+            viewer = await createViewer({ date: '<img src=x onerror=window.injected=true>' });
+
+            const message = viewer.byId('error-message');
+            assert.ok(errorShown());
+            assert.equal(message.querySelector('img'), null);
+            assert.doesNotMatch(message.textContent, /onerror/);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.equal(viewer.window.injected, undefined);
+        });
+
+        it('renders messages as text, keeping line breaks', async () => {
+            viewer.app.state.setState({ error: '<img src="x" onerror="window.injected = true">\nSecond line' });
+
+            const message = viewer.byId('error-message');
+            assert.equal(message.querySelector('img'), null);
+            assert.equal(message.querySelectorAll('br').length, 1);
+            assert.match(message.textContent, /^<img src="x"/);
+        });
+    });
+
+    describe('ExportComponent', () => {
+        it('leaves out days only the demo sample could answer', async () => {
+            viewer.close();
+            viewer = await createViewer({ providers: ['mock', 'demo'] });
+            viewer.mock.simulate({ status: 500, times: Infinity });
+
+            const source = { type: 'range', start: '2021-07-01', end: '2021-07-03' };
+            const { entries, skipped } = await viewer.app.collectExportEntries(source, { chunkDays: 31 });
+            assert.equal(entries.length, 0);
+            assert.deepEqual([...skipped], ['2021-07-01', '2021-07-02', '2021-07-03']);
+
+            viewer.byId('export-source').value = 'range';
+            viewer.byId('export-start-input').value = source.start;
+            viewer.byId('export-end-input').value = source.end;
+            viewer.byId('export-form').dispatchEvent(new viewer.window.Event('submit', { cancelable: true }));
+            await waitFor(() => viewer.byId('export-status').textContent === t('export.unavailable'));
+        });
+    });
+
+    describe('CalendarComponent', () => {
+        it('loads the month with one request and marks videos and favorites', async () => {
+            viewer.byId('favorite-btn').click();
+            const served = viewer.mock.requestsServed;
+
+            viewer.byId('calendar-toggle').click();
+            const { calendar } = viewer.app.components;
+            await waitFor(() => calendar.loadedMonths.has('2021-07') && !calendar.monthLoad);
+            const grid = viewer.byId('calendar-grid');
+
+            const days = [...grid.querySelectorAll('.calendar-day')];
+            assert.equal(days.length, 31);
+            assert.equal(viewer.mock.requestsServed, served + 1);
+
+            const july4 = days.find(day => day.dataset.date === '2021-07-04');
+            assert.ok(july4.classList.contains('selected'));
+            assert.match(july4.querySelector('.calendar-markers').textContent, /🎬/);
+            assert.match(july4.querySelector('.calendar-markers').textContent, /⭐/);
+
+            days.find(day => day.dataset.date === '2021-07-10').click();
+            await waitFor(() => viewer.state().currentPicture.date === '2021-07-10');
+        });
+
+        it('disables days before the archive starts', async () => {
+            viewer.byId('calendar-toggle').click();
+            for (const [id, value] of [['calendar-year', '1995'], ['calendar-month', '06']]) {
+                viewer.byId(id).value = value;
+                viewer.byId(id).dispatchEvent(new viewer.window.Event('change'));
+            }
+
+            const { calendar } = viewer.app.components;
+            await waitFor(() => calendar.loadedMonths.has('1995-06') && !calendar.monthLoad);
+            const grid = viewer.byId('calendar-grid');
+            assert.equal(grid.querySelector('[data-date="1995-06-15"]').disabled, true);
+            assert.equal(grid.querySelector('[data-date="1995-06-16"]').disabled, false);
+        });
+    });
+});
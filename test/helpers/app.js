@@ -0,0 +1,24 @@
+// Test Helpers - loads app.js under Node the way export.js does, with the mock provider and
+// every locale catalog registered as the page globals app.js expects
+
+const config = require('../../config.js');
+const { MockApodProvider } = require('../../mock-apod.js');
+
+globalThis.I18N_CONFIG = config.I18N_CONFIG;
+globalThis.MockApodProvider = MockApodProvider;
+config.I18N_CONFIG.locales.forEach(code => require(`../../locales/${code}.js`));
+
+const app = require('../../app.js');
+
+// A service on the mock provider with millisecond backoff, so retry paths run in a few ms
+function createMockService(overrides = {}) {
+    return new app.AstronomyAPIService({
+        ...config.API_CONFIGS.mock,
+        id: 'mock',
+        timeoutMs: 200,
+        ...overrides,
+        retry: { attempts: 3, baseDelayMs: 1, maxDelayMs: 20, rateLimitWaitSeconds: 60, ...overrides.retry }
+    }, new app.ResponseCache(new app.MemoryCacheStore()));
+}
+
+module.exports = { ...app, config, MockApodProvider, createMockService };
@@ -0,0 +1,75 @@
+// DOM Helpers - boots an <apod-viewer> in jsdom from the same scripts index.html loads, so the
+// components run against the real template. The chain is the mock provider alone unless a test
+// asks for more (no demo fallback to hide failures), with millisecond retries.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const SCRIPTS = ['config.js', 'locales/en.js', 'locales/de.js', 'mock-apod.js', 'app.js'];
+const testConfig = (providers) => `
+    PROVIDER_CHAIN.providers = ${JSON.stringify(providers)};
+    PROVIDER_CHAIN.requestTimeoutMs = 500;
+    Object.assign(RETRY_CONFIG, { baseDelayMs: 1, maxDelayMs: 20 });
+    PREFETCH_CONFIG.enabled = false;
+`;
+
+async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+async function createViewer({ date = '2021-07-04', providers = ['mock'] } = {}) {
+    // Page errors fail the test instead of scrolling past in the app's console output
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(`<!DOCTYPE html><body><apod-viewer provider="mock" date="${date}"></apod-viewer></body>`, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // The parts of the browser platform jsdom leaves out
+    window.CSS = { supports: () => false };
+    window.Response = Response;
+    Object.assign(window.HTMLMediaElement.prototype, { load() {}, pause() {} });
+
+    SCRIPTS.forEach((file, index) => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8') + (index === 0 ? testConfig(providers) : '');
+        window.document.body.appendChild(script);
+    });
+
+    // The element is defined once the DOM is ready, which upgrades it and creates its app
+    const element = window.document.querySelector('apod-viewer');
+    const app = await waitFor(() => element.app);
+    await app.ready;
+
+    const viewer = {
+        window,
+        app,
+        errors,
+        root: element.shadowRoot,
+        mock: window.eval('MockApodProvider.shared'),
+        ApodDate: window.eval('ApodDate'),
+        byId: (id) => element.shadowRoot.getElementById(id),
+        state: () => app.state.getState(),
+        // A load is over once the controls no longer track it (fallbacks included)
+        settled: () => waitFor(() => !app.components.controls.activeLoad && !app.state.getState().loading),
+        close: () => window.close()
+    };
+    await waitFor(() => viewer.state().currentPicture || viewer.state().error);
+    return viewer;
+}
+
+module.exports = { createViewer, waitFor };